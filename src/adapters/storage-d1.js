@@ -6,6 +6,11 @@ const keywordCache = {
     list: []
 };
 
+const questionCache = {
+    ts: 0,
+    list: []
+};
+
 export function hasD1(env) {
     return !!env.TG_BOT_DB;
 }
@@ -42,6 +47,345 @@ async function runD1Write(env, action, fn) {
     }
 }
 
+// ============================================================================
+// 表结构迁移
+// ============================================================================
+
+const SCHEMA_VERSION_KEY = 'schema_version';
+
+/**
+ * D1 表结构迁移列表，按 version 递增执行，已执行版本记录在 config 表的 schema_version。
+ *
+ * 新功能需要新增表或列时，在末尾追加一项即可，部署后首个请求会自动应用。
+ * - tables：该迁移创建的表，用于启动时检查缺失表。
+ * - statements：需可重复执行。建表/索引使用 IF NOT EXISTS；ALTER TABLE ADD COLUMN 的重复列错误会被忽略。
+ *   也可以是 async (env) => string[]，按当前表结构生成语句（如重建表时保留已有列）。
+ *
+ * 每个迁移在同一批次内先检查版本号，已被其他实例执行过时整批放弃，避免并发部署时重复重建表。
+ */
+export const D1_MIGRATIONS = [
+    {
+        version: 1,
+        name: 'initial_schema',
+        tables: ['users', 'messages', 'threads', 'keywords', 'config'],
+        statements: [
+            `CREATE TABLE IF NOT EXISTS users (
+                user_id TEXT PRIMARY KEY,
+                thread_id TEXT,
+                title TEXT,
+                closed INTEGER,
+                verify_state TEXT,
+                verify_expires_at INTEGER,
+                is_blocked INTEGER,
+                user_info_json TEXT,
+                created_at INTEGER,
+                updated_at INTEGER
+            )`,
+            `CREATE TABLE IF NOT EXISTS messages (
+                source_chat_id TEXT,
+                source_msg_id TEXT,
+                target_chat_id TEXT,
+                target_msg_id TEXT,
+                created_at INTEGER,
+                PRIMARY KEY (source_chat_id, source_msg_id)
+            )`,
+            `CREATE TABLE IF NOT EXISTS threads (
+                thread_id TEXT PRIMARY KEY,
+                user_id TEXT
+            )`,
+            `CREATE TABLE IF NOT EXISTS keywords (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                keyword TEXT UNIQUE,
+                created_at INTEGER
+            )`,
+            `CREATE TABLE IF NOT EXISTS config (
+                key TEXT PRIMARY KEY,
+                value TEXT
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_users_thread_id ON users(thread_id)',
+            'CREATE INDEX IF NOT EXISTS idx_users_updated_at ON users(updated_at)',
+            'CREATE INDEX IF NOT EXISTS idx_users_verify_state ON users(verify_state)',
+            'CREATE INDEX IF NOT EXISTS idx_users_is_blocked ON users(is_blocked)'
+        ]
+    },
+    {
+        version: 2,
+        name: 'questions',
+        tables: ['questions'],
+        statements: [
+            `CREATE TABLE IF NOT EXISTS questions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                question TEXT NOT NULL,
+                correct_answer TEXT NOT NULL,
+                incorrect_answers TEXT NOT NULL,
+                enabled INTEGER DEFAULT 1,
+                pass_count INTEGER DEFAULT 0,
+                fail_count INTEGER DEFAULT 0,
+                created_at INTEGER,
+                updated_at INTEGER
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_questions_enabled ON questions(enabled)'
+        ]
+    },
+    {
+        version: 3,
+        name: 'verify_events',
+        tables: ['verify_events'],
+        statements: [
+            `CREATE TABLE IF NOT EXISTS verify_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id TEXT NOT NULL,
+                event TEXT NOT NULL,
+                detail TEXT,
+                created_at INTEGER NOT NULL
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_verify_events_user ON verify_events(user_id, created_at)',
+            'CREATE INDEX IF NOT EXISTS idx_verify_events_created_at ON verify_events(created_at)'
+        ]
+    },
+    {
+        version: 4,
+        name: 'keyword_actions',
+        tables: [],
+        statements: [
+            "ALTER TABLE keywords ADD COLUMN action TEXT DEFAULT 'block'"
+        ]
+    },
+    {
+        // SQLite 无法移除列级 UNIQUE，重建表后改为 (keyword, direction) 唯一。
+        // 重复执行时（如版本号被回退）保留已有的 direction / field 列及其唯一约束
+        version: 5,
+        name: 'keyword_direction',
+        tables: [],
+        statements: async (env) => {
+            const columns = await dbTableColumns(env, 'keywords');
+            const hasField = columns.has('field');
+            const copyColumns = ['id', 'keyword', 'action', 'direction', ...(hasField ? ['field'] : []), 'created_at'];
+            const selectColumns = copyColumns.map(col => (col === 'direction' && !columns.has('direction') ? "'in'" : col));
+            return [
+                'DROP TABLE IF EXISTS keywords_new',
+                `CREATE TABLE keywords_new (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    keyword TEXT NOT NULL,
+                    action TEXT DEFAULT 'block',
+                    direction TEXT NOT NULL DEFAULT 'in',
+                    ${hasField ? "field TEXT NOT NULL DEFAULT 'text'," : ''}
+                    created_at INTEGER
+                )`,
+                `INSERT INTO keywords_new (${copyColumns.join(', ')})
+                    SELECT ${selectColumns.join(', ')} FROM keywords WHERE keyword IS NOT NULL`,
+                'DROP TABLE keywords',
+                'ALTER TABLE keywords_new RENAME TO keywords',
+                hasField
+                    ? 'CREATE UNIQUE INDEX IF NOT EXISTS idx_keywords_scope ON keywords(keyword, direction, field)'
+                    : 'CREATE UNIQUE INDEX IF NOT EXISTS idx_keywords_keyword_direction ON keywords(keyword, direction)'
+            ];
+        }
+    },
+    {
+        // 关键词按消息字段匹配，唯一约束扩展为 (keyword, direction, field)
+        version: 6,
+        name: 'keyword_field',
+        tables: [],
+        statements: [
+            "ALTER TABLE keywords ADD COLUMN field TEXT NOT NULL DEFAULT 'text'",
+            'DROP INDEX IF EXISTS idx_keywords_keyword_direction',
+            'CREATE UNIQUE INDEX IF NOT EXISTS idx_keywords_scope ON keywords(keyword, direction, field)'
+        ]
+    },
+    {
+        version: 7,
+        name: 'keyword_hits',
+        tables: ['keyword_hits'],
+        statements: [
+            `CREATE TABLE IF NOT EXISTS keyword_hits (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                keyword_id INTEGER NOT NULL,
+                user_id TEXT NOT NULL,
+                field TEXT,
+                action TEXT,
+                excerpt TEXT,
+                created_at INTEGER NOT NULL
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_keyword_hits_keyword ON keyword_hits(keyword_id, created_at)',
+            'CREATE INDEX IF NOT EXISTS idx_keyword_hits_created_at ON keyword_hits(created_at)'
+        ]
+    }
+];
+
+export class D1SchemaError extends Error {
+    constructor(message, missingTables = []) {
+        super(message);
+        this.name = 'D1SchemaError';
+        this.missingTables = missingTables;
+    }
+}
+
+// 实例级缓存：同一 isolate 内只检查一次
+const schemaState = {
+    version: 0,
+    pending: null
+};
+
+export function getLatestSchemaVersion() {
+    return D1_MIGRATIONS.reduce((max, m) => Math.max(max, m.version), 0);
+}
+
+function getRequiredTables() {
+    return [...new Set(D1_MIGRATIONS.flatMap(m => m.tables || []))];
+}
+
+function isIdempotentSchemaError(error) {
+    const message = String(error?.message || error || '').toLowerCase();
+    return message.includes('duplicate column name') || message.includes('already exists');
+}
+
+async function dbListTables(env) {
+    const result = await env.TG_BOT_DB
+        .prepare("SELECT name FROM sqlite_master WHERE type = 'table'")
+        .all();
+    return new Set((result?.results || []).map(row => String(row.name)));
+}
+
+async function dbTableColumns(env, table) {
+    const result = await env.TG_BOT_DB.prepare(`PRAGMA table_info(${table})`).all();
+    return new Set((result?.results || []).map(row => String(row.name)));
+}
+
+async function dbReadSchemaVersion(env, tables) {
+    if (!tables.has('config')) return 0;
+    const row = await env.TG_BOT_DB
+        .prepare('SELECT value FROM config WHERE key = ?')
+        .bind(SCHEMA_VERSION_KEY)
+        .first();
+    return Number(row?.value || 0);
+}
+
+function isSchemaGuardError(error) {
+    return String(error?.message || error || '').toLowerCase().includes('malformed json');
+}
+
+/**
+ * 执行单个迁移，返回 true；版本号已被其他实例推进到该迁移之后时放弃执行并返回 false。
+ */
+async function applySchemaMigration(env, migration) {
+    const db = env.TG_BOT_DB;
+    const sqlList = typeof migration.statements === 'function'
+        ? await migration.statements(env)
+        : migration.statements;
+    const statements = sqlList.map(sql => db.prepare(sql));
+    // 批次首条语句：已迁移时解析非法 JSON 使整批回滚（config 表由首个迁移创建）
+    const guardStmt = migration.version > 1
+        ? db
+            .prepare(`SELECT json(CASE WHEN CAST(COALESCE((SELECT value FROM config WHERE key = ?), '0') AS INTEGER) >= ?
+                THEN 'already_migrated' ELSE 'null' END)`)
+            .bind(SCHEMA_VERSION_KEY, migration.version)
+        : null;
+    const guarded = (list) => (guardStmt ? [guardStmt, ...list] : list);
+    // 版本号只增不减：并发实例或旧数据写入较小版本时保持现有值
+    const versionStmt = db
+        .prepare(`INSERT INTO config (key, value) VALUES (?, ?)
+            ON CONFLICT(key) DO UPDATE SET value = excluded.value
+            WHERE CAST(config.value AS INTEGER) < CAST(excluded.value AS INTEGER)`)
+        .bind(SCHEMA_VERSION_KEY, String(migration.version));
+
+    let skipped = false;
+    await runD1Write(env, `schema_migration_${migration.version}`, async () => {
+        try {
+            await db.batch(guarded([...statements, versionStmt]));
+        } catch (e) {
+            if (isSchemaGuardError(e)) {
+                skipped = true;
+                return;
+            }
+            if (!isIdempotentSchemaError(e)) throw e;
+            // 部分语句此前已手动执行过（如重复添加列），逐条执行并忽略此类错误
+            try {
+                if (guardStmt) await guardStmt.first();
+            } catch (err) {
+                if (!isSchemaGuardError(err)) throw err;
+                skipped = true;
+                return;
+            }
+            for (const stmt of statements) {
+                try {
+                    await stmt.run();
+                } catch (err) {
+                    if (!isIdempotentSchemaError(err)) throw err;
+                }
+            }
+            await versionStmt.run();
+        }
+    });
+    return !skipped;
+}
+
+/**
+ * 查询当前表结构状态（不做任何修改）。
+ */
+export async function dbGetSchemaStatus(env) {
+    if (!hasD1(env)) return null;
+    const tables = await dbListTables(env);
+    const currentVersion = await dbReadSchemaVersion(env, tables);
+    const requiredTables = getRequiredTables();
+    return {
+        currentVersion,
+        latestVersion: getLatestSchemaVersion(),
+        pending: D1_MIGRATIONS
+            .filter(m => m.version > currentVersion)
+            .map(m => ({ version: m.version, name: m.name })),
+        missingTables: requiredTables.filter(name => !tables.has(name))
+    };
+}
+
+async function runEnsureSchema(env) {
+    let tables = await dbListTables(env);
+    const currentVersion = await dbReadSchemaVersion(env, tables);
+    const applied = [];
+
+    let version = currentVersion;
+    for (const migration of D1_MIGRATIONS) {
+        if (migration.version <= currentVersion) continue;
+        version = migration.version;
+        if (!(await applySchemaMigration(env, migration))) {
+            Logger.info('d1_schema_migration_skipped', { version: migration.version, name: migration.name });
+            continue;
+        }
+        applied.push({ version: migration.version, name: migration.name });
+        Logger.info('d1_schema_migrated', { version: migration.version, name: migration.name });
+    }
+
+    if (applied.length > 0) tables = await dbListTables(env);
+    const missingTables = getRequiredTables().filter(name => !tables.has(name));
+    if (missingTables.length > 0) {
+        throw new D1SchemaError(`D1 缺少数据表: ${missingTables.join(', ')}`, missingTables);
+    }
+
+    schemaState.version = version;
+    return { version, applied };
+}
+
+/**
+ * 确保 D1 表结构为最新版本，按需执行未应用的迁移。
+ *
+ * - 同一实例内检查通过后直接返回，不再查询数据库。
+ * - 并发请求共享同一次检查；失败时清除状态，下次请求重试。
+ * - 迁移后仍缺表时抛出 D1SchemaError。
+ */
+export async function dbEnsureSchema(env, { force = false } = {}) {
+    if (!hasD1(env)) return null;
+    if (!force && schemaState.version >= getLatestSchemaVersion()) {
+        return { version: schemaState.version, applied: [] };
+    }
+
+    if (!schemaState.pending) {
+        schemaState.pending = runEnsureSchema(env).finally(() => {
+            schemaState.pending = null;
+        });
+    }
+    return schemaState.pending;
+}
+
 function toDbBool(val) {
     return val ? 1 : 0;
 }
@@ -138,6 +482,11 @@ export async function dbGetVerifyState(env, userId) {
     const expiresAt = Number(row.verify_expires_at || 0);
     if (expiresAt && expiresAt < Date.now()) {
         await dbUserUpdate(env, userId, { verify_state: null, verify_expires_at: null });
+        try {
+            await dbVerifyEventAdd(env, userId, 'verify_expired', { expiresAt });
+        } catch (e) {
+            Logger.warn('verify_event_add_failed', { userId, event: 'verify_expired', error: e.message });
+        }
         return null;
     }
 
@@ -169,6 +518,34 @@ export async function dbSetBanned(env, userId, isBanned) {
     await dbUserUpdate(env, userId, { is_blocked: !!isBanned });
 }
 
+export async function dbGetVerifyExpiresAt(env, userId) {
+    if (!hasD1(env)) return null;
+    const row = await env.TG_BOT_DB
+        .prepare('SELECT verify_expires_at FROM users WHERE user_id = ?')
+        .bind(String(userId))
+        .first();
+    return row?.verify_expires_at ? Number(row.verify_expires_at) : null;
+}
+
+export async function dbUserInfoGet(env, userId) {
+    if (!hasD1(env)) return null;
+    const row = await env.TG_BOT_DB
+        .prepare('SELECT user_info_json FROM users WHERE user_id = ?')
+        .bind(String(userId))
+        .first();
+    if (!row?.user_info_json) return null;
+    try {
+        return JSON.parse(row.user_info_json);
+    } catch {
+        return null;
+    }
+}
+
+export async function dbUserInfoPut(env, userId, info) {
+    if (!hasD1(env)) return;
+    await dbUserUpdate(env, userId, { user_info_json: info ? JSON.stringify(info) : null });
+}
+
 export async function dbThreadGetUserId(env, threadId) {
     if (!hasD1(env)) return null;
     const row = await env.TG_BOT_DB
@@ -250,6 +627,89 @@ export async function dbMessageMapCleanupExpired(env, maxAgeMs = CONFIG.MESSAGE_
     return changes;
 }
 
+export async function dbVerifyEventAdd(env, userId, event, detail = null) {
+    if (!hasD1(env)) return;
+    const now = Date.now();
+    await runD1Write(env, 'verify_event_add', async () => {
+        await env.TG_BOT_DB
+            .prepare('INSERT INTO verify_events (user_id, event, detail, created_at) VALUES (?, ?, ?, ?)')
+            .bind(String(userId), String(event), detail ? JSON.stringify(detail) : null, now)
+            .run();
+    });
+}
+
+export async function dbVerifyEventList(env, userId, limit) {
+    if (!hasD1(env)) return [];
+    const result = await env.TG_BOT_DB
+        .prepare('SELECT id, event, detail, created_at FROM verify_events WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT ?')
+        .bind(String(userId), Number(limit))
+        .all();
+    return (result?.results || []).map(row => {
+        let detail = null;
+        try {
+            detail = row.detail ? JSON.parse(row.detail) : null;
+        } catch {
+            detail = null;
+        }
+        return { id: Number(row.id), event: row.event, detail, createdAt: Number(row.created_at) };
+    });
+}
+
+export async function dbKeywordHitAdd(env, keywordId, userId, { field = null, action = null, excerpt = null } = {}) {
+    if (!hasD1(env)) return;
+    const now = Date.now();
+    await runD1Write(env, 'keyword_hit_add', async () => {
+        await env.TG_BOT_DB
+            .prepare('INSERT INTO keyword_hits (keyword_id, user_id, field, action, excerpt, created_at) VALUES (?, ?, ?, ?, ?, ?)')
+            .bind(Number(keywordId), String(userId), field, action, excerpt, now)
+            .run();
+    });
+}
+
+export async function dbKeywordHitList(env, keywordId, limit) {
+    if (!hasD1(env)) return [];
+    const result = await env.TG_BOT_DB
+        .prepare('SELECT id, user_id, field, action, excerpt, created_at FROM keyword_hits WHERE keyword_id = ? ORDER BY created_at DESC, id DESC LIMIT ?')
+        .bind(Number(keywordId), Number(limit))
+        .all();
+    return (result?.results || []).map(row => ({
+        id: Number(row.id),
+        userId: String(row.user_id),
+        field: row.field || 'text',
+        action: row.action || null,
+        excerpt: row.excerpt || '',
+        createdAt: Number(row.created_at)
+    }));
+}
+
+export async function dbKeywordHitCleanupExpired(env, maxAgeMs = CONFIG.KEYWORD_HIT_RETENTION_DAYS * 86400 * 1000) {
+    if (!hasD1(env)) return 0;
+    const cutoff = Date.now() - Number(maxAgeMs || 0);
+    let changes = 0;
+    await runD1Write(env, 'keyword_hit_cleanup', async () => {
+        const result = await env.TG_BOT_DB
+            .prepare('DELETE FROM keyword_hits WHERE created_at < ?')
+            .bind(cutoff)
+            .run();
+        changes = Number(result?.meta?.changes ?? result?.changes ?? 0);
+    });
+    return changes;
+}
+
+export async function dbVerifyEventCleanupExpired(env, maxAgeMs = CONFIG.VERIFY_EVENT_RETENTION_DAYS * 86400 * 1000) {
+    if (!hasD1(env)) return 0;
+    const cutoff = Date.now() - Number(maxAgeMs || 0);
+    let changes = 0;
+    await runD1Write(env, 'verify_event_cleanup', async () => {
+        const result = await env.TG_BOT_DB
+            .prepare('DELETE FROM verify_events WHERE created_at < ?')
+            .bind(cutoff)
+            .run();
+        changes = Number(result?.meta?.changes ?? result?.changes ?? 0);
+    });
+    return changes;
+}
+
 export async function dbCount(env, whereSql = '', params = []) {
     if (!hasD1(env)) return 0;
     const sql = `SELECT COUNT(*) AS count FROM users ${whereSql}`;
@@ -257,6 +717,12 @@ export async function dbCount(env, whereSql = '', params = []) {
     return Number(row?.count || 0);
 }
 
+export async function dbThreadCount(env) {
+    if (!hasD1(env)) return 0;
+    const row = await env.TG_BOT_DB.prepare('SELECT COUNT(*) AS count FROM threads').first();
+    return Number(row?.count || 0);
+}
+
 export async function dbListUsers(env, limit, offset) {
     if (!hasD1(env)) return [];
     const result = await env.TG_BOT_DB
@@ -269,40 +735,66 @@ export async function dbListUsers(env, limit, offset) {
 export async function dbKeywordList(env) {
     if (!hasD1(env)) return [];
     const result = await env.TG_BOT_DB
-        .prepare('SELECT keyword FROM keywords ORDER BY id ASC')
+        .prepare('SELECT id, keyword, action, direction, field FROM keywords ORDER BY id ASC')
         .all();
-    return (result?.results || []).map(row => String(row.keyword)).filter(Boolean);
+    return (result?.results || [])
+        .map(row => ({ id: Number(row.id), keyword: String(row.keyword), action: row.action || 'block', direction: row.direction || 'in', field: row.field || 'text' }))
+        .filter(row => row.keyword);
 }
 
+/**
+ * 关键词列表（含 ID 与命中统计）：hitCount 为保留期内的命中次数，lastHitAt 为最近命中时间（无命中时为 null）。
+ */
 export async function dbKeywordListWithId(env) {
     if (!hasD1(env)) return [];
     const result = await env.TG_BOT_DB
-        .prepare('SELECT id, keyword FROM keywords ORDER BY id ASC')
+        .prepare(`SELECT k.id, k.keyword, k.action, k.direction, k.field,
+                COUNT(h.id) AS hit_count, MAX(h.created_at) AS last_hit_at
+            FROM keywords k LEFT JOIN keyword_hits h ON h.keyword_id = k.id
+            GROUP BY k.id ORDER BY k.id ASC`)
         .all();
     return (result?.results || [])
-        .map(row => ({ id: Number(row.id), keyword: String(row.keyword) }))
+        .map(row => ({
+            id: Number(row.id),
+            keyword: String(row.keyword),
+            action: row.action || 'block',
+            direction: row.direction || 'in',
+            field: row.field || 'text',
+            hitCount: Number(row.hit_count || 0),
+            lastHitAt: row.last_hit_at ? Number(row.last_hit_at) : null
+        }))
         .filter(row => row.keyword);
 }
 
-export async function dbKeywordAdd(env, keyword) {
+/**
+ * 添加关键词；同方向、同字段的关键词已存在时更新其动作。
+ * direction 为 'in'（用户发来的消息）或 'out'（管理员回复），field 为匹配的消息字段（见 KEYWORD_FIELDS）。
+ */
+export async function dbKeywordAdd(env, keyword, action = 'block', direction = 'in', field = 'text') {
     if (!hasD1(env)) return;
     await runD1Write(env, 'keyword_add', async () => {
         await env.TG_BOT_DB
-            .prepare('INSERT OR IGNORE INTO keywords (keyword, created_at) VALUES (?, ?)')
-            .bind(String(keyword), Date.now())
+            .prepare('INSERT INTO keywords (keyword, action, direction, field, created_at) VALUES (?, ?, ?, ?, ?) ON CONFLICT(keyword, direction, field) DO UPDATE SET action = excluded.action')
+            .bind(String(keyword), String(action), String(direction), String(field), Date.now())
             .run();
     });
     keywordCache.ts = 0;
 }
 
-export async function dbKeywordDelete(env, keyword) {
+// 删除关键词时在同一批次内删除其命中记录，避免 keyword_hits 残留孤立数据
+export async function dbKeywordDelete(env, keyword, direction = 'in', field = 'text') {
     if (!hasD1(env)) return 0;
     let changes = 0;
     await runD1Write(env, 'keyword_delete', async () => {
-        const result = await env.TG_BOT_DB
-            .prepare('DELETE FROM keywords WHERE keyword = ?')
-            .bind(String(keyword))
-            .run();
+        const params = [String(keyword), String(direction), String(field)];
+        const [, result] = await env.TG_BOT_DB.batch([
+            env.TG_BOT_DB
+                .prepare('DELETE FROM keyword_hits WHERE keyword_id IN (SELECT id FROM keywords WHERE keyword = ? AND direction = ? AND field = ?)')
+                .bind(...params),
+            env.TG_BOT_DB
+                .prepare('DELETE FROM keywords WHERE keyword = ? AND direction = ? AND field = ?')
+                .bind(...params)
+        ]);
         changes = Number(result?.meta?.changes ?? result?.changes ?? 0);
     });
     keywordCache.ts = 0;
@@ -313,16 +805,153 @@ export async function dbKeywordDeleteById(env, id) {
     if (!hasD1(env)) return 0;
     let changes = 0;
     await runD1Write(env, 'keyword_delete', async () => {
+        const [, result] = await env.TG_BOT_DB.batch([
+            env.TG_BOT_DB.prepare('DELETE FROM keyword_hits WHERE keyword_id = ?').bind(Number(id)),
+            env.TG_BOT_DB.prepare('DELETE FROM keywords WHERE id = ?').bind(Number(id))
+        ]);
+        changes = Number(result?.meta?.changes ?? result?.changes ?? 0);
+    });
+    keywordCache.ts = 0;
+    return changes;
+}
+
+function normalizeQuestionRow(row) {
+    let incorrect = [];
+    try {
+        incorrect = JSON.parse(row.incorrect_answers || '[]');
+    } catch {
+        incorrect = [];
+    }
+    return {
+        id: Number(row.id),
+        question: String(row.question),
+        correct_answer: String(row.correct_answer),
+        incorrect_answers: Array.isArray(incorrect) ? incorrect.map(String) : [],
+        enabled: !!row.enabled,
+        pass_count: Number(row.pass_count || 0),
+        fail_count: Number(row.fail_count || 0)
+    };
+}
+
+export async function dbQuestionList(env) {
+    if (!hasD1(env)) return [];
+    const result = await env.TG_BOT_DB
+        .prepare('SELECT id, question, correct_answer, incorrect_answers, enabled, pass_count, fail_count FROM questions ORDER BY id ASC')
+        .all();
+    return (result?.results || []).map(normalizeQuestionRow);
+}
+
+/**
+ * 启用中的题目列表（实例级缓存 60 秒，增删改时失效）
+ */
+export async function dbQuestionListEnabledCached(env) {
+    if (!hasD1(env)) return [];
+    const now = Date.now();
+    if (questionCache.ts && (now - questionCache.ts) < 60000) {
+        return questionCache.list;
+    }
+    const result = await env.TG_BOT_DB
+        .prepare('SELECT id, question, correct_answer, incorrect_answers, enabled, pass_count, fail_count FROM questions WHERE enabled = 1 ORDER BY id ASC')
+        .all();
+    const list = (result?.results || []).map(normalizeQuestionRow).filter(q => q.incorrect_answers.length > 0);
+    questionCache.ts = now;
+    questionCache.list = list;
+    return list;
+}
+
+export async function dbQuestionAdd(env, question, correctAnswer, incorrectAnswers) {
+    if (!hasD1(env)) return null;
+    const now = Date.now();
+    let id = null;
+    await runD1Write(env, 'question_add', async () => {
         const result = await env.TG_BOT_DB
-            .prepare('DELETE FROM keywords WHERE id = ?')
+            .prepare(`INSERT INTO questions (question, correct_answer, incorrect_answers, enabled, pass_count, fail_count, created_at, updated_at)
+                VALUES (?, ?, ?, 1, 0, 0, ?, ?)`)
+            .bind(String(question), String(correctAnswer), JSON.stringify(incorrectAnswers), now, now)
+            .run();
+        id = Number(result?.meta?.last_row_id ?? 0) || null;
+    });
+    questionCache.ts = 0;
+    return id;
+}
+
+export async function dbQuestionDelete(env, id) {
+    if (!hasD1(env)) return 0;
+    let changes = 0;
+    await runD1Write(env, 'question_delete', async () => {
+        const result = await env.TG_BOT_DB
+            .prepare('DELETE FROM questions WHERE id = ?')
             .bind(Number(id))
             .run();
         changes = Number(result?.meta?.changes ?? result?.changes ?? 0);
     });
-    keywordCache.ts = 0;
+    questionCache.ts = 0;
     return changes;
 }
 
+export async function dbQuestionSetEnabled(env, id, enabled) {
+    if (!hasD1(env)) return 0;
+    let changes = 0;
+    await runD1Write(env, 'question_set_enabled', async () => {
+        const result = await env.TG_BOT_DB
+            .prepare('UPDATE questions SET enabled = ?, updated_at = ? WHERE id = ?')
+            .bind(toDbBool(enabled), Date.now(), Number(id))
+            .run();
+        changes = Number(result?.meta?.changes ?? result?.changes ?? 0);
+    });
+    questionCache.ts = 0;
+    return changes;
+}
+
+export async function dbQuestionRecordResult(env, id, passed) {
+    if (!hasD1(env)) return;
+    const column = passed ? 'pass_count' : 'fail_count';
+    await runD1Write(env, 'question_record_result', async () => {
+        await env.TG_BOT_DB
+            .prepare(`UPDATE questions SET ${column} = COALESCE(${column}, 0) + 1 WHERE id = ?`)
+            .bind(Number(id))
+            .run();
+    });
+}
+
+export async function dbConfigGet(env, key) {
+    if (!hasD1(env)) return null;
+    const row = await env.TG_BOT_DB
+        .prepare('SELECT value FROM config WHERE key = ?')
+        .bind(String(key))
+        .first();
+    return row ? row.value : null;
+}
+
+export async function dbConfigPut(env, key, value) {
+    if (!hasD1(env)) return;
+    await runD1Write(env, 'config_put', async () => {
+        await env.TG_BOT_DB
+            .prepare('INSERT OR REPLACE INTO config (key, value) VALUES (?, ?)')
+            .bind(String(key), String(value))
+            .run();
+    });
+}
+
+export async function dbConfigDelete(env, key) {
+    if (!hasD1(env)) return;
+    await runD1Write(env, 'config_delete', async () => {
+        await env.TG_BOT_DB
+            .prepare('DELETE FROM config WHERE key = ?')
+            .bind(String(key))
+            .run();
+    });
+}
+
+export async function dbConfigListByPrefix(env, prefix) {
+    if (!hasD1(env)) return [];
+    const result = await env.TG_BOT_DB
+        .prepare('SELECT key, value FROM config WHERE substr(key, 1, ?) = ? ORDER BY key ASC')
+        .bind(prefix.length, prefix)
+        .all();
+    return result?.results || [];
+}
+
 export async function getKeywordListCached(env) {
     if (!hasD1(env)) return [];
     const now = Date.now();
@@ -334,3 +963,153 @@ export async function getKeywordListCached(env) {
     keywordCache.list = list;
     return list;
 }
+
+/**
+ * 备份/恢复涉及的表结构。
+ *
+ * - key：判定“同一条记录”的列，用于冲突检测。
+ * - columns：允许导出/写入的列白名单，恢复时忽略其他列，避免拼接任意列名。
+ * - keywords 不保留自增 id，按 (keyword, direction, field) 唯一约束去重。
+ * - keyword_hits 按关键词 id 关联，恢复后 id 会变化，因此不纳入备份。
+ * - excludePrefixes：按主键前缀排除的记录，导出与恢复时均跳过。
+ */
+export const BACKUP_TABLES = {
+    users: {
+        key: ['user_id'],
+        columns: ['user_id', 'thread_id', 'title', 'closed', 'verify_state', 'verify_expires_at', 'is_blocked', 'user_info_json', 'created_at', 'updated_at']
+    },
+    threads: {
+        key: ['thread_id'],
+        columns: ['thread_id', 'user_id']
+    },
+    keywords: {
+        key: ['keyword', 'direction', 'field'],
+        columns: ['keyword', 'action', 'direction', 'field', 'created_at'],
+        // 旧版备份缺少的列
+        defaults: { action: 'block', direction: 'in', field: 'text' },
+        // 按自然键原地更新，保留现有关键词的 id，keyword_hits 不会因此失去关联
+        updateInPlace: true
+    },
+    messages: {
+        key: ['source_chat_id', 'source_msg_id'],
+        columns: ['source_chat_id', 'source_msg_id', 'target_chat_id', 'target_msg_id', 'created_at']
+    },
+    config: {
+        key: ['key'],
+        columns: ['key', 'value'],
+        // 表结构版本、运行时配置与系统话题 ID 属于当前部署，恢复旧备份不应回退
+        excludePrefixes: [SCHEMA_VERSION_KEY, 'setting:', 'system_topic:']
+    },
+    questions: {
+        // 自增 id 在不同部署间没有对应关系，按题目文本匹配；新增题目由本库分配 id
+        key: ['question'],
+        columns: ['question', 'correct_answer', 'incorrect_answers', 'enabled', 'pass_count', 'fail_count', 'created_at', 'updated_at'],
+        ignoreColumns: ['id'],
+        updateInPlace: true
+    },
+    verify_events: {
+        // 审计记录只追加：不带 id 写入，按 (user_id, event, created_at) 去重，重复恢复不会产生重复记录
+        key: ['user_id', 'event', 'created_at'],
+        columns: ['user_id', 'event', 'detail', 'created_at'],
+        ignoreColumns: ['id'],
+        updateInPlace: true
+    }
+};
+
+function getBackupTable(table) {
+    const def = BACKUP_TABLES[table];
+    if (!def) throw new Error(`不支持的表: ${table}`);
+    return def;
+}
+
+export async function dbTableExportPage(env, table, limit, offset) {
+    if (!hasD1(env)) return [];
+    const def = getBackupTable(table);
+    const excluded = def.excludePrefixes || [];
+    const where = excluded.length > 0
+        ? `WHERE ${excluded.map(() => `substr(${def.key[0]}, 1, ?) <> ?`).join(' AND ')}`
+        : '';
+    const result = await env.TG_BOT_DB
+        .prepare(`SELECT ${def.columns.join(', ')} FROM ${table} ${where} ORDER BY ${def.key.join(', ')} LIMIT ? OFFSET ?`)
+        .bind(...excluded.flatMap(prefix => [prefix.length, prefix]), limit, offset)
+        .all();
+    return result?.results || [];
+}
+
+/**
+ * 按主键批量查询已存在的记录，返回 Map<主键字符串, row>。
+ */
+export async function dbTableFindExisting(env, table, rows) {
+    const existing = new Map();
+    if (!hasD1(env) || !rows.length) return existing;
+    const def = getBackupTable(table);
+    const keyOf = (row) => def.key.map(col => String(row[col])).join('\u0001');
+    // D1 单条语句最多绑定 100 个参数
+    const chunkSize = Math.max(1, Math.floor(90 / def.key.length));
+
+    for (let i = 0; i < rows.length; i += chunkSize) {
+        const chunk = rows.slice(i, i + chunkSize);
+        const where = chunk
+            .map(() => `(${def.key.map(col => `${col} = ?`).join(' AND ')})`)
+            .join(' OR ');
+        const params = chunk.flatMap(row => def.key.map(col => row[col]));
+        const result = await env.TG_BOT_DB
+            .prepare(`SELECT ${def.columns.join(', ')} FROM ${table} WHERE ${where}`)
+            .bind(...params)
+            .all();
+        for (const row of result?.results || []) {
+            existing.set(keyOf(row), row);
+        }
+    }
+    return existing;
+}
+
+/**
+ * 批量写入备份记录。
+ *
+ * - overwrite=true：INSERT OR REPLACE，覆盖已存在记录。
+ * - overwrite=false：INSERT OR IGNORE，保留已存在记录。
+ *
+ * 表定义带 updateInPlace 时按自然键（def.key，不要求唯一索引）匹配：
+ * 不存在则 INSERT（自增 id 由本库分配），overwrite 时对已存在记录 UPDATE，不删除重建（id 不变）。
+ */
+export async function dbTableRestoreRows(env, table, rows, { overwrite = false } = {}) {
+    if (!hasD1(env) || !rows.length) return 0;
+    const def = getBackupTable(table);
+    const keyWhere = def.key.map(col => `${col} = ?`).join(' AND ');
+    const nonKeyColumns = def.columns.filter(col => !def.key.includes(col));
+    const bindRow = (row, columns) => columns.map(col => row[col] ?? null);
+    const statementsFor = (row) => {
+        if (!def.updateInPlace) {
+            const verb = overwrite ? 'INSERT OR REPLACE' : 'INSERT OR IGNORE';
+            return [env.TG_BOT_DB
+                .prepare(`${verb} INTO ${table} (${def.columns.join(', ')}) VALUES (${def.columns.map(() => '?').join(', ')})`)
+                .bind(...bindRow(row, def.columns))];
+        }
+        const statements = [];
+        if (overwrite && nonKeyColumns.length > 0) {
+            statements.push(env.TG_BOT_DB
+                .prepare(`UPDATE ${table} SET ${nonKeyColumns.map(col => `${col} = ?`).join(', ')} WHERE ${keyWhere}`)
+                .bind(...bindRow(row, nonKeyColumns), ...bindRow(row, def.key)));
+        }
+        statements.push(env.TG_BOT_DB
+            .prepare(`INSERT INTO ${table} (${def.columns.join(', ')})
+                SELECT ${def.columns.map(() => '?').join(', ')} WHERE NOT EXISTS (SELECT 1 FROM ${table} WHERE ${keyWhere})`)
+            .bind(...bindRow(row, def.columns), ...bindRow(row, def.key)));
+        return statements;
+    };
+    let changes = 0;
+
+    for (let i = 0; i < rows.length; i += 50) {
+        const chunk = rows.slice(i, i + 50);
+        await runD1Write(env, `restore_${table}`, async () => {
+            const statements = chunk.flatMap(statementsFor);
+            const results = await env.TG_BOT_DB.batch(statements);
+            changes += results.reduce((sum, r) => sum + Number(r?.meta?.changes ?? 0), 0);
+        });
+    }
+
+    if (table === 'keywords') keywordCache.ts = 0;
+    if (table === 'questions') questionCache.ts = 0;
+    return changes;
+}
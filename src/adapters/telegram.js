@@ -1,7 +1,7 @@
 import { CONFIG } from '../config/constants.js';
 import { Logger } from '../core/logger.js';
 
-export async function tgCall(env, method, body, timeout = CONFIG.API_TIMEOUT_MS) {
+function resolveApiBase(env) {
     let base = env.API_BASE || 'https://api.telegram.org';
 
     if (base.startsWith('http://')) {
@@ -16,6 +16,12 @@ export async function tgCall(env, method, body, timeout = CONFIG.API_TIMEOUT_MS)
         base = 'https://api.telegram.org';
     }
 
+    return base;
+}
+
+export async function tgCall(env, method, body, timeout = CONFIG.API_TIMEOUT_MS) {
+    const base = resolveApiBase(env);
+
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), timeout);
 
@@ -65,3 +71,83 @@ export async function tgCall(env, method, body, timeout = CONFIG.API_TIMEOUT_MS)
         return { ok: false, description: String(e.message) };
     }
 }
+
+/**
+ * 以 multipart/form-data 调用 Telegram API（用于 sendDocument / sendPhoto 等上传文件的方法）。
+ *
+ * - fields：普通字段，对象/数组值会序列化为 JSON（如 reply_markup）。
+ * - files：{ 字段名: { name, content, type } }，content 可为字符串或 Uint8Array。
+ */
+export async function tgUpload(env, method, fields = {}, files = {}, timeout = CONFIG.API_TIMEOUT_MS * 3) {
+    const base = resolveApiBase(env);
+    const form = new FormData();
+
+    for (const [name, value] of Object.entries(fields)) {
+        if (value === undefined || value === null) continue;
+        form.append(name, typeof value === 'object' ? JSON.stringify(value) : String(value));
+    }
+    for (const [name, file] of Object.entries(files)) {
+        const blob = new Blob([file.content], { type: file.type || 'application/octet-stream' });
+        form.append(name, blob, file.name);
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        const resp = await fetch(`${base}/bot${env.BOT_TOKEN}/${method}`, {
+            method: 'POST',
+            body: form,
+            signal: controller.signal
+        });
+
+        clearTimeout(timeoutId);
+
+        try {
+            return await resp.json();
+        } catch (parseError) {
+            Logger.error('telegram_api_json_parse_failed', parseError, { method, status: resp.status });
+            return { ok: false, description: 'Invalid JSON response from Telegram' };
+        }
+    } catch (e) {
+        clearTimeout(timeoutId);
+
+        if (e.name === 'AbortError') {
+            Logger.error('telegram_api_timeout', e, { method, timeout });
+            return { ok: false, description: 'Request timeout' };
+        }
+
+        Logger.error('telegram_upload_failed', e, { method });
+        return { ok: false, description: String(e.message) };
+    }
+}
+
+/**
+ * 下载 Bot 可访问的文件（getFile + 文件下载地址），以文本形式返回。
+ * Bot API 仅支持下载不超过 20MB 的文件。
+ */
+export async function tgDownloadFileText(env, fileId, timeout = CONFIG.API_TIMEOUT_MS * 3) {
+    const fileRes = await tgCall(env, 'getFile', { file_id: fileId });
+    if (!fileRes.ok || !fileRes.result?.file_path) {
+        return { ok: false, description: fileRes.description || '无法获取文件信息' };
+    }
+
+    const base = resolveApiBase(env);
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        const resp = await fetch(`${base}/file/bot${env.BOT_TOKEN}/${fileRes.result.file_path}`, {
+            signal: controller.signal
+        });
+        clearTimeout(timeoutId);
+        if (!resp.ok) {
+            return { ok: false, description: `文件下载失败: HTTP ${resp.status}` };
+        }
+        return { ok: true, text: await resp.text() };
+    } catch (e) {
+        clearTimeout(timeoutId);
+        Logger.error('telegram_file_download_failed', e, { fileId });
+        return { ok: false, description: e.name === 'AbortError' ? 'Request timeout' : String(e.message) };
+    }
+}
@@ -9,22 +9,41 @@ import { RateLimitDO } from './do/rate-limit-do.js';
 import { CONFIG, LOCAL_QUESTIONS } from './config/constants.js';
 import { Logger } from './core/logger.js';
 import { secureRandomId, secureRandomInt } from './core/random.js';
-import { tgCall } from './adapters/telegram.js';
+import { KEYWORD_ENGINE_LABELS } from './core/keyword-engine.js';
+import { tgCall, tgUpload, tgDownloadFileText } from './adapters/telegram.js';
 import { checkRateLimit } from './services/rate-limit.js';
-import { getFilterText, validateKeywordPattern, matchKeyword } from './services/keywords.js';
+import { KEYWORD_ACTIONS, KEYWORD_DIRECTIONS, KEYWORD_FIELDS, getFilterText, getFilterFields, validateKeywordPattern, testKeywordPattern, matchKeyword, recordKeywordHit } from './services/keywords.js';
 import { isAdminUser } from './services/admin.js';
-import { withMessageThreadId, normalizeTgDescription, isTopicMissingOrDeleted, sendWelcomeCard, probeForumThread, resolveUserProfileStatus } from './services/topic-utils.js';
-import { sendVerificationChallengeImpl, handleCallbackQueryImpl } from './services/verification.js';
+import { withMessageThreadId, normalizeTgDescription, isTopicMissingOrDeleted, probeForumThread, resolveUserProfileStatus } from './services/topic-utils.js';
+import { sendVerificationChallengeImpl, handleVerifyCallbackImpl, handleVerificationTextAnswerImpl, forwardPendingMessagesImpl } from './services/verification.js';
+import { requestApprovalImpl, handleApprovalCallbackImpl } from './services/approval.js';
+import { getChallengeProvider } from './services/challenges.js';
 import { handleMediaGroupImpl, flushExpiredMediaGroupsImpl, delaySendImpl } from './services/media-group.js';
 import { handleCleanupCommandImpl } from './services/cleanup.js';
-import { getOrCreateUserTopicRecImpl, resetUserVerificationAndRequireReverifyImpl, createTopicImpl, updateThreadStatusImpl, buildTopicTitleImpl } from './services/topic-lifecycle.js';
-import { handleEditedMessageImpl } from './services/edit-sync.js';
-import { handleAdminReplyImpl } from './services/admin-reply.js';
+import { getOrCreateUserTopicRecImpl, resetUserVerificationAndRequireReverifyImpl, createTopicImpl, updateThreadStatusImpl, buildTopicTitleImpl, syncTopicProfileImpl } from './services/topic-lifecycle.js';
+import { handleEditedMessageImpl, saveMessageMapImpl } from './services/edit-sync.js';
+import { handleAdminReplyImpl, deliverAdminReplyImpl, noteAdminReplyImpl } from './services/admin-reply.js';
 import { handlePrivateMessageImpl, forwardToTopicImpl } from './services/message-flow.js';
 import { withUserLock, UserLockTimeoutError, UserLockLostError } from './services/user-lock.js';
-import { safeGetJSON, getAllKeys, putWithMetadata, deleteBulk } from './adapters/storage-kv.js';
-import { hasD1, dbUserGet, dbUserUpdate, dbGetVerifyState, dbSetVerifyState, dbIsBanned, dbSetBanned, dbThreadGetUserId, dbThreadPut, dbThreadDelete, dbMessageMapPut, dbMessageMapGet, dbMessageMapCleanupExpired, dbListUsers, dbKeywordListWithId, dbKeywordAdd, dbKeywordDelete, dbKeywordDeleteById } from './adapters/storage-d1.js';
-import { createWebhookFetchHandler } from './handlers/webhook.js';
+import { safeGetJSON, getAllKeys, putWithMetadata, deleteBulk, safeGetBulk, getValueWithFullMetadata } from './adapters/storage-kv.js';
+import { hasD1, dbUserGet, dbUserUpdate, dbGetVerifyState, dbSetVerifyState, dbIsBanned, dbSetBanned, dbGetVerifyExpiresAt, dbVerifyEventAdd, dbVerifyEventList, dbVerifyEventCleanupExpired, dbUserInfoGet, dbUserInfoPut, dbThreadGetUserId, dbThreadPut, dbThreadDelete, dbMessageMapPut, dbMessageMapGet, dbMessageMapCleanupExpired, dbListUsers, dbKeywordListWithId, dbKeywordAdd, dbKeywordDelete, dbKeywordDeleteById, dbKeywordHitList, dbKeywordHitCleanupExpired, dbCount, dbThreadCount, dbEnsureSchema, dbGetSchemaStatus, dbConfigGet, dbConfigPut, dbConfigDelete, dbConfigListByPrefix, dbQuestionList, dbQuestionListEnabledCached, dbQuestionAdd, dbQuestionDelete, dbQuestionSetEnabled, dbQuestionRecordResult, BACKUP_TABLES, dbTableExportPage, dbTableFindExisting, dbTableRestoreRows } from './adapters/storage-d1.js';
+import { createWebhookFetchHandler, checkRequiredBindings } from './handlers/webhook.js';
+import { createCallbackRouter } from './handlers/callback-router.js';
+import { createAdminHttpHandler } from './handlers/admin-http.js';
+import { createScheduledHandler } from './handlers/scheduled.js';
+import { processMessageQueueImpl, enqueueFailedMessageImpl, isPermanentDeliveryFailure } from './services/queue.js';
+import { cleanupRateLimitInstancesImpl, sweepStaleKvKeysImpl } from './services/maintenance.js';
+import { getBotStatsImpl, getUserActivityStatsImpl, getRateLimitStatsImpl, collectStatsSnapshotImpl, handleStatsCommandImpl, exportUserDataImpl, handleExportCommandImpl } from './services/stats.js';
+import { runKvToD1MigrationImpl, continueKvToD1MigrationImpl, getKvToD1MigrationState, handleMigrateCommandImpl } from './services/migration.js';
+import { getVerificationQuestionsImpl, recordQuestionResultImpl, handleQuestionCommandImpl } from './services/questions.js';
+import { banUserImpl, unbanUserImpl, trustUserImpl, resetVerificationImpl, setConversationClosedImpl, getUserStateImpl, buildUserInfoTextImpl } from './services/user-actions.js';
+import { sendWelcomeCardImpl, refreshUserCardImpl, handleUserCardCallbackImpl } from './services/user-card.js';
+import { holdOutboundMessageImpl, holdOutboundMediaGroupImpl, handleOutboundHoldCallbackImpl } from './services/outbound-filter.js';
+import { recordVerifyEventImpl, handleVerifyHistoryCommandImpl } from './services/verify-audit.js';
+import { evaluateVerifyPolicyImpl, recordVerificationImpl, recordAdminReplyImpl, describeVerifyPolicyImpl, getUserActivityImpl, saveUserActivityImpl } from './services/verify-policy.js';
+import { sendToSystemTopicImpl } from './services/system-topics.js';
+import { applyRuntimeSettingsImpl, setRuntimeSettingImpl, handleSettingsCommandImpl } from './services/settings.js';
+import { createBackupImpl, restoreBackupImpl, handleBackupCommandImpl, handleRestoreCommandImpl } from './services/backup.js';
 
 // ============================================================================
 // 配置常量
@@ -98,13 +117,13 @@ async function getOrCreateUserTopicRec(from, key, env, userId) {
 /**
  * 重置用户验证并要求重新验证
  */
-async function resetUserVerificationAndRequireReverify(env, { userId, userKey, oldThreadId, pendingMsgId, reason, userFrom = null }) {
+async function resetUserVerificationAndRequireReverify(env, { userId, userKey, oldThreadId, pendingMsg, reason, userFrom = null }) {
     return resetUserVerificationAndRequireReverifyImpl({
         env,
         userId,
         userKey,
         oldThreadId,
-        pendingMsgId,
+        pendingMsg,
         reason,
         hasD1,
         dbUserUpdate,
@@ -112,7 +131,9 @@ async function resetUserVerificationAndRequireReverify(env, { userId, userKey, o
         CONFIG,
         threadHealthCache,
         Logger,
-        sendVerificationChallenge
+        sendVerificationChallenge,
+        userFrom,
+        requestApproval
     });
 }
 
@@ -149,11 +170,37 @@ function shuffleArray(arr) {
 
 export { RateLimitDO };
 
+const adminHttpHandler = createAdminHttpHandler({
+    Logger,
+    tgCall,
+    checkRequiredBindings,
+    collectStatsSnapshot,
+    createBackup,
+    restoreBackup,
+    runKvToD1Migration,
+    getKvToD1MigrationState,
+    ensureSchema: dbEnsureSchema,
+    getSchemaStatus: dbGetSchemaStatus
+});
+
+const handleCallbackQuery = createCallbackRouter({
+    Logger,
+    tgCall,
+    isAdminUser,
+    routes: [
+        { prefix: 'verify', handle: handleVerifyCallback },
+        { prefix: 'approve', adminOnly: true, handle: handleApprovalCallback },
+        { prefix: 'card', adminOnly: true, handle: handleUserCardCallback },
+        { prefix: 'kwout', adminOnly: true, handle: handleOutboundHoldCallback }
+    ]
+});
+
 const fetchHandler = createWebhookFetchHandler({
     Logger,
+    handleAdminRequest: adminHttpHandler,
+    ensureSchema: dbEnsureSchema,
+    applyRuntimeSettings,
     tgCall,
-    flushExpiredMediaGroups,
-    cleanupExpiredMessageMaps,
     handleEditedMessage,
     handleCallbackQuery,
     handlePrivateMessage,
@@ -161,8 +208,58 @@ const fetchHandler = createWebhookFetchHandler({
     handleAdminReply
 });
 
+const scheduledHandler = createScheduledHandler({
+    Logger,
+    checkRequiredBindings,
+    ensureSchema: dbEnsureSchema,
+    applyRuntimeSettings,
+    jobs: [
+        {
+            name: 'media_group_flush',
+            intervalMs: CONFIG.CRON_MEDIA_GROUP_INTERVAL_SECONDS * 1000,
+            run: (env, ctx, now) => flushExpiredMediaGroups(env, now)
+        },
+        {
+            name: 'message_map_cleanup',
+            intervalMs: CONFIG.CRON_MESSAGE_MAP_INTERVAL_SECONDS * 1000,
+            run: (env) => cleanupExpiredMessageMaps(env)
+        },
+        {
+            name: 'message_queue',
+            intervalMs: CONFIG.CRON_QUEUE_INTERVAL_SECONDS * 1000,
+            run: (env, ctx) => processMessageQueue(env, ctx)
+        },
+        {
+            name: 'rate_limit_cleanup',
+            intervalMs: CONFIG.CRON_RATE_LIMIT_CLEANUP_INTERVAL_SECONDS * 1000,
+            run: (env) => cleanupRateLimitInstances(env)
+        },
+        {
+            name: 'kv_stale_sweep',
+            intervalMs: CONFIG.CRON_KV_SWEEP_INTERVAL_SECONDS * 1000,
+            run: (env, ctx, now) => sweepStaleKvKeysImpl({ env, now, CONFIG, getAllKeys, deleteBulk })
+        },
+        {
+            name: 'verify_event_cleanup',
+            intervalMs: CONFIG.CRON_VERIFY_EVENT_CLEANUP_INTERVAL_SECONDS * 1000,
+            run: (env) => dbVerifyEventCleanupExpired(env)
+        },
+        {
+            name: 'keyword_hit_cleanup',
+            intervalMs: CONFIG.CRON_KEYWORD_HIT_CLEANUP_INTERVAL_SECONDS * 1000,
+            run: (env) => dbKeywordHitCleanupExpired(env)
+        },
+        {
+            name: 'kv_to_d1_migration',
+            intervalMs: CONFIG.CRON_MIGRATION_INTERVAL_SECONDS * 1000,
+            run: (env) => continueKvToD1MigrationImpl(env, getMigrationDeps())
+        }
+    ]
+});
+
 export default {
-    fetch: fetchHandler
+    fetch: fetchHandler,
+    scheduled: scheduledHandler
 };
 
 // ============================================================================
@@ -210,14 +307,24 @@ async function forwardToTopic(msg, env, ctx) {
         hasD1,
         dbIsBanned,
         dbGetVerifyState,
+        dbSetVerifyState,
         sendVerificationChallenge,
+        requestApproval,
+        handleVerificationTextAnswer,
+        evaluateVerifyPolicy,
+        recordVerifyEvent,
+        banUser,
+        sendModLog,
         getFilterText,
+        getFilterFields,
         matchKeyword,
+        recordKeywordHit,
         Logger,
         dbUserGet,
         safeGetJSON,
         getOrCreateUserTopicRec,
         sendWelcomeCard,
+        syncTopicProfile,
         dbThreadGetUserId,
         dbThreadPut,
         threadHealthCache,
@@ -226,7 +333,9 @@ async function forwardToTopic(msg, env, ctx) {
         handleMediaGroup,
         normalizeTgDescription,
         isTopicMissingOrDeleted,
-        dbMessageMapPut
+        dbMessageMapPut,
+        enqueueFailedMessage,
+        isPermanentDeliveryFailure
     });
 }
 
@@ -239,7 +348,6 @@ async function handleAdminReply(msg, env, ctx) {
         hasD1,
         dbKeywordListWithId,
         tgCall,
-        dbSetBanned,
         dbThreadGetUserId,
         dbThreadPut,
         getAllKeys,
@@ -248,16 +356,86 @@ async function handleAdminReply(msg, env, ctx) {
         dbKeywordDelete,
         dbKeywordDeleteById,
         validateKeywordPattern,
+        testKeywordPattern,
+        KEYWORD_ENGINE_LABELS,
+        KEYWORD_ACTIONS,
+        KEYWORD_DIRECTIONS,
+        KEYWORD_FIELDS,
         CONFIG,
-        dbUserUpdate,
-        dbSetVerifyState,
-        dbUserGet,
-        dbGetVerifyState,
-        dbIsBanned,
         handleMediaGroup,
         dbMessageMapPut,
         handleCleanupCommand,
-        resolveUserProfileStatus
+        handleStatsCommand,
+        handleExportCommand,
+        handleBackupCommand,
+        handleRestoreCommand,
+        handleMigrateCommand,
+        handleSettingsCommand,
+        handleQuestionCommand,
+        banUser,
+        unbanUser,
+        trustUser,
+        resetVerification,
+        setConversationClosed,
+        buildUserInfoText,
+        recordAdminReply,
+        recordVerifyEvent,
+        handleVerifyHistoryCommand,
+        getFilterFields,
+        matchKeyword,
+        recordKeywordHit,
+        dbKeywordHitList,
+        holdOutboundMessage,
+        enqueueFailedMessage,
+        isPermanentDeliveryFailure
+    });
+}
+
+/**
+ * 将管理员消息复制给用户（外发拦截放行时使用）
+ */
+async function deliverAdminReply(env, delivery) {
+    return deliverAdminReplyImpl(env, delivery, {
+        tgCall,
+        saveMessageMap,
+        recordAdminReply,
+        recordVerifyEvent,
+        enqueueFailedMessage,
+        isPermanentDeliveryFailure
+    });
+}
+
+/**
+ * 管理员回复送达后计为一轮往来
+ */
+async function noteAdminReply(env, userId, threadId) {
+    return noteAdminReplyImpl(env, userId, threadId, { tgCall, recordAdminReply, recordVerifyEvent });
+}
+
+/**
+ * 暂扣命中外发关键词的管理员消息
+ */
+async function holdOutboundMessage(env, hold) {
+    return holdOutboundMessageImpl(env, hold, { tgCall, Logger, CONFIG });
+}
+
+/**
+ * 媒体组发送前整体检查外发关键词，命中时整组暂扣
+ */
+async function holdOutboundMediaGroup(env, rec) {
+    return holdOutboundMediaGroupImpl(env, rec, { matchKeyword, recordKeywordHit, tgCall, Logger, CONFIG });
+}
+
+/**
+ * 处理外发拦截提示按钮
+ */
+async function handleOutboundHoldCallback(query, env, ctx, args) {
+    return handleOutboundHoldCallbackImpl(query, env, ctx, args, {
+        tgCall,
+        Logger,
+        safeGetJSON,
+        deliverAdminReply,
+        noteAdminReply
     });
 }
 
@@ -268,40 +446,321 @@ async function handleAdminReply(msg, env, ctx) {
 /**
  * 发送人机验证挑战
  */
-async function sendVerificationChallenge(userId, env, pendingMsgId) {
+async function sendVerificationChallenge(userId, env, pendingMsg) {
     return sendVerificationChallengeImpl({
         userId,
         env,
-        pendingMsgId,
+        pendingMsg,
         safeGetJSON,
         checkRateLimit,
         tgCall,
+        tgUpload,
         Logger,
         CONFIG,
         LOCAL_QUESTIONS,
+        getVerificationQuestions,
+        getChallengeProvider,
         secureRandomInt,
         shuffleArray,
-        secureRandomId
+        secureRandomId,
+        recordVerifyEvent
     });
 }
 
+async function getVerificationQuestions(env) {
+    return getVerificationQuestionsImpl(env, { hasD1, dbQuestionListEnabledCached, Logger });
+}
+
+async function recordQuestionResult(env, questionId, passed) {
+    return recordQuestionResultImpl(env, questionId, passed, { dbQuestionRecordResult, Logger });
+}
+
 /**
  * 处理验证按钮点击
  */
-async function handleCallbackQuery(query, env, ctx) {
-    return handleCallbackQueryImpl({
+async function handleVerifyCallback(query, env, ctx, args) {
+    return handleVerifyCallbackImpl({
         query,
         env,
         ctx,
+        args,
         tgCall,
         Logger,
         hasD1,
         dbSetVerifyState,
         CONFIG,
-        forwardToTopic
+        forwardToTopic,
+        recordQuestionResult,
+        getChallengeProvider,
+        checkRateLimit,
+        safeGetJSON,
+        banUser,
+        sendModLog,
+        resolveUserProfileStatus,
+        recordVerification,
+        recordVerifyEvent
+    });
+}
+
+/**
+ * 处理文字作答类验证（验证期间的文字消息视为答案）
+ */
+async function handleVerificationTextAnswer(msg, env, ctx) {
+    return handleVerificationTextAnswerImpl(msg, env, ctx, {
+        safeGetJSON,
+        tgCall,
+        Logger,
+        hasD1,
+        dbSetVerifyState,
+        CONFIG,
+        forwardToTopic,
+        getChallengeProvider,
+        recordQuestionResult,
+        checkRateLimit,
+        banUser,
+        sendModLog,
+        resolveUserProfileStatus,
+        recordVerification,
+        recordVerifyEvent
+    });
+}
+
+// ============================================================================
+// 人工审核
+// ============================================================================
+
+/**
+ * 提交人工审核申请（VERIFY_MODE = approval）
+ */
+async function requestApproval(env, request) {
+    return requestApprovalImpl(env, request, {
+        safeGetJSON,
+        tgCall,
+        sendToSystemTopic,
+        recordVerifyEvent,
+        Logger,
+        CONFIG
+    });
+}
+
+/**
+ * 处理审核卡片按钮
+ */
+async function handleApprovalCallback(query, env, ctx, args) {
+    return handleApprovalCallbackImpl(query, env, ctx, args, {
+        tgCall,
+        Logger,
+        CONFIG,
+        hasD1,
+        dbSetVerifyState,
+        safeGetJSON,
+        banUser,
+        recordVerification,
+        recordVerifyEvent,
+        forwardPendingMessages,
+        withUserLock: runWithUserLock
+    });
+}
+
+/**
+ * 补发验证或审核期间暂存的消息
+ */
+async function forwardPendingMessages(env, ctx, userId, from, state) {
+    return forwardPendingMessagesImpl(env, ctx, userId, from, state, { tgCall, Logger, CONFIG, forwardToTopic });
+}
+
+// ============================================================================
+// 验证策略
+// ============================================================================
+
+function getVerifyPolicyDeps() {
+    return { hasD1, dbUserInfoGet, dbUserInfoPut, dbGetVerifyState, dbSetVerifyState, dbGetVerifyExpiresAt, safeGetJSON, CONFIG, Logger };
+}
+
+/**
+ * 评估已验证用户是否需要重新验证（长期未活动、资料变更）
+ */
+async function evaluateVerifyPolicy(env, msg, verifyState) {
+    return evaluateVerifyPolicyImpl(env, msg, verifyState, getVerifyPolicyDeps());
+}
+
+/**
+ * 记录验证来源
+ */
+async function recordVerification(env, userId, reason) {
+    return recordVerificationImpl(env, userId, reason, getVerifyPolicyDeps());
+}
+
+/**
+ * 记录管理员回复，达到阈值时自动信任
+ */
+async function recordAdminReply(env, userId) {
+    return recordAdminReplyImpl(env, userId, getVerifyPolicyDeps());
+}
+
+async function describeVerifyPolicy(env, userId, verifyState) {
+    return describeVerifyPolicyImpl(env, userId, verifyState, getVerifyPolicyDeps());
+}
+
+/**
+ * 读取 / 写入用户活动信息（users.user_info_json）
+ */
+async function getUserActivity(env, userId) {
+    return getUserActivityImpl(env, userId, getVerifyPolicyDeps());
+}
+
+async function saveUserActivity(env, userId, info) {
+    return saveUserActivityImpl(env, userId, info, getVerifyPolicyDeps());
+}
+
+/**
+ * 写入验证审计事件
+ */
+async function recordVerifyEvent(env, userId, event, detail) {
+    return recordVerifyEventImpl(env, userId, event, detail, { hasD1, dbVerifyEventAdd, Logger });
+}
+
+/**
+ * 处理 /vhistory 命令
+ */
+async function handleVerifyHistoryCommand(threadId, env, userId) {
+    return handleVerifyHistoryCommandImpl({
+        threadId,
+        env,
+        userId,
+        hasD1,
+        dbVerifyEventList,
+        CONFIG,
+        tgCall,
+        withMessageThreadId
+    });
+}
+
+// ============================================================================
+// 用户处置与审核日志
+// ============================================================================
+
+function getUserActionDeps() {
+    return {
+        hasD1,
+        dbIsBanned,
+        dbSetBanned,
+        dbSetVerifyState,
+        dbGetVerifyState,
+        dbUserGet,
+        dbUserUpdate,
+        safeGetJSON,
+        tgCall,
+        isAdminUser,
+        resolveUserProfileStatus,
+        recordVerification,
+        recordVerifyEvent,
+        describeVerifyPolicy,
+        Logger
+    };
+}
+
+/**
+ * 封禁用户（/ban 与自动封禁共用）
+ */
+async function banUser(env, userId, options) {
+    return banUserImpl(env, userId, options, getUserActionDeps());
+}
+
+/**
+ * 解封用户
+ */
+async function unbanUser(env, userId, options) {
+    return unbanUserImpl(env, userId, options, getUserActionDeps());
+}
+
+/**
+ * 设为永久信任（/trust 与用户卡片共用）
+ */
+async function trustUser(env, userId, options) {
+    return trustUserImpl(env, userId, options, getUserActionDeps());
+}
+
+/**
+ * 重置验证状态
+ */
+async function resetVerification(env, userId, options) {
+    return resetVerificationImpl(env, userId, options, getUserActionDeps());
+}
+
+/**
+ * 关闭或恢复对话
+ */
+async function setConversationClosed(env, userId, closed, options) {
+    return setConversationClosedImpl(env, userId, closed, options, getUserActionDeps());
+}
+
+async function getUserState(env, userId) {
+    return getUserStateImpl(env, userId, getUserActionDeps());
+}
+
+/**
+ * 生成 /info 用户信息文本
+ */
+async function buildUserInfoText(env, userId, options) {
+    return buildUserInfoTextImpl(env, userId, options, getUserActionDeps());
+}
+
+/**
+ * 发送带管理按钮的用户卡片
+ */
+async function sendWelcomeCard(env, threadId, userId, userFrom) {
+    return sendWelcomeCardImpl(env, threadId, userId, userFrom, {
+        tgCall,
+        getUserState,
+        getUserActivity,
+        saveUserActivity,
+        Logger
+    });
+}
+
+/**
+ * 按当前状态刷新用户卡片
+ */
+async function refreshUserCard(env, userId, options) {
+    return refreshUserCardImpl(env, userId, options, { tgCall, getUserState, resolveUserProfileStatus });
+}
+
+/**
+ * 处理用户卡片按钮
+ */
+async function handleUserCardCallback(query, env, ctx, args) {
+    return handleUserCardCallbackImpl(query, env, ctx, args, {
+        tgCall,
+        banUser,
+        unbanUser,
+        trustUser,
+        resetVerification,
+        setConversationClosed,
+        buildUserInfoText,
+        getUserState,
+        resolveUserProfileStatus
     });
 }
 
+function getSystemTopicDeps() {
+    return { hasD1, dbConfigGet, dbConfigPut, dbConfigDelete, tgCall, isTopicMissingOrDeleted, Logger };
+}
+
+/**
+ * 发送审核日志到系统话题
+ */
+async function sendModLog(env, text) {
+    return sendToSystemTopicImpl(env, 'modlog', { text }, getSystemTopicDeps());
+}
+
+/**
+ * 发送消息到指定系统话题，返回发送结果或 null
+ */
+async function sendToSystemTopic(env, key, payload) {
+    return sendToSystemTopicImpl(env, key, payload, getSystemTopicDeps());
+}
+
 // ============================================================================
 // 管理命令
 // ============================================================================
@@ -318,7 +777,8 @@ async function handleCleanupCommand(threadId, env) {
         hasD1,
         dbListUsers,
         probeForumThread,
-        resetUserVerificationAndRequireReverify,
+        // 与私聊消息共用用户级锁，重新发起审核/验证时不会与用户的新消息交错
+        resetUserVerificationAndRequireReverify: (env, request) => runWithUserLock(env, request.userId, () => resetUserVerificationAndRequireReverify(env, request)),
         Logger,
         safeGetJSON,
         deleteBulk,
@@ -328,6 +788,187 @@ async function handleCleanupCommand(threadId, env) {
     });
 }
 
+/**
+ * 处理 /stats 命令
+ */
+async function handleStatsCommand(threadId, env) {
+    return handleStatsCommandImpl({
+        threadId,
+        env,
+        collectStatsSnapshot,
+        tgCall,
+        withMessageThreadId
+    });
+}
+
+/**
+ * 处理 /export 命令
+ */
+async function handleExportCommand(threadId, env, args, senderId) {
+    return handleExportCommandImpl({
+        threadId,
+        env,
+        args,
+        senderId,
+        exportUserData,
+        tgCall,
+        tgUpload,
+        withMessageThreadId,
+        CONFIG,
+        Logger
+    });
+}
+
+/**
+ * 处理 /backup 命令
+ */
+async function handleBackupCommand(threadId, env, senderId) {
+    return handleBackupCommandImpl({
+        threadId,
+        env,
+        senderId,
+        createBackup,
+        tgCall,
+        tgUpload,
+        withMessageThreadId,
+        Logger
+    });
+}
+
+/**
+ * 处理 /restore 命令
+ */
+async function handleRestoreCommand(msg, env, args) {
+    return handleRestoreCommandImpl({
+        msg,
+        env,
+        args,
+        restoreBackup,
+        tgCall,
+        tgDownloadFileText,
+        withMessageThreadId,
+        Logger
+    });
+}
+
+// ============================================================================
+// 备份与恢复
+// ============================================================================
+
+async function createBackup(env) {
+    return createBackupImpl(env, { hasD1, BACKUP_TABLES, dbTableExportPage, Logger });
+}
+
+async function restoreBackup(env, archive, options) {
+    return restoreBackupImpl(env, archive, options, { hasD1, BACKUP_TABLES, dbTableFindExisting, dbTableRestoreRows, Logger });
+}
+
+/**
+ * 处理 /q 题库管理命令
+ */
+async function handleQuestionCommand(threadId, env, args) {
+    return handleQuestionCommandImpl({
+        threadId,
+        env,
+        args,
+        hasD1,
+        dbQuestionList,
+        dbQuestionAdd,
+        dbQuestionDelete,
+        dbQuestionSetEnabled,
+        LOCAL_QUESTIONS,
+        tgCall,
+        withMessageThreadId,
+        Logger
+    });
+}
+
+// ============================================================================
+// 运行时配置
+// ============================================================================
+
+function getSettingsDeps() {
+    return { hasD1, dbConfigPut, dbConfigDelete, dbConfigListByPrefix, getAllKeys, CONFIG, Logger };
+}
+
+async function applyRuntimeSettings(env, options) {
+    return applyRuntimeSettingsImpl(env, getSettingsDeps(), options);
+}
+
+async function setRuntimeSetting(env, key, value) {
+    return setRuntimeSettingImpl(env, key, value, getSettingsDeps());
+}
+
+/**
+ * 处理 /set /get /settings 命令
+ */
+async function handleSettingsCommand(threadId, env, command, args) {
+    return handleSettingsCommandImpl({
+        threadId,
+        env,
+        command,
+        args,
+        applyRuntimeSettings,
+        setRuntimeSetting,
+        CONFIG,
+        tgCall,
+        withMessageThreadId
+    });
+}
+
+// ============================================================================
+// KV → D1 迁移
+// ============================================================================
+
+function getMigrationDeps() {
+    return { hasD1, dbUserUpdate, dbThreadPut, dbSetVerifyState, dbSetBanned, dbCount, dbThreadCount, CONFIG, Logger };
+}
+
+async function runKvToD1Migration(env, options) {
+    return runKvToD1MigrationImpl(env, options, getMigrationDeps());
+}
+
+/**
+ * 处理 /migrate 命令
+ */
+async function handleMigrateCommand(threadId, env, args) {
+    return handleMigrateCommandImpl({
+        threadId,
+        env,
+        args,
+        runKvToD1Migration,
+        tgCall,
+        withMessageThreadId
+    });
+}
+
+// ============================================================================
+// 统计
+// ============================================================================
+
+async function exportUserData(env, userIds) {
+    return exportUserDataImpl(env, userIds, { hasD1, getAllKeys, safeGetBulk, getValueWithFullMetadata, Logger, CONFIG });
+}
+
+async function getBotStats(env) {
+    return getBotStatsImpl(env, { getAllKeys, hasD1, dbCount, safeGetBulk, Logger });
+}
+
+async function getUserActivityStats(env, limit) {
+    return getUserActivityStatsImpl(env, limit, { hasD1, getAllKeys, getValueWithFullMetadata, Logger });
+}
+
+async function getRateLimitStats(env) {
+    return getRateLimitStatsImpl(env, { getAllKeys, getUserActivityStats, CONFIG, Logger });
+}
+
+/**
+ * 汇总统计快照（/stats 命令与 /admin/stats 路由共用）
+ */
+async function collectStatsSnapshot(env) {
+    return collectStatsSnapshotImpl(env, { getBotStats, getRateLimitStats });
+}
+
 // ============================================================================
 // 话题创建和管理
 // ============================================================================
@@ -379,6 +1020,22 @@ function buildTopicTitle(from) {
     return buildTopicTitleImpl(from, CONFIG);
 }
 
+/**
+ * 用户资料变更时刷新话题标题与用户卡片
+ */
+async function syncTopicProfile(env, userId, from, rec, changes) {
+    return syncTopicProfileImpl(env, userId, from, rec, changes, {
+        getUserActivity,
+        buildTopicTitle,
+        tgCall,
+        hasD1,
+        dbUserUpdate,
+        putWithMetadata,
+        refreshUserCard,
+        Logger
+    });
+}
+
 // ============================================================================
 // Telegram API
 // ============================================================================
@@ -390,7 +1047,7 @@ function buildTopicTitle(from) {
 /**
  * 处理媒体组消息
  */
-async function handleMediaGroup(msg, env, ctx, { direction, targetChat, threadId }) {
+async function handleMediaGroup(msg, env, ctx, { direction, targetChat, threadId, filterFields, sourceThreadId }) {
     return handleMediaGroupImpl({
         msg,
         env,
@@ -398,6 +1055,8 @@ async function handleMediaGroup(msg, env, ctx, { direction, targetChat, threadId
         direction,
         targetChat,
         threadId,
+        filterFields,
+        sourceThreadId,
         tgCall,
         withMessageThreadId,
         safeGetJSON,
@@ -417,6 +1076,41 @@ async function cleanupExpiredMessageMaps(env) {
     return dbMessageMapCleanupExpired(env);
 }
 
+// ============================================================================
+// 定时维护
+// ============================================================================
+
+/**
+ * 处理失败消息队列
+ */
+async function processMessageQueue(env, ctx) {
+    return processMessageQueueImpl(env, ctx, {
+        getAllKeys,
+        safeGetJSON,
+        deleteBulk,
+        putWithMetadata,
+        tgCall,
+        withMessageThreadId,
+        saveMessageMap,
+        CONFIG,
+        Logger
+    });
+}
+
+/**
+ * 失败消息入队，等待定时任务重试
+ */
+async function enqueueFailedMessage(env, delivery, reason) {
+    return enqueueFailedMessageImpl(env, delivery, reason, { secureRandomId, putWithMetadata, Logger, CONFIG });
+}
+
+/**
+ * 清理各用户 DO 实例中的过期限流记录
+ */
+async function cleanupRateLimitInstances(env) {
+    return cleanupRateLimitInstancesImpl({ env, CONFIG, hasD1, dbListUsers, Logger });
+}
+
 /**
  * 延迟发送媒体组
  */
@@ -429,10 +1123,19 @@ async function delaySend(env, key, ts) {
         safeGetJSON,
         Logger,
         tgCall,
-        withMessageThreadId
+        withMessageThreadId,
+        holdMediaGroup: holdOutboundMediaGroup,
+        onSent: onMediaGroupSent
     });
 }
 
+/**
+ * 媒体组发送成功后：管理员相册计为一轮往来
+ */
+async function onMediaGroupSent(env, rec) {
+    if (rec.direction === 't2p') await noteAdminReply(env, rec.targetChat, rec.sourceThreadId);
+}
+
 // ============================================================================
 // 消息编辑同步
 // ============================================================================
@@ -450,6 +1153,25 @@ async function handleEditedMessage(msg, env, ctx) {
         safeGetJSON,
         dbUserGet,
         tgCall,
-        Logger
+        Logger,
+        getFilterFields,
+        matchKeyword,
+        recordKeywordHit
+    });
+}
+
+/**
+ * 记录消息映射
+ */
+async function saveMessageMap(env, sourceChatId, sourceMsgId, targetChatId, targetMsgId) {
+    return saveMessageMapImpl({
+        env,
+        sourceChatId,
+        sourceMsgId,
+        targetChatId,
+        targetMsgId,
+        hasD1,
+        dbMessageMapPut,
+        CONFIG
     });
 }
@@ -30,7 +30,46 @@ export const CONFIG = {
     TOPIC_CREATE_VERIFY_MAX_RETRIES: 2,
     TOPIC_CREATE_VERIFY_BACKOFF_MS: 350,
     KEYWORD_MAX_LENGTH: 200,
-    KEYWORD_MATCH_MAX_TEXT_LENGTH: 4000
+    KEYWORD_MATCH_MAX_TEXT_LENGTH: 4000,
+    KEYWORD_MATCH_STEP_BUDGET: 100000,
+    CRON_MEDIA_GROUP_INTERVAL_SECONDS: 300,
+    CRON_MESSAGE_MAP_INTERVAL_SECONDS: 3600,
+    CRON_QUEUE_INTERVAL_SECONDS: 60,
+    CRON_RATE_LIMIT_CLEANUP_INTERVAL_SECONDS: 3600,
+    CRON_KV_SWEEP_INTERVAL_SECONDS: 21600,
+    RATE_LIMIT_CLEANUP_BATCH_SIZE: 50,
+    KV_SWEEP_MAX_KEYS: 1000,
+    QUEUE_MAX_RETRIES: 5,
+    QUEUE_RETRY_BASE_DELAY_SECONDS: 60,
+    QUEUE_RETRY_MAX_DELAY_SECONDS: 3600,
+    QUEUE_DEAD_LETTER_TTL_SECONDS: 604800,
+    STATS_RATE_LIMIT_SAMPLE_SIZE: 50,
+    EXPORT_PAGE_SIZE: 500,
+    EXPORT_MAX_ROWS_PER_FILE: 5000,
+    CRON_MIGRATION_INTERVAL_SECONDS: 60,
+    MIGRATION_BATCH_SIZE: 100,
+    MIGRATION_TIME_BUDGET_MS: 20000,
+    MIGRATION_LOCK_TTL_SECONDS: 120,
+    SETTINGS_CACHE_TTL_MS: 30000,
+    VERIFY_CHALLENGE_TYPE: 'quiz',
+    VERIFY_MAX_ATTEMPTS: 2,
+    VERIFY_COOLDOWN_SECONDS: 600,
+    VERIFY_MAX_COOLDOWNS: 3,
+    VERIFY_PENALTY_WINDOW_SECONDS: 86400,
+    VERIFY_INACTIVITY_DAYS: 60,
+    VERIFY_ON_PROFILE_CHANGE: true,
+    AUTO_TRUST_EXCHANGES: 20,
+    VERIFY_HISTORY_LIMIT: 20,
+    VERIFY_EVENT_RETENTION_DAYS: 90,
+    CRON_VERIFY_EVENT_CLEANUP_INTERVAL_SECONDS: 86400,
+    VERIFY_MODE: 'challenge',
+    APPROVAL_EXPIRE_SECONDS: 604800,
+    APPROVAL_REJECT_COOLDOWN_SECONDS: 86400,
+    OUTBOUND_HOLD_EXPIRE_SECONDS: 86400,
+    KEYWORD_HITS_LIMIT: 10,
+    KEYWORD_HIT_EXCERPT_LENGTH: 80,
+    KEYWORD_HIT_RETENTION_DAYS: 90,
+    CRON_KEYWORD_HIT_CLEANUP_INTERVAL_SECONDS: 86400
 };
 
 export const LOCAL_QUESTIONS = [
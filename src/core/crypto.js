@@ -0,0 +1,77 @@
+const encoder = new TextEncoder();
+
+/**
+ * 常量时间字符串比较，避免通过响应耗时推断密钥内容。
+ * 长度不同时仍会遍历较长的一方，仅在最后返回结果。
+ */
+export function timingSafeEqual(a, b) {
+    const left = encoder.encode(String(a ?? ''));
+    const right = encoder.encode(String(b ?? ''));
+    const length = Math.max(left.length, right.length);
+    let diff = left.length ^ right.length;
+    for (let i = 0; i < length; i++) {
+        diff |= (left[i] ?? 0) ^ (right[i] ?? 0);
+    }
+    return diff === 0;
+}
+
+// callback_data 签名：HMAC-SHA256 截取前 8 字节，base64url 编码后 11 个字符
+const CALLBACK_SIGNATURE_BYTES = 8;
+const CALLBACK_SEPARATOR = '|';
+const CALLBACK_DATA_MAX_BYTES = 64;
+
+const callbackKeyCache = new Map();
+
+function toBase64Url(bytes) {
+    let binary = '';
+    for (const b of bytes) binary += String.fromCharCode(b);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * 由 BOT_TOKEN 派生 callback_data 签名密钥（实例内缓存）。
+ * 先加上用途前缀做一次 SHA-256，避免直接以 BOT_TOKEN 作为 HMAC 密钥。
+ */
+function getCallbackKey(botToken) {
+    const token = String(botToken || '');
+    let key = callbackKeyCache.get(token);
+    if (!key) {
+        key = crypto.subtle.digest('SHA-256', encoder.encode(`callback_data:${token}`))
+            .then(raw => crypto.subtle.importKey('raw', raw, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']));
+        callbackKeyCache.set(token, key);
+    }
+    return key;
+}
+
+async function computeCallbackSignature(botToken, payload) {
+    const key = await getCallbackKey(botToken);
+    const mac = await crypto.subtle.sign('HMAC', key, encoder.encode(payload));
+    return toBase64Url(new Uint8Array(mac).slice(0, CALLBACK_SIGNATURE_BYTES));
+}
+
+/**
+ * 为按钮 payload 附加签名，结果超过 Telegram 的 64 字节上限时抛出异常。
+ */
+export async function signCallbackData(botToken, payload) {
+    const text = String(payload);
+    if (text.includes(CALLBACK_SEPARATOR)) {
+        throw new Error(`callback_data 不能包含 "${CALLBACK_SEPARATOR}"`);
+    }
+    const data = `${text}${CALLBACK_SEPARATOR}${await computeCallbackSignature(botToken, text)}`;
+    if (encoder.encode(data).length > CALLBACK_DATA_MAX_BYTES) {
+        throw new Error(`callback_data 超过 ${CALLBACK_DATA_MAX_BYTES} 字节: ${text}`);
+    }
+    return data;
+}
+
+/**
+ * 校验带签名的 callback_data，通过时返回原始 payload，否则返回 null。
+ */
+export async function verifyCallbackData(botToken, data) {
+    const text = String(data ?? '');
+    const index = text.lastIndexOf(CALLBACK_SEPARATOR);
+    if (index <= 0) return null;
+    const payload = text.slice(0, index);
+    const expected = await computeCallbackSignature(botToken, payload);
+    return timingSafeEqual(text.slice(index + 1), expected) ? payload : null;
+}
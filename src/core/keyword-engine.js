@@ -0,0 +1,552 @@
+/**
+ * 关键词匹配引擎：把全部关键词编译为一个组合自动机，单条消息的匹配时间与文本长度成线性关系。
+ *
+ * - 纯文本关键词（含仅转义了元字符的表达式，如 `example\.com`）合并为一个 Aho-Corasick 自动机。
+ * - 其余表达式解析为正则子集，按 Thompson 构造编译到同一个 NFA，逐字符并行推进全部状态，
+ *   不做回溯，因此不存在灾难性回溯；另有步数预算兜底，超出预算时停止并返回已命中的规则。
+ *
+ * 支持的正则语法：字符、`.`、字符类 `[...]`（含范围与取反）、`\d \w \s \D \W \S`、
+ * `^ $ \b \B`、分组 `( )` `(?: )` `(?<name> )`、选择 `|`、量词 `* + ? {n} {n,} {n,m}`（惰性量词按贪婪处理）。
+ * 不支持反向引用与环视。匹配不区分大小写，与此前的 `new RegExp(pattern, 'i')` 一致。
+ */
+
+export const KEYWORD_ENGINE_LABELS = {
+    literal: 'Aho-Corasick（纯文本）',
+    nfa: '线性正则（NFA）'
+};
+
+// 单个表达式编译后的状态数上限（主要限制 {n,m} 展开）
+const MAX_PATTERN_STATES = 2000;
+const MAX_REPEAT = 1000;
+
+const LINE_TERMINATORS = new Set(['\n', '\r', '\u2028', '\u2029']);
+const SPACE_CHARS = new Set([
+    '\t', '\n', '\v', '\f', '\r', ' ', '\u00a0', '\u1680', '\u2028', '\u2029',
+    '\u202f', '\u205f', '\u3000', '\ufeff'
+]);
+const SIMPLE_ESCAPES = { n: '\n', r: '\r', t: '\t', v: '\v', f: '\f', '0': '\0' };
+
+class PatternError extends Error {}
+
+function isWordChar(ch) {
+    return ch !== undefined && /[A-Za-z0-9_]/.test(ch);
+}
+
+function isSpaceChar(ch) {
+    return SPACE_CHARS.has(ch) || (ch >= '\u2000' && ch <= '\u200a');
+}
+
+function matchesShorthand(kind, ch) {
+    switch (kind) {
+        case 'd': return ch >= '0' && ch <= '9';
+        case 'D': return !(ch >= '0' && ch <= '9');
+        case 'w': return isWordChar(ch);
+        case 'W': return !isWordChar(ch);
+        case 's': return isSpaceChar(ch);
+        case 'S': return !isSpaceChar(ch);
+        default: return false;
+    }
+}
+
+// ----------------------------------------------------------------------------
+// 解析
+// ----------------------------------------------------------------------------
+
+function parsePattern(pattern) {
+    let pos = 0;
+    const peek = () => pattern[pos];
+    const eof = () => pos >= pattern.length;
+
+    function parseHex(length) {
+        const hex = pattern.slice(pos, pos + length);
+        if (hex.length !== length || !/^[0-9a-fA-F]+$/.test(hex)) return null;
+        pos += length;
+        return String.fromCharCode(parseInt(hex, 16));
+    }
+
+    // 解析 `\` 之后的转义；inClass 为 true 时 \b 表示退格
+    function parseEscape(inClass) {
+        const ch = pattern[pos++];
+        if (ch === undefined) throw new PatternError('表达式以 \\ 结尾');
+        if ('dDwWsS'.includes(ch)) return { type: 'shorthand', kind: ch };
+        if (ch === 'b' || ch === 'B') {
+            return inClass ? { type: 'lit', ch: '\b' } : { type: 'assert', kind: ch };
+        }
+        if (ch in SIMPLE_ESCAPES && !(ch === '0' && /[0-9]/.test(peek() || ''))) {
+            return { type: 'lit', ch: SIMPLE_ESCAPES[ch] };
+        }
+        if (/[1-9]/.test(ch)) throw new PatternError('不支持反向引用');
+        if (ch === 'x' || ch === 'u') {
+            const decoded = parseHex(ch === 'x' ? 2 : 4);
+            if (decoded === null) throw new PatternError(`无效的转义 \\${ch}`);
+            return { type: 'lit', ch: decoded };
+        }
+        if (ch === 'k') throw new PatternError('不支持反向引用');
+        if (/[A-Za-z0-9]/.test(ch)) throw new PatternError(`不支持的转义 \\${ch}`);
+        return { type: 'lit', ch };
+    }
+
+    function parseClass() {
+        // 已消费 '['
+        let negate = false;
+        if (peek() === '^') {
+            negate = true;
+            pos++;
+        }
+        const items = [];
+        while (!eof() && peek() !== ']') {
+            let start;
+            if (peek() === '\\') {
+                pos++;
+                start = parseEscape(true);
+            } else {
+                start = { type: 'lit', ch: pattern[pos++] };
+            }
+            if (start.type === 'lit' && peek() === '-' && pattern[pos + 1] !== undefined && pattern[pos + 1] !== ']') {
+                pos++;
+                let end;
+                if (peek() === '\\') {
+                    pos++;
+                    end = parseEscape(true);
+                } else {
+                    end = { type: 'lit', ch: pattern[pos++] };
+                }
+                if (end.type !== 'lit') {
+                    // 形如 [a-\d]：按字面 '-' 处理
+                    items.push({ from: start.ch, to: start.ch }, { from: '-', to: '-' }, end);
+                    continue;
+                }
+                if (start.ch > end.ch) throw new PatternError('字符类范围顺序错误');
+                items.push({ from: start.ch, to: end.ch });
+                continue;
+            }
+            items.push(start.type === 'lit' ? { from: start.ch, to: start.ch } : start);
+        }
+        if (eof()) throw new PatternError('字符类缺少 ]');
+        pos++;
+        return { type: 'class', items, negate };
+    }
+
+    function parseQuantifier() {
+        const ch = peek();
+        if (ch === '*') { pos++; return { min: 0, max: Infinity }; }
+        if (ch === '+') { pos++; return { min: 1, max: Infinity }; }
+        if (ch === '?') { pos++; return { min: 0, max: 1 }; }
+        if (ch === '{') {
+            const m = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(pos));
+            // 不构成量词的 { 按字面处理（与 JS 正则一致）
+            if (!m) return null;
+            const min = Number(m[1]);
+            const max = m[2] === undefined ? min : (m[3] === '' ? Infinity : Number(m[3]));
+            if (max < min) throw new PatternError('量词范围顺序错误');
+            if (min > MAX_REPEAT || (max !== Infinity && max > MAX_REPEAT)) {
+                throw new PatternError(`重复次数过大（最大 ${MAX_REPEAT}）`);
+            }
+            pos += m[0].length;
+            return { min, max };
+        }
+        return null;
+    }
+
+    function parseAtom() {
+        const ch = pattern[pos++];
+        if (ch === '(') {
+            if (peek() === '?') {
+                const head = pattern.slice(pos, pos + 3);
+                if (head.startsWith('?:')) {
+                    pos += 2;
+                } else if (head.startsWith('?=') || head.startsWith('?!') || head === '?<=' || head === '?<!') {
+                    throw new PatternError('不支持环视');
+                } else if (head.startsWith('?<')) {
+                    const close = pattern.indexOf('>', pos);
+                    if (close < 0) throw new PatternError('分组名称缺少 >');
+                    pos = close + 1;
+                } else {
+                    throw new PatternError('无效的分组');
+                }
+            }
+            const node = parseAlternation();
+            if (peek() !== ')') throw new PatternError('缺少 )');
+            pos++;
+            return node;
+        }
+        if (ch === '[') return parseClass();
+        if (ch === '.') return { type: 'any' };
+        if (ch === '^' || ch === '$') return { type: 'assert', kind: ch };
+        if (ch === '\\') return parseEscape(false);
+        if (ch === ')') throw new PatternError('多余的 )');
+        if (ch === '*' || ch === '+' || ch === '?') throw new PatternError('量词前缺少内容');
+        return { type: 'lit', ch };
+    }
+
+    function parseSequence() {
+        const parts = [];
+        while (!eof() && peek() !== '|' && peek() !== ')') {
+            let node = parseAtom();
+            const quantifier = parseQuantifier();
+            if (quantifier) {
+                if (node.type === 'assert') throw new PatternError('量词位置无效');
+                // 惰性量词只影响匹配内容，不影响是否命中
+                if (peek() === '?') pos++;
+                node = { type: 'repeat', node, ...quantifier };
+                if (parseQuantifier()) throw new PatternError('连续量词无效');
+            }
+            parts.push(node);
+        }
+        return parts.length === 1 ? parts[0] : { type: 'cat', parts };
+    }
+
+    function parseAlternation() {
+        const options = [parseSequence()];
+        while (peek() === '|') {
+            pos++;
+            options.push(parseSequence());
+        }
+        return options.length === 1 ? options[0] : { type: 'alt', options };
+    }
+
+    const ast = parseAlternation();
+    if (!eof()) throw new PatternError('多余的 )');
+    return ast;
+}
+
+// 表达式只由普通字符及其选择组成（如 `退款`、`优惠|折扣`）时返回全部候选文本，否则返回 null
+function getLiteralTexts(node) {
+    if (node.type === 'lit') return [node.ch];
+    if (node.type === 'cat' && node.parts.length > 0 && node.parts.every(part => part.type === 'lit')) {
+        return [node.parts.map(part => part.ch).join('')];
+    }
+    if (node.type === 'alt') {
+        const texts = [];
+        for (const option of node.options) {
+            const optionTexts = getLiteralTexts(option);
+            if (!optionTexts) return null;
+            texts.push(...optionTexts);
+        }
+        return texts;
+    }
+    return null;
+}
+
+// ----------------------------------------------------------------------------
+// NFA 构造（Thompson）
+// ----------------------------------------------------------------------------
+
+// 文本已整体转为小写；字符类范围同时按大写形式比较（如 [A-Z]）
+function buildCharTest(node) {
+    switch (node.type) {
+        case 'lit': {
+            const expected = node.ch.toLowerCase();
+            return { literal: expected, test: ch => ch === expected };
+        }
+        case 'any':
+            return { literal: null, test: ch => !LINE_TERMINATORS.has(ch) };
+        case 'shorthand':
+            return { literal: null, test: ch => matchesShorthand(node.kind, ch) };
+        default: {
+            const { items, negate } = node;
+            return {
+                literal: null,
+                test: (ch) => {
+                    const upper = ch.toUpperCase();
+                    const hit = items.some(item => item.type === 'shorthand'
+                        ? matchesShorthand(item.kind, ch)
+                        : (ch >= item.from && ch <= item.to) || (upper.length === 1 && upper >= item.from && upper <= item.to));
+                    return hit !== negate;
+                }
+            };
+        }
+    }
+}
+
+// 状态类型：char（消耗一个字符）、split（两路 ε 转移）、assert（位置断言）、match（命中规则）
+function createNfaBuilder(states, rule) {
+    const startCount = states.length;
+    const add = (state) => {
+        if (states.length - startCount >= MAX_PATTERN_STATES) {
+            throw new PatternError('表达式过于复杂');
+        }
+        states.push({ ...state, rule });
+        return states.length - 1;
+    };
+
+    function compile(node, next) {
+        switch (node.type) {
+            case 'lit':
+            case 'any':
+            case 'shorthand':
+            case 'class':
+                return add({ type: 'char', ...buildCharTest(node), out: next });
+            case 'assert':
+                return add({ type: 'assert', kind: node.kind, out: next });
+            case 'cat': {
+                let cur = next;
+                for (let i = node.parts.length - 1; i >= 0; i--) cur = compile(node.parts[i], cur);
+                return cur;
+            }
+            case 'alt': {
+                let cur = compile(node.options[node.options.length - 1], next);
+                for (let i = node.options.length - 2; i >= 0; i--) {
+                    cur = add({ type: 'split', out: compile(node.options[i], next), out1: cur });
+                }
+                return cur;
+            }
+            case 'repeat': {
+                let cur = next;
+                if (node.max === Infinity) {
+                    const loop = add({ type: 'split', out: -1, out1: next });
+                    states[loop].out = compile(node.node, loop);
+                    cur = loop;
+                } else {
+                    for (let i = node.min; i < node.max; i++) {
+                        cur = add({ type: 'split', out: compile(node.node, cur), out1: next });
+                    }
+                }
+                for (let i = 0; i < node.min; i++) cur = compile(node.node, cur);
+                return cur;
+            }
+            default:
+                return next;
+        }
+    }
+
+    return { add, compile };
+}
+
+function testAssert(kind, text, index) {
+    switch (kind) {
+        case '^': return index === 0;
+        case '$': return index === text.length;
+        case 'b': return isWordChar(text[index - 1]) !== isWordChar(text[index]);
+        case 'B': return isWordChar(text[index - 1]) === isWordChar(text[index]);
+        default: return false;
+    }
+}
+
+/**
+ * 预先展开各规则起始状态的 ε 闭包。
+ *
+ * 起始闭包中不含断言的规则，其首字符状态按字面字符建立索引，扫描时每个位置只检查可能命中的状态；
+ * 含断言的规则（如以 ^ 或 \b 开头）每个位置按常规方式展开。可匹配空串的规则直接视为命中。
+ */
+function indexStartStates(states, starts) {
+    const byChar = new Map();
+    const other = [];
+    const dynamic = [];
+    const emptyMatches = [];
+
+    for (const start of starts) {
+        const seen = new Set();
+        const charStates = [];
+        const stack = [start];
+        let hasAssert = false;
+        let matchesEmpty = false;
+        while (stack.length > 0) {
+            const s = stack.pop();
+            if (seen.has(s)) continue;
+            seen.add(s);
+            const state = states[s];
+            if (state.type === 'split') {
+                stack.push(state.out1, state.out);
+            } else if (state.type === 'assert') {
+                hasAssert = true;
+            } else if (state.type === 'match') {
+                matchesEmpty = true;
+            } else {
+                charStates.push(s);
+            }
+        }
+
+        if (matchesEmpty && !hasAssert) {
+            emptyMatches.push(states[start].rule);
+        } else if (hasAssert) {
+            dynamic.push(start);
+        } else {
+            for (const s of charStates) {
+                const literal = states[s].literal;
+                if (literal === null) {
+                    other.push(s);
+                } else {
+                    if (!byChar.has(literal)) byChar.set(literal, []);
+                    byChar.get(literal).push(s);
+                }
+            }
+        }
+    }
+    return { byChar, other, dynamic, emptyMatches };
+}
+
+// ----------------------------------------------------------------------------
+// Aho-Corasick
+// ----------------------------------------------------------------------------
+
+function buildAhoCorasick(literals) {
+    const nodes = [{ next: new Map(), fail: 0, outputs: [] }];
+    for (const { text, rule } of literals) {
+        let cur = 0;
+        for (const ch of text) {
+            let child = nodes[cur].next.get(ch);
+            if (child === undefined) {
+                child = nodes.length;
+                nodes.push({ next: new Map(), fail: 0, outputs: [] });
+                nodes[cur].next.set(ch, child);
+            }
+            cur = child;
+        }
+        nodes[cur].outputs.push(rule);
+    }
+
+    // 按层遍历建立失败指针，并合并后缀节点的输出
+    const queue = [...nodes[0].next.values()];
+    for (let head = 0; head < queue.length; head++) {
+        const node = nodes[queue[head]];
+        for (const [ch, child] of node.next) {
+            let fail = node.fail;
+            while (fail !== 0 && !nodes[fail].next.has(ch)) fail = nodes[fail].fail;
+            const target = nodes[fail].next.get(ch);
+            nodes[child].fail = target !== undefined && target !== child ? target : 0;
+            nodes[child].outputs = nodes[child].outputs.concat(nodes[nodes[child].fail].outputs);
+            queue.push(child);
+        }
+    }
+    return nodes;
+}
+
+function runAhoCorasick(nodes, text, hit) {
+    let cur = 0;
+    for (const ch of text) {
+        while (cur !== 0 && !nodes[cur].next.has(ch)) cur = nodes[cur].fail;
+        cur = nodes[cur].next.get(ch) ?? 0;
+        for (const rule of nodes[cur].outputs) hit[rule] = 1;
+    }
+}
+
+// ----------------------------------------------------------------------------
+// 对外接口
+// ----------------------------------------------------------------------------
+
+/**
+ * 编译单个表达式，返回 { ok: true, engine: 'literal' | 'nfa' } 或 { ok: false, reason }。
+ */
+export function compileKeywordPattern(pattern) {
+    const { engines, errors } = createKeywordMatcher([pattern]);
+    return errors.length > 0
+        ? { ok: false, reason: errors[0].reason }
+        : { ok: true, engine: engines[0] };
+}
+
+/**
+ * 把一组表达式编译为组合匹配器。
+ *
+ * 返回 { match(text, budget), engines, errors }：
+ * - match 返回 { hits, exhausted, steps }，hits 为命中规则的下标（升序）；
+ *   budget 为正则部分的步数上限，耗尽时停止扫描并置 exhausted，已命中的规则仍然返回；
+ *   steps 为实际消耗的步数，便于多段文本共用同一上限。
+ * - engines[i] 为第 i 条规则使用的引擎（'literal' / 'nfa'）；无法编译的规则为 null，原因记录在 errors（{ index, reason }）。
+ */
+export function createKeywordMatcher(patterns) {
+    const literals = [];
+    const states = [];
+    const starts = [];
+    const engines = [];
+    const errors = [];
+
+    patterns.forEach((pattern, rule) => {
+        try {
+            const ast = parsePattern(String(pattern));
+            const texts = getLiteralTexts(ast);
+            if (texts) {
+                for (const text of texts) literals.push({ text: text.toLowerCase(), rule });
+                engines[rule] = 'literal';
+                return;
+            }
+            const checkpoint = states.length;
+            const builder = createNfaBuilder(states, rule);
+            try {
+                starts.push(builder.compile(ast, builder.add({ type: 'match' })));
+            } catch (e) {
+                states.length = checkpoint;
+                throw e;
+            }
+            engines[rule] = 'nfa';
+        } catch (e) {
+            if (!(e instanceof PatternError)) throw e;
+            engines[rule] = null;
+            errors.push({ index: rule, reason: e.message });
+        }
+    });
+
+    const acNodes = literals.length > 0 ? buildAhoCorasick(literals) : null;
+    const startIndex = indexStartStates(states, starts);
+    const marks = new Int32Array(states.length);
+
+    function match(text, budget = Infinity) {
+        const lower = String(text).toLowerCase();
+        const hit = new Uint8Array(patterns.length);
+        if (acNodes) runAhoCorasick(acNodes, lower, hit);
+        for (const rule of startIndex.emptyMatches) hit[rule] = 1;
+
+        let exhausted = false;
+        let steps = 0;
+        if (states.length > 0) {
+            let clist = [];
+            let nlist = [];
+            // marks 记录状态最近一次加入时的位置（+1），保证同一位置每个状态只处理一次
+            marks.fill(0);
+
+            const stack = [];
+            const addState = (list, start, index) => {
+                stack.push(start);
+                while (stack.length > 0) {
+                    const s = stack.pop();
+                    if (marks[s] === index + 1) continue;
+                    marks[s] = index + 1;
+                    steps++;
+                    const state = states[s];
+                    if (hit[state.rule]) continue;
+                    if (state.type === 'match') {
+                        hit[state.rule] = 1;
+                    } else if (state.type === 'split') {
+                        stack.push(state.out1, state.out);
+                    } else if (state.type === 'assert') {
+                        if (testAssert(state.kind, lower, index)) stack.push(state.out);
+                    } else {
+                        list.push(s);
+                    }
+                }
+            };
+            const step = (s, ch, index) => {
+                const state = states[s];
+                steps++;
+                if (!hit[state.rule] && state.test(ch)) addState(nlist, state.out, index + 1);
+            };
+
+            for (let i = 0; i <= lower.length; i++) {
+                for (const start of startIndex.dynamic) addState(clist, start, i);
+                if (i === lower.length) break;
+
+                const ch = lower[i];
+                for (const s of clist) step(s, ch, i);
+                // 新的匹配起点：只检查首字符可能命中的状态
+                const candidates = startIndex.byChar.get(ch);
+                if (candidates) for (const s of candidates) step(s, ch, i);
+                for (const s of startIndex.other) step(s, ch, i);
+
+                [clist, nlist] = [nlist, clist];
+                nlist.length = 0;
+                if (steps > budget) {
+                    exhausted = true;
+                    break;
+                }
+            }
+        }
+
+        const hits = [];
+        for (let rule = 0; rule < hit.length; rule++) {
+            if (hit[rule]) hits.push(rule);
+        }
+        return { hits, exhausted, steps };
+    }
+
+    return { match, engines, errors };
+}
@@ -0,0 +1,80 @@
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+let crcTable = null;
+
+function getCrcTable() {
+    if (crcTable) return crcTable;
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        crcTable[n] = c >>> 0;
+    }
+    return crcTable;
+}
+
+function crc32(bytes) {
+    const table = getCrcTable();
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function buildChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+async function zlibDeflate(bytes) {
+    // CompressionStream('deflate') 输出 zlib 格式（RFC 1950），正是 PNG IDAT 所需
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * 将 8 位灰度像素编码为 PNG。
+ * pixels 长度须为 width * height，按行优先排列。
+ */
+export async function encodeGrayscalePng(width, height, pixels) {
+    const raw = new Uint8Array((width + 1) * height);
+    for (let y = 0; y < height; y++) {
+        // 每行首字节为过滤类型，0 表示不过滤
+        raw[y * (width + 1)] = 0;
+        raw.set(pixels.subarray(y * width, (y + 1) * width), y * (width + 1) + 1);
+    }
+
+    const header = new Uint8Array(13);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, width);
+    headerView.setUint32(4, height);
+    header[8] = 8;  // 位深
+    header[9] = 0;  // 颜色类型：灰度
+    header[10] = 0; // 压缩方式
+    header[11] = 0; // 过滤方式
+    header[12] = 0; // 不隔行
+
+    const parts = [
+        new Uint8Array(PNG_SIGNATURE),
+        buildChunk('IHDR', header),
+        buildChunk('IDAT', await zlibDeflate(raw)),
+        buildChunk('IEND', new Uint8Array(0))
+    ];
+
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const png = new Uint8Array(total);
+    let offset = 0;
+    for (const part of parts) {
+        png.set(part, offset);
+        offset += part.length;
+    }
+    return png;
+}
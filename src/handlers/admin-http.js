@@ -0,0 +1,252 @@
+import { timingSafeEqual } from '../core/crypto.js';
+
+const WEBHOOK_ALLOWED_UPDATES = ['message', 'edited_message', 'callback_query'];
+
+function jsonResponse(data, status = 200) {
+    return new Response(JSON.stringify(data, null, 2), {
+        status,
+        headers: { 'content-type': 'application/json; charset=utf-8' }
+    });
+}
+
+function isTruthyParam(value) {
+    return ['1', 'true', 'yes'].includes(String(value || '').toLowerCase());
+}
+
+/**
+ * 管理 HTTP 路由（/admin/*）。
+ *
+ * 鉴权：
+ * - 需配置 ADMIN_TOKEN，未配置时所有管理路由返回 404。
+ * - 通过 `Authorization: Bearer <token>` 或查询参数 `?token=` 携带，便于浏览器直接访问。
+ */
+export function createAdminHttpHandler({
+    Logger,
+    tgCall,
+    checkRequiredBindings,
+    collectStatsSnapshot,
+    createBackup,
+    restoreBackup,
+    runKvToD1Migration,
+    getKvToD1MigrationState,
+    ensureSchema,
+    getSchemaStatus
+}) {
+    function isAuthorized(request, url, env) {
+        const expected = String(env.ADMIN_TOKEN);
+        const authHeader = request.headers.get('authorization') || '';
+        const bearer = authHeader.toLowerCase().startsWith('bearer ') ? authHeader.slice(7).trim() : '';
+        const provided = bearer || url.searchParams.get('token') || '';
+        return timingSafeEqual(provided, expected);
+    }
+
+    function buildBindingReport(env) {
+        const errors = checkRequiredBindings(env);
+        return {
+            ok: errors.length === 0,
+            errors,
+            optional: {
+                RATE_LIMIT_DO: !!env.RATE_LIMIT_DO,
+                WEBHOOK_SECRET: !!env.WEBHOOK_SECRET,
+                ADMIN_IDS: !!env.ADMIN_IDS
+            }
+        };
+    }
+
+    function getExpectedWebhookUrl(url) {
+        return `${url.origin}/`;
+    }
+
+    async function handleWebhookSetup(request, url, env) {
+        const bindings = buildBindingReport(env);
+        if (!bindings.ok) {
+            return jsonResponse({ ok: false, error: 'bindings_incomplete', bindings }, 500);
+        }
+
+        const webhookUrl = getExpectedWebhookUrl(url);
+        const payload = {
+            url: webhookUrl,
+            allowed_updates: WEBHOOK_ALLOWED_UPDATES,
+            drop_pending_updates: isTruthyParam(url.searchParams.get('drop_pending_updates'))
+        };
+        if (env.WEBHOOK_SECRET) payload.secret_token = String(env.WEBHOOK_SECRET);
+
+        const res = await tgCall(env, 'setWebhook', payload);
+        Logger.info('admin_webhook_setup', { ok: !!res.ok, webhookUrl, description: res.description });
+
+        return jsonResponse({
+            ok: !!res.ok,
+            description: res.description || null,
+            webhookUrl,
+            allowedUpdates: WEBHOOK_ALLOWED_UPDATES,
+            secretToken: !!env.WEBHOOK_SECRET,
+            dropPendingUpdates: payload.drop_pending_updates,
+            bindings
+        }, res.ok ? 200 : 502);
+    }
+
+    async function handleWebhookInfo(request, url, env) {
+        const bindings = buildBindingReport(env);
+        if (!env.BOT_TOKEN) {
+            return jsonResponse({ ok: false, error: 'bot_token_missing', bindings }, 500);
+        }
+
+        const res = await tgCall(env, 'getWebhookInfo', {});
+        if (!res.ok) {
+            return jsonResponse({ ok: false, description: res.description || null, bindings }, 502);
+        }
+
+        const info = res.result || {};
+        const expectedUrl = getExpectedWebhookUrl(url);
+        return jsonResponse({
+            ok: true,
+            bindings,
+            webhook: {
+                url: info.url || '',
+                expectedUrl,
+                matchesWorker: info.url === expectedUrl,
+                pendingUpdateCount: info.pending_update_count ?? 0,
+                lastErrorDate: info.last_error_date ? new Date(info.last_error_date * 1000).toISOString() : null,
+                lastErrorMessage: info.last_error_message || null,
+                lastSynchronizationErrorDate: info.last_synchronization_error_date
+                    ? new Date(info.last_synchronization_error_date * 1000).toISOString()
+                    : null,
+                maxConnections: info.max_connections ?? null,
+                allowedUpdates: info.allowed_updates || null,
+                ipAddress: info.ip_address || null
+            }
+        });
+    }
+
+    async function handleWebhookDelete(request, url, env) {
+        if (!env.BOT_TOKEN) {
+            return jsonResponse({ ok: false, error: 'bot_token_missing', bindings: buildBindingReport(env) }, 500);
+        }
+
+        const dropPending = isTruthyParam(url.searchParams.get('drop_pending_updates'));
+        const res = await tgCall(env, 'deleteWebhook', { drop_pending_updates: dropPending });
+        Logger.info('admin_webhook_delete', { ok: !!res.ok, dropPending, description: res.description });
+
+        return jsonResponse({
+            ok: !!res.ok,
+            description: res.description || null,
+            dropPendingUpdates: dropPending
+        }, res.ok ? 200 : 502);
+    }
+
+    async function handleStats(request, url, env) {
+        const bindings = buildBindingReport(env);
+        if (!bindings.ok) {
+            return jsonResponse({ ok: false, error: 'bindings_incomplete', bindings }, 500);
+        }
+        const snapshot = await collectStatsSnapshot(env);
+        return jsonResponse({ ok: !!snapshot.bot, ...snapshot });
+    }
+
+    async function handleBackup(request, url, env) {
+        const bindings = buildBindingReport(env);
+        if (!bindings.ok) {
+            return jsonResponse({ ok: false, error: 'bindings_incomplete', bindings }, 500);
+        }
+        const archive = await createBackup(env);
+        const stamp = archive.createdAt.replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+        return new Response(JSON.stringify(archive), {
+            headers: {
+                'content-type': 'application/json; charset=utf-8',
+                'content-disposition': `attachment; filename="backup-${stamp}.json"`
+            }
+        });
+    }
+
+    async function handleRestore(request, url, env) {
+        const bindings = buildBindingReport(env);
+        if (!bindings.ok) {
+            return jsonResponse({ ok: false, error: 'bindings_incomplete', bindings }, 500);
+        }
+
+        let archive;
+        try {
+            archive = await request.json();
+        } catch (e) {
+            return jsonResponse({ ok: false, error: 'invalid_json', description: String(e?.message || e) }, 400);
+        }
+
+        // 默认仅预检，需显式 ?apply=1 才写入
+        const report = await restoreBackup(env, archive, {
+            dryRun: !isTruthyParam(url.searchParams.get('apply')),
+            overwrite: url.searchParams.get('mode') === 'overwrite'
+        });
+        return jsonResponse(report, report.ok ? 200 : 422);
+    }
+
+    async function handleMigrate(request, url, env) {
+        if (request.method === 'GET') {
+            const state = await getKvToD1MigrationState(env);
+            return jsonResponse({ ok: true, state });
+        }
+
+        const result = await runKvToD1Migration(env, { restart: isTruthyParam(url.searchParams.get('restart')) });
+        const status = result.ok ? 200 : (result.error === 'migration_in_progress' ? 409 : 500);
+        return jsonResponse(result, status);
+    }
+
+    async function handleSchema(request, url, env) {
+        if (!env.TG_BOT_DB) {
+            return jsonResponse({ ok: false, error: 'd1_not_configured', bindings: buildBindingReport(env) }, 500);
+        }
+
+        let applied = [];
+        if (request.method === 'POST') {
+            try {
+                applied = (await ensureSchema(env, { force: true }))?.applied || [];
+            } catch (e) {
+                return jsonResponse({ ok: false, error: String(e?.message || e), schema: await getSchemaStatus(env) }, 500);
+            }
+        }
+
+        const schema = await getSchemaStatus(env);
+        const ok = schema.pending.length === 0 && schema.missingTables.length === 0;
+        return jsonResponse({ ok, applied, schema });
+    }
+
+    const routes = {
+        '/admin/webhook/setup': { methods: ['GET', 'POST'], handler: handleWebhookSetup },
+        '/admin/webhook/info': { methods: ['GET'], handler: handleWebhookInfo },
+        '/admin/webhook/delete': { methods: ['GET', 'POST'], handler: handleWebhookDelete },
+        '/admin/stats': { methods: ['GET'], handler: handleStats },
+        '/admin/schema': { methods: ['GET', 'POST'], handler: handleSchema },
+        '/admin/backup': { methods: ['GET'], handler: handleBackup },
+        '/admin/restore': { methods: ['POST'], handler: handleRestore },
+        '/admin/migrate/kv-to-d1': { methods: ['GET', 'POST'], handler: handleMigrate }
+    };
+
+    return async function handleAdminRequest(request, env, ctx) {
+        const url = new URL(request.url);
+
+        if (!env.ADMIN_TOKEN) {
+            return new Response('Not Found', { status: 404 });
+        }
+        if (!isAuthorized(request, url, env)) {
+            Logger.warn('admin_http_unauthorized', {
+                path: url.pathname,
+                ip: request.headers.get('cf-connecting-ip') || undefined
+            });
+            return jsonResponse({ ok: false, error: 'unauthorized' }, 401);
+        }
+
+        const route = routes[url.pathname.replace(/\/+$/, '')];
+        if (!route) {
+            return jsonResponse({ ok: false, error: 'not_found', routes: Object.keys(routes) }, 404);
+        }
+        if (!route.methods.includes(request.method)) {
+            return jsonResponse({ ok: false, error: 'method_not_allowed', allow: route.methods }, 405);
+        }
+
+        try {
+            return await route.handler(request, url, env, ctx);
+        } catch (e) {
+            Logger.error('admin_http_failed', e, { path: url.pathname });
+            return jsonResponse({ ok: false, error: String(e?.message || e) }, 500);
+        }
+    };
+}
@@ -0,0 +1,56 @@
+import { verifyCallbackData } from '../core/crypto.js';
+
+export const CALLBACK_EXPIRED_TEXT = '⌛ 按钮已失效，请重新操作';
+
+/**
+ * 按钮回调路由：校验 callback_data 签名后按前缀分发。
+ *
+ * 说明：
+ * - callback_data 格式为 `<prefix>:<arg1>:<arg2>...|<签名>`，由 signCallbackData 生成。
+ * - 签名无效、前缀未注册或处理函数返回 false 时，统一回复「按钮已失效」。
+ * - route.adminOnly 为 true 时仅管理员可触发。
+ * - 处理函数自行调用 answerCallbackQuery；抛出异常时由路由回复系统错误。
+ */
+export function createCallbackRouter({ Logger, tgCall, isAdminUser, routes }) {
+    const routeMap = new Map(routes.map(route => [route.prefix, route]));
+
+    const answer = (env, query, text) => tgCall(env, 'answerCallbackQuery', {
+        callback_query_id: query.id,
+        text,
+        show_alert: true
+    });
+
+    return async function handleCallbackQuery(query, env, ctx) {
+        const payload = await verifyCallbackData(env.BOT_TOKEN, query.data);
+        if (payload === null) {
+            Logger.warn('callback_signature_invalid', { userId: query.from?.id, callbackData: query.data });
+            await answer(env, query, CALLBACK_EXPIRED_TEXT);
+            return;
+        }
+
+        const [prefix, ...args] = payload.split(':');
+        const route = routeMap.get(prefix);
+        if (!route) {
+            Logger.warn('callback_route_not_found', { userId: query.from?.id, prefix });
+            await answer(env, query, CALLBACK_EXPIRED_TEXT);
+            return;
+        }
+
+        try {
+            if (route.adminOnly && !(await isAdminUser(env, query.from?.id))) {
+                await answer(env, query, '❌ 仅管理员可操作');
+                return;
+            }
+            const handled = await route.handle(query, env, ctx, args);
+            if (handled === false) {
+                await answer(env, query, CALLBACK_EXPIRED_TEXT);
+            }
+        } catch (e) {
+            Logger.error('callback_query_error', e, {
+                userId: query.from?.id,
+                callbackData: query.data
+            });
+            await answer(env, query, '⚠️ 系统错误，请重试');
+        }
+    };
+}
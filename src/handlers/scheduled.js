@@ -0,0 +1,76 @@
+/**
+ * Cron Trigger 入口：按顺序执行周期维护任务。
+ *
+ * 说明：
+ * - 每个任务带独立节流（KV 记录上次执行时间），cron 频率高于任务间隔时会自动跳过。
+ * - 节流时间以 controller.scheduledTime 为准，避免触发时刻抖动导致误跳过。
+ * - 单个任务失败不影响后续任务，全部结束后输出一条汇总日志。
+ */
+export function createScheduledHandler({
+    Logger,
+    checkRequiredBindings,
+    ensureSchema,
+    applyRuntimeSettings,
+    jobs
+}) {
+    const throttleKey = (name) => `sys:cron:${name}:last`;
+
+    async function runJob(job, env, ctx, now) {
+        const startedAt = Date.now();
+        const intervalMs = Math.max(0, Number(job.intervalMs || 0));
+
+        if (intervalMs > 0) {
+            const lastRun = Number(await env.TOPIC_MAP.get(throttleKey(job.name)) || 0);
+            if (lastRun && (now - lastRun) < intervalMs) {
+                return { status: 'skipped' };
+            }
+            await env.TOPIC_MAP.put(throttleKey(job.name), String(now), {
+                expirationTtl: Math.max(60, Math.ceil((intervalMs * 2) / 1000))
+            });
+        }
+
+        try {
+            const result = await job.run(env, ctx, now);
+            return { status: 'ran', durationMs: Date.now() - startedAt, result: result ?? null };
+        } catch (e) {
+            Logger.error('scheduled_job_failed', e, { job: job.name });
+            return { status: 'failed', durationMs: Date.now() - startedAt, error: String(e?.message || e) };
+        }
+    }
+
+    return async function scheduled(controller, env, ctx) {
+        const bindingErrors = checkRequiredBindings(env);
+        if (bindingErrors.length > 0) {
+            Logger.warn('scheduled_skipped_bindings_incomplete', { errors: bindingErrors });
+            return;
+        }
+
+        try {
+            await ensureSchema(env);
+        } catch (e) {
+            Logger.error('scheduled_skipped_schema_error', e, { missingTables: e.missingTables });
+            return;
+        }
+        await applyRuntimeSettings(env);
+
+        const normalizedEnv = {
+            ...env,
+            SUPERGROUP_ID: String(env.SUPERGROUP_ID),
+            BOT_TOKEN: String(env.BOT_TOKEN)
+        };
+
+        const startedAt = Date.now();
+        const now = Number(controller?.scheduledTime || startedAt);
+        const summary = {};
+
+        for (const job of jobs) {
+            summary[job.name] = await runJob(job, normalizedEnv, ctx, now);
+        }
+
+        Logger.info('scheduled_run_complete', {
+            cron: controller?.cron,
+            durationMs: Date.now() - startedAt,
+            jobs: summary
+        });
+    };
+}
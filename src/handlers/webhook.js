@@ -1,42 +1,42 @@
+import { timingSafeEqual } from '../core/crypto.js';
+
+/**
+ * 检查必需的资源绑定与环境变量，按检查顺序返回错误信息列表。
+ * 列表为空表示配置完整。
+ */
+export function checkRequiredBindings(env) {
+    const errors = [];
+    if (!env.TOPIC_MAP) errors.push("Error: KV 'TOPIC_MAP' not bound.");
+    if (!env.TG_BOT_DB) errors.push("Error: D1 'TG_BOT_DB' not bound.");
+    if (!env.BOT_TOKEN) errors.push('Error: BOT_TOKEN not set.');
+    if (!env.SUPERGROUP_ID) {
+        errors.push('Error: SUPERGROUP_ID not set.');
+    } else if (!String(env.SUPERGROUP_ID).startsWith('-100')) {
+        errors.push('Error: SUPERGROUP_ID must start with -100');
+    }
+    return errors;
+}
+
 export function createWebhookFetchHandler({
     Logger,
+    handleAdminRequest,
+    ensureSchema,
+    applyRuntimeSettings,
     tgCall,
-    flushExpiredMediaGroups,
-    cleanupExpiredMessageMaps,
     handleEditedMessage,
     handleCallbackQuery,
     handlePrivateMessage,
     updateThreadStatus,
     handleAdminReply
 }) {
-    const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
-    const CLEANUP_THROTTLE_KEY = 'sys:message_map_cleanup:last';
-
-    async function runPeriodicMessageMapCleanup(env, now) {
-        if (!cleanupExpiredMessageMaps) return;
-        try {
-            const lastRunRaw = await env.TOPIC_MAP.get(CLEANUP_THROTTLE_KEY);
-            const lastRun = Number(lastRunRaw || 0);
-            if (lastRun && (now - lastRun) < CLEANUP_INTERVAL_MS) return;
-
-            await env.TOPIC_MAP.put(CLEANUP_THROTTLE_KEY, String(now), {
-                expirationTtl: Math.ceil((CLEANUP_INTERVAL_MS * 2) / 1000)
-            });
-
-            const cleaned = await cleanupExpiredMessageMaps(env);
-            if (cleaned > 0) {
-                Logger.info('message_map_cleanup_done', { cleaned });
-            }
-        } catch (e) {
-            Logger.warn('message_map_cleanup_failed', { error: String(e?.message || e) });
+    return async function fetch(request, env, ctx) {
+        // 管理路由自行处理鉴权与绑定检查，以便在配置不完整时也能输出诊断信息
+        if (handleAdminRequest && new URL(request.url).pathname.startsWith('/admin/')) {
+            return handleAdminRequest(request, env, ctx);
         }
-    }
 
-    return async function fetch(request, env, ctx) {
-        if (!env.TOPIC_MAP) return new Response("Error: KV 'TOPIC_MAP' not bound.");
-        if (!env.TG_BOT_DB) return new Response("Error: D1 'TG_BOT_DB' not bound.");
-        if (!env.BOT_TOKEN) return new Response('Error: BOT_TOKEN not set.');
-        if (!env.SUPERGROUP_ID) return new Response('Error: SUPERGROUP_ID not set.');
+        const bindingErrors = checkRequiredBindings(env);
+        if (bindingErrors.length > 0) return new Response(bindingErrors[0]);
 
         const normalizedEnv = {
             ...env,
@@ -44,11 +44,31 @@ export function createWebhookFetchHandler({
             BOT_TOKEN: String(env.BOT_TOKEN)
         };
 
-        if (!normalizedEnv.SUPERGROUP_ID.startsWith('-100')) {
-            return new Response('Error: SUPERGROUP_ID must start with -100');
+        if (request.method !== 'POST') return new Response('OK');
+
+        // 配置 WEBHOOK_SECRET 后，仅接受携带正确 secret_token 的请求
+        if (env.WEBHOOK_SECRET) {
+            const secretHeader = request.headers.get('X-Telegram-Bot-Api-Secret-Token') || '';
+            if (!timingSafeEqual(secretHeader, String(env.WEBHOOK_SECRET))) {
+                Logger.warn('webhook_secret_mismatch', {
+                    hasHeader: !!secretHeader,
+                    ip: request.headers.get('cf-connecting-ip') || undefined
+                });
+                return new Response('Unauthorized', { status: 401 });
+            }
         }
 
-        if (request.method !== 'POST') return new Response('OK');
+        // 首个通过校验的请求自动应用未执行的 D1 表结构迁移（实例内只检查一次）；
+        // 放在方法与 secret 校验之后，未认证的请求不会触发迁移。错误详情只写日志，不返回给调用方
+        try {
+            await ensureSchema(env);
+        } catch (e) {
+            Logger.error('d1_schema_check_failed', e, { missingTables: e.missingTables });
+            return new Response('Internal Error', { status: 500 });
+        }
+
+        // 运行时配置覆盖到 CONFIG（带实例级缓存）
+        await applyRuntimeSettings(env);
 
         const contentType = request.headers.get('content-type') || '';
         if (!contentType.includes('application/json')) {
@@ -81,10 +101,6 @@ export function createWebhookFetchHandler({
         const msg = update.message;
         if (!msg) return new Response('OK');
 
-        const now = Date.now();
-        ctx.waitUntil(flushExpiredMediaGroups(normalizedEnv, now));
-        ctx.waitUntil(runPeriodicMessageMapCleanup(normalizedEnv, now));
-
         if (msg.chat && msg.chat.type === 'private') {
             try {
                 await handlePrivateMessage(msg, normalizedEnv, ctx);
@@ -1,5 +1,5 @@
 export async function handleAdminReplyImpl(msg, env, ctx, deps) {
-    const { isAdminUser, hasD1, dbKeywordListWithId, tgCall, dbSetBanned, dbThreadGetUserId, dbThreadPut, getAllKeys, safeGetJSON, dbKeywordAdd, dbKeywordDelete, dbKeywordDeleteById, validateKeywordPattern, CONFIG, dbUserUpdate, dbSetVerifyState, dbUserGet, dbGetVerifyState, dbIsBanned, handleMediaGroup, dbMessageMapPut, handleCleanupCommand, resolveUserProfileStatus } = deps;
+    const { isAdminUser, hasD1, dbKeywordListWithId, tgCall, dbThreadGetUserId, dbThreadPut, getAllKeys, safeGetJSON, dbKeywordAdd, dbKeywordDelete, dbKeywordDeleteById, validateKeywordPattern, testKeywordPattern, KEYWORD_ENGINE_LABELS, KEYWORD_ACTIONS, KEYWORD_DIRECTIONS, KEYWORD_FIELDS, CONFIG, handleMediaGroup, handleCleanupCommand, handleStatsCommand, handleExportCommand, handleBackupCommand, handleRestoreCommand, handleMigrateCommand, handleSettingsCommand, handleQuestionCommand, banUser, unbanUser, trustUser, resetVerification, setConversationClosed, buildUserInfoText, handleVerifyHistoryCommand, getFilterFields, matchKeyword, recordKeywordHit, dbKeywordHitList, holdOutboundMessage } = deps;
 
     const threadId = msg.message_thread_id;
     const text = (msg.text || "").trim();
@@ -10,6 +10,63 @@ export async function handleAdminReplyImpl(msg, env, ctx, deps) {
     const baseCmd = rawCmd.split("@")[0].toLowerCase();
     const args = parts.slice(1);
     const kwAction = (args[0] || "").toLowerCase();
+    const keywordActionHelp = Object.entries(KEYWORD_ACTIONS).map(([key, label]) => `${key}=${label}`).join("，");
+    const keywordDirectionHelp = Object.entries(KEYWORD_DIRECTIONS).map(([key, label]) => `${key}=${label}`).join("，");
+    const keywordFieldHelp = Object.entries(KEYWORD_FIELDS).map(([key, label]) => `${key}=${label}`).join("，");
+    // 命中时间统一按 UTC 显示为 MM-DD HH:MM
+    const formatHitTime = (ts) => new Date(ts).toISOString().replace("T", " ").slice(5, 16);
+    const formatKeywordRule = (k) => {
+        const label = k.direction === "out" ? "外发拦截" : (KEYWORD_ACTIONS[k.action] || KEYWORD_ACTIONS.block);
+        const fieldTag = k.field && k.field !== "text" ? ` [${KEYWORD_FIELDS[k.field] || k.field}]` : "";
+        return `[id=${k.id}] [${label}]${fieldTag} ${k.keyword}`;
+    };
+    const formatKeywordLine = (k, i) => {
+        const hitText = k.hitCount > 0 ? `（命中 ${k.hitCount} 次，最近 ${formatHitTime(k.lastHitAt)}）` : "（未命中）";
+        return `${i + 1}. ${formatKeywordRule(k)} ${hitText}`;
+    };
+    // 解析 /kw add、/kw del 关键词前的选项：-a <动作>、-d <方向>、field=<字段>
+    const parseKeywordOptions = (tokens) => {
+        const options = { action: "block", direction: "in", field: "text", keyword: "", error: "" };
+        let actionGiven = false;
+        let i = 0;
+        while (i < tokens.length) {
+            const token = tokens[i].toLowerCase();
+            if (token.startsWith("field=")) {
+                const value = token.slice("field=".length);
+                if (!Object.hasOwn(KEYWORD_FIELDS, value)) {
+                    options.error = `❌ 未知字段：\`${tokens[i].slice("field=".length)}\`\n可选：${keywordFieldHelp}`;
+                    return options;
+                }
+                options.field = value;
+                i += 1;
+                continue;
+            }
+            if (!["-a", "-d"].includes(token)) break;
+            const flag = token;
+            const value = (tokens[i + 1] || "").toLowerCase();
+            if (flag === "-a") {
+                if (!Object.hasOwn(KEYWORD_ACTIONS, value)) {
+                    options.error = `❌ 未知动作：\`${tokens[i + 1] || ""}\`\n可选：${keywordActionHelp}`;
+                    return options;
+                }
+                options.action = value;
+                actionGiven = true;
+            } else {
+                if (!Object.hasOwn(KEYWORD_DIRECTIONS, value)) {
+                    options.error = `❌ 未知方向：\`${tokens[i + 1] || ""}\`\n可选：${keywordDirectionHelp}`;
+                    return options;
+                }
+                options.direction = value;
+            }
+            i += 2;
+        }
+        if (options.direction === "out" && actionGiven && options.action !== "block") {
+            options.error = "❌ 外发关键词命中时统一拦截并由管理员决定是否放行，不支持指定动作。";
+            return options;
+        }
+        options.keyword = tokens.slice(i).join(" ").trim();
+        return options;
+    };
     const sendInThread = async (text, parseMode = null) => {
         const payload = { chat_id: env.SUPERGROUP_ID, text };
         if (threadId) payload.message_thread_id = threadId;
@@ -59,7 +116,7 @@ export async function handleAdminReplyImpl(msg, env, ctx, deps) {
     const sendTargetUserRequiredFeedback = async () => {
         const commandHint = [
             "❌ 无法识别目标用户。",
-            "请在用户话题内执行该命令，或为 `/ban` `/unban` `/info` 指定用户 ID（如 `/ban 123456`）。"
+            "请在用户话题内执行该命令，或为 `/ban` `/unban` `/info` `/vhistory` 指定用户 ID（如 `/ban 123456`）。"
         ].join("\n");
         await sendInThread(commandHint, "Markdown");
     };
@@ -75,6 +132,48 @@ export async function handleAdminReplyImpl(msg, env, ctx, deps) {
         return;
     }
 
+    // /stats 命令处理（任意话题可用）
+    if (baseCmd === "/stats") {
+        await handleStatsCommand(threadId, env);
+        return;
+    }
+
+    // /export 命令处理（任意话题可用，文件发送至 General）
+    if (baseCmd === "/export") {
+        ctx.waitUntil(handleExportCommand(threadId, env, args, senderId));
+        return;
+    }
+
+    // /backup 命令处理（任意话题可用，文件发送至 General）
+    if (baseCmd === "/backup") {
+        ctx.waitUntil(handleBackupCommand(threadId, env, senderId));
+        return;
+    }
+
+    // /restore 命令处理（需回复备份文件，默认仅预检）
+    if (baseCmd === "/restore") {
+        ctx.waitUntil(handleRestoreCommand(msg, env, args));
+        return;
+    }
+
+    // /migrate 命令处理（KV → D1 迁移，任意话题可用）
+    if (baseCmd === "/migrate") {
+        ctx.waitUntil(handleMigrateCommand(threadId, env, args));
+        return;
+    }
+
+    // /set /get /settings 运行时配置（任意话题可用）
+    if (baseCmd === "/set" || baseCmd === "/get" || baseCmd === "/settings") {
+        await handleSettingsCommand(threadId, env, baseCmd, args);
+        return;
+    }
+
+    // /q 验证题库管理（任意话题可用）
+    if (baseCmd === "/q") {
+        await handleQuestionCommand(threadId, env, args);
+        return;
+    }
+
     // /help 命令处理
     if (baseCmd === "/help") {
         const helpText = [
@@ -87,7 +186,17 @@ export async function handleAdminReplyImpl(msg, env, ctx, deps) {
             "/unban - 解封用户",
             "/trust - 设为永久信任",
             "/reset - 重置验证状态",
+            "/vhistory [uid] - 查看验证记录",
             "/cleanup - 清理已删除话题数据",
+            "/stats - 查看机器人统计",
+            "/export [json|csv] [uid...] - 导出用户数据",
+            "/backup - 生成完整备份文件",
+            "/restore [apply] [overwrite] - 回复备份文件恢复数据",
+            "/migrate [status|restart] - KV 数据迁移至 D1",
+            "/settings - 查看运行时配置",
+            "/get <key> - 查看配置项说明",
+            "/set <key> <value> - 修改配置（立即生效）",
+            "/q - 验证题库管理",
             "/kwhelp - 关键词管理帮助"
         ].join("\n");
         await tgCall(env, "sendMessage", { chat_id: env.SUPERGROUP_ID, message_thread_id: threadId, text: helpText, parse_mode: "Markdown" });
@@ -103,20 +212,28 @@ export async function handleAdminReplyImpl(msg, env, ctx, deps) {
         const helpText = [
             "🔎 **关键词管理**",
             "",
-            "/kw add 关键词 - 添加关键词",
-            "/kw del 关键词 - 删除关键词",
+            "/kw add 关键词 - 添加关键词（默认拦截并提示）",
+            "/kw add -a <动作> 关键词 - 添加关键词并指定动作",
+            "/kw add -d out 关键词 - 添加外发关键词（检查管理员回复）",
+            "/kw add field=<字段> 关键词 - 只匹配消息的指定字段（如 field=filename）",
+            "/kw del 关键词 - 删除关键词（外发关键词加 -d out，字段关键词加 field=<字段>）",
             "/kw del id <id> - 按 ID 删除关键词",
-            "/kw list - 查看关键词列表",
+            "/kw list - 查看关键词列表（含命中次数与最近命中时间）",
+            "/kw hits <id> - 查看关键词最近命中的消息",
             "/kwhelp - 查看关键词帮助",
             "/kw test <表达式> <文本> - 测试正则是否命中",
             "",
+            `动作：${keywordActionHelp}`,
+            `字段：${keywordFieldHelp}（默认 text）`,
+            "同一条消息命中多个关键词时执行最严重的动作。",
+            "外发关键词命中时消息暂不发送，话题内提示可选择仍然发送。",
+            "",
             "规则限制：",
             `1) 关键词长度上限 ${CONFIG.KEYWORD_MAX_LENGTH} 字符`,
             `2) 过滤仅匹配前 ${CONFIG.KEYWORD_MATCH_MAX_TEXT_LENGTH} 字符`,
-            "3) 正则限制：",
-            "- `.*` / `.+` 出现超过 2 次会被拒绝",
-            "- 嵌套量词会被拒绝（如 `(a+)+`、`(.+)+`、`(.+)*`、`(.*)+`）",
-            "- 形如 `(.*){2,}`、`(.+){1,}` 的重复结构会被拒绝"
+            "3) 纯文本关键词（含 `a|b` 形式的多选）走 Aho-Corasick，其余表达式走线性正则引擎",
+            "4) 不支持反向引用（如 `\\1`）与环视（如 `(?=...)`）",
+            `5) 单条消息的正则匹配步数上限 ${CONFIG.KEYWORD_MATCH_STEP_BUDGET}`
         ].join("\n");
         await sendInThread(helpText, "Markdown");
         return;
@@ -135,7 +252,7 @@ export async function handleAdminReplyImpl(msg, env, ctx, deps) {
             return;
         }
 
-        const items = list.slice(0, 50).map((k, i) => `${i + 1}. [id=${k.id}] ${k.keyword}`);
+        const items = list.slice(0, 50).map(formatKeywordLine);
         const header = "📌 关键词列表";
         const maxLen = 3800;
         let buffer = `${header}\n\n`;
@@ -152,9 +269,42 @@ export async function handleAdminReplyImpl(msg, env, ctx, deps) {
         return;
     }
 
+    if (baseCmd === "/kw" && kwAction === "hits") {
+        if (!hasD1(env)) {
+            await sendInThread("⚠️ 关键词功能需要绑定 D1 数据库。", "Markdown");
+            return;
+        }
+        const idText = args[1];
+        if (!idText || !/^\d+$/.test(idText)) {
+            await sendInThread("用法：`/kw hits <id>`（ID 可通过 `/kw list` 查看）", "Markdown");
+            return;
+        }
+
+        const rule = (await dbKeywordListWithId(env)).find(k => k.id === Number(idText));
+        if (!rule) {
+            await sendInThread(`❌ 未找到关键词（ID）：${idText}`);
+            return;
+        }
+        const hits = await dbKeywordHitList(env, rule.id, CONFIG.KEYWORD_HITS_LIMIT);
+        const lines = [`🎯 关键词命中记录（保留 ${CONFIG.KEYWORD_HIT_RETENTION_DAYS} 天，UTC）`, formatKeywordRule(rule), ""];
+        if (!hits.length) {
+            lines.push("暂无命中记录。");
+        } else {
+            lines.push(`累计命中 ${rule.hitCount} 次，最近 ${hits.length} 条：`);
+            for (const item of hits) {
+                const fieldLabel = KEYWORD_FIELDS[item.field] || item.field;
+                lines.push(`${formatHitTime(item.createdAt)} UID ${item.userId} · ${fieldLabel}`);
+                lines.push(`  「${item.excerpt}」`);
+            }
+        }
+        // 摘要为用户原文，不使用 parse_mode，避免格式注入
+        await sendInThread(lines.join("\n"));
+        return;
+    }
+
     const userId = await resolveTargetUserId();
-    const needsUserContext = new Set(["/ban", "/unban", "/info", "/close", "/open", "/reset", "/trust"]);
-    const isKwThreadOnly = baseCmd === "/kw" && !["list", "help"].includes(kwAction);
+    const needsUserContext = new Set(["/ban", "/unban", "/info", "/close", "/open", "/reset", "/trust", "/vhistory"]);
+    const isKwThreadOnly = baseCmd === "/kw" && !["list", "help", "hits"].includes(kwAction);
     if (!userId && (needsUserContext.has(baseCmd) || isKwThreadOnly)) {
         await sendTargetUserRequiredFeedback();
         return;
@@ -172,17 +322,24 @@ export async function handleAdminReplyImpl(msg, env, ctx, deps) {
         const restText = args.slice(1).join(" ").trim();
 
         if (action === "add") {
-            if (!restText) {
-                await tgCall(env, "sendMessage", { chat_id: env.SUPERGROUP_ID, message_thread_id: threadId, text: "用法：`/kw add 关键词`", parse_mode: "Markdown" });
+            // 支持 /kw add [-a <动作>] [-d <方向>] [field=<字段>] 关键词，默认为 block、in、text
+            const options = parseKeywordOptions(args.slice(1));
+            if (options.error) {
+                await tgCall(env, "sendMessage", { chat_id: env.SUPERGROUP_ID, message_thread_id: threadId, text: options.error, parse_mode: "Markdown" });
                 return;
             }
-            const validation = validateKeywordPattern(restText);
+            if (!options.keyword) {
+                await tgCall(env, "sendMessage", { chat_id: env.SUPERGROUP_ID, message_thread_id: threadId, text: "用法：`/kw add 关键词`、`/kw add -a <动作> 关键词` 或 `/kw add -d out 关键词`", parse_mode: "Markdown" });
+                return;
+            }
+            const validation = validateKeywordPattern(options.keyword);
             if (!validation.ok) {
                 await tgCall(env, "sendMessage", { chat_id: env.SUPERGROUP_ID, message_thread_id: threadId, text: `❌ 关键词规则被拒绝：${validation.reason}`, parse_mode: "Markdown" });
                 return;
             }
-            await dbKeywordAdd(env, restText);
-            await tgCall(env, "sendMessage", { chat_id: env.SUPERGROUP_ID, message_thread_id: threadId, text: `✅ 已添加关键词：\`${restText}\``, parse_mode: "Markdown" });
+            await dbKeywordAdd(env, options.keyword, options.action, options.direction, options.field);
+            const effectText = options.direction === "out" ? "外发拦截（可放行）" : KEYWORD_ACTIONS[options.action];
+            await tgCall(env, "sendMessage", { chat_id: env.SUPERGROUP_ID, message_thread_id: threadId, text: `✅ 已添加关键词：\`${options.keyword}\`\n适用：${KEYWORD_DIRECTIONS[options.direction]}\n字段：${KEYWORD_FIELDS[options.field]}\n动作：${effectText}\n引擎：${KEYWORD_ENGINE_LABELS[validation.engine]}`, parse_mode: "Markdown" });
             return;
         }
 
@@ -205,11 +362,16 @@ export async function handleAdminReplyImpl(msg, env, ctx, deps) {
                 }
                 return;
             }
-            const changes = await dbKeywordDelete(env, restText);
+            const options = parseKeywordOptions(args.slice(1));
+            if (options.error || !options.keyword) {
+                await tgCall(env, "sendMessage", { chat_id: env.SUPERGROUP_ID, message_thread_id: threadId, text: options.error || "用法：`/kw del 关键词` 或 `/kw del -d out 关键词`", parse_mode: "Markdown" });
+                return;
+            }
+            const changes = await dbKeywordDelete(env, options.keyword, options.direction, options.field);
             if (changes > 0) {
-                await tgCall(env, "sendMessage", { chat_id: env.SUPERGROUP_ID, message_thread_id: threadId, text: `✅ 已删除关键词：\`${restText}\``, parse_mode: "Markdown" });
+                await tgCall(env, "sendMessage", { chat_id: env.SUPERGROUP_ID, message_thread_id: threadId, text: `✅ 已删除关键词：\`${options.keyword}\``, parse_mode: "Markdown" });
             } else {
-                await tgCall(env, "sendMessage", { chat_id: env.SUPERGROUP_ID, message_thread_id: threadId, text: `❌ 未找到关键词：\`${restText}\``, parse_mode: "Markdown" });
+                await tgCall(env, "sendMessage", { chat_id: env.SUPERGROUP_ID, message_thread_id: threadId, text: `❌ 未找到关键词：\`${options.keyword}\``, parse_mode: "Markdown" });
             }
             return;
         }
@@ -220,7 +382,7 @@ export async function handleAdminReplyImpl(msg, env, ctx, deps) {
                 await tgCall(env, "sendMessage", { chat_id: env.SUPERGROUP_ID, message_thread_id: threadId, text: "当前暂无关键词。" });
                 return;
             }
-            const items = list.slice(0, 50).map((k, i) => `${i + 1}. [id=${k.id}] ${k.keyword}`);
+            const items = list.slice(0, 50).map(formatKeywordLine);
             const header = "📌 关键词列表";
             const maxLen = 3800;
             let buffer = `${header}\n\n`;
@@ -244,19 +406,13 @@ export async function handleAdminReplyImpl(msg, env, ctx, deps) {
                 await tgCall(env, "sendMessage", { chat_id: env.SUPERGROUP_ID, message_thread_id: threadId, text: "用法：`/kw test <表达式> <文本>`", parse_mode: "Markdown" });
                 return;
             }
-            const validation = validateKeywordPattern(pattern);
-            if (!validation.ok) {
-                await tgCall(env, "sendMessage", { chat_id: env.SUPERGROUP_ID, message_thread_id: threadId, text: `❌ 关键词规则被拒绝：${validation.reason}`, parse_mode: "Markdown" });
+            const result = testKeywordPattern(pattern, sample);
+            if (!result.ok) {
+                await tgCall(env, "sendMessage", { chat_id: env.SUPERGROUP_ID, message_thread_id: threadId, text: `❌ 关键词规则被拒绝：${result.reason}`, parse_mode: "Markdown" });
                 return;
             }
-            try {
-                const re = new RegExp(pattern, "i");
-                const matched = re.test(sample);
-                const resultText = matched ? "✅ 匹配成功" : "❌ 未命中";
-                await tgCall(env, "sendMessage", { chat_id: env.SUPERGROUP_ID, message_thread_id: threadId, text: `${resultText}\n表达式：\`${pattern}\`\n文本：\`${sample}\``, parse_mode: "Markdown" });
-            } catch (e) {
-                await tgCall(env, "sendMessage", { chat_id: env.SUPERGROUP_ID, message_thread_id: threadId, text: `❌ 正则语法错误：\`${e.message}\``, parse_mode: "Markdown" });
-            }
+            const resultText = result.matched ? "✅ 匹配成功" : (result.exhausted ? "⚠️ 超出匹配步数上限，未命中" : "❌ 未命中");
+            await tgCall(env, "sendMessage", { chat_id: env.SUPERGROUP_ID, message_thread_id: threadId, text: `${resultText}\n引擎：${KEYWORD_ENGINE_LABELS[result.engine]}\n表达式：\`${pattern}\`\n文本：\`${sample}\``, parse_mode: "Markdown" });
             return;
         }
 
@@ -264,183 +420,182 @@ export async function handleAdminReplyImpl(msg, env, ctx, deps) {
             const helpText = [
                 "🔎 **关键词管理**",
                 "",
-                "/kw add 关键词 - 添加关键词",
-                "/kw del 关键词 - 删除关键词",
+                "/kw add 关键词 - 添加关键词（默认拦截并提示）",
+                "/kw add -a <动作> 关键词 - 添加关键词并指定动作",
+                "/kw add -d out 关键词 - 添加外发关键词（检查管理员回复）",
+                "/kw add field=<字段> 关键词 - 只匹配消息的指定字段（如 field=filename）",
+                "/kw del 关键词 - 删除关键词（外发关键词加 -d out，字段关键词加 field=<字段>）",
                 "/kw del id <id> - 按 ID 删除关键词",
-                "/kw list - 查看关键词列表",
+                "/kw list - 查看关键词列表（含命中次数与最近命中时间）",
+                "/kw hits <id> - 查看关键词最近命中的消息",
                 "/kwhelp - 查看关键词帮助",
                 "/kw test <表达式> <文本> - 测试正则是否命中",
                 "",
+                `动作：${keywordActionHelp}`,
+                `字段：${keywordFieldHelp}（默认 text）`,
+                "同一条消息命中多个关键词时执行最严重的动作。",
+                "外发关键词命中时消息暂不发送，话题内提示可选择仍然发送。",
+                "",
                 "规则限制：",
                 `1) 关键词长度上限 ${CONFIG.KEYWORD_MAX_LENGTH} 字符`,
                 `2) 过滤仅匹配前 ${CONFIG.KEYWORD_MATCH_MAX_TEXT_LENGTH} 字符`,
-                "3) 正则限制：",
-                "- `.*` / `.+` 出现超过 2 次会被拒绝",
-                "- 嵌套量词会被拒绝（如 `(a+)+`、`(.+)+`、`(.+)*`、`(.*)+`）",
-                "- 形如 `(.*){2,}`、`(.+){1,}` 的重复结构会被拒绝"
+                "3) 纯文本关键词（含 `a|b` 形式的多选）走 Aho-Corasick，其余表达式走线性正则引擎",
+                "4) 不支持反向引用（如 `\\1`）与环视（如 `(?=...)`）",
+                `5) 单条消息的正则匹配步数上限 ${CONFIG.KEYWORD_MATCH_STEP_BUDGET}`
             ].join("\n");
             await tgCall(env, "sendMessage", { chat_id: env.SUPERGROUP_ID, message_thread_id: threadId, text: helpText, parse_mode: "Markdown" });
             return;
         }
 
-        await tgCall(env, "sendMessage", { chat_id: env.SUPERGROUP_ID, message_thread_id: threadId, text: "用法：`/kw add 关键词` / `/kw del 关键词` / `/kw del id <id>` / `/kw list` / `/kwhelp` / `/kw test <表达式> <文本>`", parse_mode: "Markdown" });
+        await tgCall(env, "sendMessage", { chat_id: env.SUPERGROUP_ID, message_thread_id: threadId, text: "用法：`/kw add 关键词` / `/kw del 关键词` / `/kw del id <id>` / `/kw list` / `/kw hits <id>` / `/kwhelp` / `/kw test <表达式> <文本>`", parse_mode: "Markdown" });
         return;
     }
 
     if (baseCmd === "/close") {
-        if (hasD1(env)) {
-            await dbUserUpdate(env, userId, { closed: true });
-        } else {
-            const key = `user:${userId}`;
-            let rec = await safeGetJSON(env, key, null);
-            if (rec) {
-                rec.closed = true;
-                await env.TOPIC_MAP.put(key, JSON.stringify(rec));
-            }
-        }
-        if (threadId) {
-            await tgCall(env, "closeForumTopic", { chat_id: env.SUPERGROUP_ID, message_thread_id: threadId });
-        }
+        await setConversationClosed(env, userId, true, { threadId, actorId: senderId });
         await sendInThread("🚫 **对话已强制关闭**", "Markdown");
         return;
     }
 
     if (baseCmd === "/open") {
-        if (hasD1(env)) {
-            await dbUserUpdate(env, userId, { closed: false });
-        } else {
-            const key = `user:${userId}`;
-            let rec = await safeGetJSON(env, key, null);
-            if (rec) {
-                rec.closed = false;
-                await env.TOPIC_MAP.put(key, JSON.stringify(rec));
-            }
-        }
-        if (threadId) {
-            await tgCall(env, "reopenForumTopic", { chat_id: env.SUPERGROUP_ID, message_thread_id: threadId });
-        }
+        await setConversationClosed(env, userId, false, { threadId, actorId: senderId });
         await sendInThread("✅ **对话已恢复**", "Markdown");
         return;
     }
 
     if (baseCmd === "/reset") {
-        if (hasD1(env)) {
-            await dbSetVerifyState(env, userId, null);
-        } else {
-            await env.TOPIC_MAP.delete(`verified:${userId}`);
-        }
+        await resetVerification(env, userId, { actorId: senderId });
         await sendInThread("🔄 **验证重置**", "Markdown");
         return;
     }
 
     if (baseCmd === "/trust") {
-        if (hasD1(env)) {
-            await dbSetVerifyState(env, userId, "trusted");
-        } else {
-            await env.TOPIC_MAP.put(`verified:${userId}`, "trusted");
-        }
-        await env.TOPIC_MAP.delete(`needs_verify:${userId}`);
+        await trustUser(env, userId, { actorId: senderId });
         await sendInThread("🌟 **已设置永久信任**", "Markdown");
         return;
     }
 
     if (baseCmd === "/ban") {
-        const profile = resolveUserProfileStatus
-            ? await resolveUserProfileStatus(env, userId)
-            : { displayName: `用户${userId}`, statusLabel: '未知' };
-        const ownerId = Number(env.BOT_OWNER_ID || 0);
-        const isProtectedUser = (ownerId && Number(userId) === ownerId) || await isAdminUser(env, userId);
-        if (isProtectedUser) {
+        const { status, profile } = await banUser(env, userId, { reason: "manual", actorId: senderId });
+        if (status === "protected") {
             await sendInThread(`❌ 不能封禁受保护账号\nUID: ${userId}\n名字: ${profile.displayName}`);
             return;
         }
-
-        const alreadyBanned = hasD1(env)
-            ? await dbIsBanned(env, userId)
-            : !!(await env.TOPIC_MAP.get(`banned:${userId}`));
-        if (alreadyBanned) {
+        if (status === "already_banned") {
             await sendInThread(`⚠️ 用户已在黑名单中\nUID: ${userId}\n名字: ${profile.displayName}\n账号状态: ${profile.statusLabel}\nLink: (tg://user?id=${userId})`);
             return;
         }
-
-        if (hasD1(env)) {
-            await dbSetBanned(env, userId, true);
-        } else {
-            await env.TOPIC_MAP.put(`banned:${userId}`, "1");
-        }
         await sendInThread(`🚫 用户已封禁\nUID: ${userId}\n名字: ${profile.displayName}\n账号状态: ${profile.statusLabel}\nLink: (tg://user?id=${userId})`);
         return;
     }
 
     if (baseCmd === "/unban") {
-        const profile = resolveUserProfileStatus
-            ? await resolveUserProfileStatus(env, userId)
-            : { displayName: `用户${userId}`, statusLabel: '未知' };
-        const alreadyBanned = hasD1(env)
-            ? await dbIsBanned(env, userId)
-            : !!(await env.TOPIC_MAP.get(`banned:${userId}`));
-        if (!alreadyBanned) {
+        const { status, profile } = await unbanUser(env, userId, { actorId: senderId });
+        if (status === "not_banned") {
             await sendInThread(`⚠️ 用户当前不在黑名单中\nUID: ${userId}\n名字: ${profile.displayName}\n账号状态: ${profile.statusLabel}\nLink: (tg://user?id=${userId})`);
             return;
         }
-
-        if (hasD1(env)) {
-            await dbSetBanned(env, userId, false);
-        } else {
-            await env.TOPIC_MAP.delete(`banned:${userId}`);
-        }
         await sendInThread(`✅ 用户已解封\nUID: ${userId}\n名字: ${profile.displayName}\n账号状态: ${profile.statusLabel}\nLink: (tg://user?id=${userId})`);
         return;
     }
 
+    if (baseCmd === "/vhistory") {
+        await handleVerifyHistoryCommand(threadId, env, userId);
+        return;
+    }
+
     if (baseCmd === "/info") {
-        const userRec = hasD1(env)
-            ? await dbUserGet(env, userId)
-            : await safeGetJSON(env, `user:${userId}`, null);
-        const verifyStatus = hasD1(env)
-            ? await dbGetVerifyState(env, userId)
-            : await env.TOPIC_MAP.get(`verified:${userId}`);
-        const banStatus = hasD1(env)
-            ? await dbIsBanned(env, userId)
-            : await env.TOPIC_MAP.get(`banned:${userId}`);
-
-        const topicId = userRec?.thread_id || threadId || "未知";
-        const title = userRec?.title || "未知";
-        const profile = resolveUserProfileStatus
-            ? await resolveUserProfileStatus(env, userId, { name: title })
-            : { displayName: title, statusLabel: '未知' };
-        const verifyLabel = verifyStatus ? (verifyStatus === 'trusted' ? '🌟 永久信任' : '✅ 已验证') : '❌ 未验证';
-        const banLabel = banStatus ? '🚫 已封禁' : '✅ 正常';
-        const info = `👤 用户信息\nUID: ${userId}\n名字: ${profile.displayName}\n账号状态: ${profile.statusLabel}\nLink: (tg://user?id=${userId})\nTopic ID: ${topicId}\n话题标题: ${title}\n验证状态: ${verifyLabel}\n封禁状态: ${banLabel}`;
-        await sendInThread(info);
+        await sendInThread(await buildUserInfoText(env, userId, { threadId }));
         return;
     }
 
-    // 转发管理员消息给用户
+    // 系统话题（如审核日志）等无对应用户的话题，普通消息不转发
+    if (!userId) return;
+
+    // 转发管理员消息给用户；相册在合并发送前整体检查外发关键词（见 holdOutboundMediaGroup），
+    // 发送成功后才计为一轮往来（见 delaySend / 外发拦截放行）
     if (msg.media_group_id) {
-        await handleMediaGroup(msg, env, ctx, { direction: "t2p", targetChat: userId, threadId: undefined });
+        await handleMediaGroup(msg, env, ctx, {
+            direction: "t2p",
+            targetChat: userId,
+            threadId: undefined,
+            filterFields: getFilterFields(msg),
+            sourceThreadId: threadId
+        });
+        return;
+    }
+
+    // 外发关键词检查：命中时暂不发送，由管理员在提示中决定是否放行
+    const outboundHit = await matchKeyword(env, getFilterFields(msg), "out");
+    if (outboundHit) {
+        await recordKeywordHit(env, userId, outboundHit);
+        await holdOutboundMessage(env, { userId, threadId, messageId: msg.message_id, keyword: outboundHit.keyword });
         return;
     }
 
+    await deliverAdminReplyImpl(env, {
+        userId,
+        messageId: msg.message_id,
+        threadId,
+        text: msg.text || msg.caption || ""
+    }, deps);
+}
+
+/**
+ * 管理员回复送达后计为一轮往来，达到阈值时自动信任。
+ */
+export async function noteAdminReplyImpl(env, userId, threadId, { tgCall, recordAdminReply, recordVerifyEvent }) {
+    const { autoTrusted, exchanges } = await recordAdminReply(env, userId);
+    if (autoTrusted) {
+        await recordVerifyEvent(env, userId, "auto_trust", { exchanges });
+        await tgCall(env, "sendMessage", {
+            chat_id: env.SUPERGROUP_ID,
+            message_thread_id: threadId,
+            text: `🌟 已累计 ${exchanges} 轮往来，自动设为永久信任`
+        });
+    }
+}
+
+/**
+ * 将话题内的一条管理员消息复制给用户，记录消息映射；发送失败时加入重试队列。
+ * 管理员回复与外发拦截后的放行共用。
+ */
+export async function deliverAdminReplyImpl(env, { userId, messageId, threadId, text = "" }, deps) {
+    const { tgCall, saveMessageMap, enqueueFailedMessage, isPermanentDeliveryFailure } = deps;
+    const sendInThread = (message) => tgCall(env, "sendMessage", {
+        chat_id: env.SUPERGROUP_ID,
+        message_thread_id: threadId,
+        text: message
+    });
+
     const copyResult = await tgCall(env, "copyMessage", {
         chat_id: userId,
         from_chat_id: env.SUPERGROUP_ID,
-        message_id: msg.message_id
+        message_id: messageId
     });
 
     if (copyResult.ok) {
-        if (hasD1(env)) {
-            await dbMessageMapPut(env, env.SUPERGROUP_ID, msg.message_id, userId, copyResult.result.message_id);
-        } else {
-            const mapKey = `msg_map:${String(env.SUPERGROUP_ID)}:${msg.message_id}`;
-            const mapValue = JSON.stringify({
-                targetChatId: String(userId),
-                targetMsgId: copyResult.result.message_id,
-                createdAt: Date.now()
-            });
-            await env.TOPIC_MAP.put(mapKey, mapValue, {
-                expirationTtl: CONFIG.MESSAGE_MAP_TTL_SECONDS
-            });
-        }
+        await saveMessageMap(env, env.SUPERGROUP_ID, messageId, userId, copyResult.result.message_id);
+        await noteAdminReplyImpl(env, userId, threadId, deps);
+        return;
+    }
+
+    if (isPermanentDeliveryFailure(copyResult.description)) {
+        await sendInThread(`❌ 消息未能送达用户：${copyResult.description || "未知错误"}`);
+        return;
     }
+
+    const queueKey = await enqueueFailedMessage(env, {
+        direction: "t2p",
+        userId,
+        sourceChatId: env.SUPERGROUP_ID,
+        messageId,
+        targetChatId: userId,
+        threadId: null,
+        topicThreadId: threadId,
+        text
+    }, copyResult.description);
+    await sendInThread(queueKey
+        ? "⏳ 消息暂时发送失败，已加入重试队列。"
+        : `❌ 消息发送失败：${copyResult.description || "未知错误"}`);
 }
@@ -0,0 +1,226 @@
+/**
+ * 人工审核模式（VERIFY_MODE = approval）。
+ *
+ * 未验证用户的首条消息不再下发题目，而是在「待审核」系统话题生成审核卡片，
+ * 由管理员点击 通过 / 拒绝 / 封禁。审核期间的消息与验证期间一样暂存（见 pending-messages.js），通过后统一补发。
+ *
+ * 状态保存在 KV `approval:<userId>`，有效期 APPROVAL_EXPIRE_SECONDS；
+ * 拒绝后 `approval_rejected:<userId>` 在 APPROVAL_REJECT_COOLDOWN_SECONDS 内阻止再次申请。
+ *
+ * 并发说明：`approval:<userId>` 的读写（新建/追加申请、审核按钮的读取与删除）都是 KV 先读后写，本身不是原子操作，
+ * 依靠用户级锁（withUserLock）串行化：私聊消息、/cleanup 检测到话题丢失后的重新申请、审核按钮三个入口
+ * 都在同一用户的锁内执行，两条并发消息不会互相覆盖 pending_msgs，两位管理员同时点击也只有一次生效。
+ * 配置 RATE_LIMIT_DO 时锁由 Durable Object 保证互斥；未配置时降级为 KV 近似锁，极端并发下仍可能交错。
+ */
+
+import { appendPendingMessage } from './pending-messages.js';
+import { signCallbackData } from '../core/crypto.js';
+
+const PREVIEW_MAX_LENGTH = 200;
+
+async function buildApprovalKeyboard(env, userId) {
+    const button = async (text, action) => ({
+        text,
+        callback_data: await signCallbackData(env.BOT_TOKEN, `approve:${userId}:${action}`)
+    });
+    return {
+        inline_keyboard: [[
+            await button('✅ 通过', 'ok'),
+            await button('❌ 拒绝', 'reject'),
+            await button('🚫 封禁', 'ban')
+        ]]
+    };
+}
+
+function buildCardText(userId, from, preview) {
+    const firstName = (from?.first_name || '').trim();
+    const lastName = (from?.last_name || '').trim();
+    const fullName = (firstName + (lastName ? ` ${lastName}` : '')).trim() || '匿名用户';
+    const lines = [
+        '📋 新用户待审核',
+        `UID: ${userId}`,
+        `名字: ${fullName}`,
+        `用户名: ${from?.username ? `@${from.username}` : '未设置用户名'}`,
+        `Link: (tg://user?id=${userId})`
+    ];
+    if (preview) {
+        const text = preview.length > PREVIEW_MAX_LENGTH ? `${preview.slice(0, PREVIEW_MAX_LENGTH)}…` : preview;
+        lines.push('', `首条消息: ${text}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * 提交（或追加）审核申请。
+ */
+export async function requestApprovalImpl(env, { userId, from, pendingMsg }, deps) {
+    const { safeGetJSON, tgCall, sendToSystemTopic, recordVerifyEvent, Logger, CONFIG } = deps;
+
+    if (await env.TOPIC_MAP.get(`approval_rejected:${userId}`)) {
+        await tgCall(env, 'sendMessage', {
+            chat_id: userId,
+            text: '❌ 您的申请未通过审核，请稍后再试。'
+        });
+        return;
+    }
+
+    const key = `approval:${userId}`;
+    const existing = await safeGetJSON(env, key, null);
+    if (existing) {
+        if (appendPendingMessage(existing, pendingMsg, CONFIG.PENDING_MAX_MESSAGES)) {
+            await env.TOPIC_MAP.put(key, JSON.stringify(existing), { expirationTtl: CONFIG.APPROVAL_EXPIRE_SECONDS });
+        }
+        Logger.debug('approval_duplicate_skipped', { userId, hasPending: !!pendingMsg });
+        return;
+    }
+
+    const state = {
+        userId,
+        from: from ? { id: userId, first_name: from.first_name, last_name: from.last_name, username: from.username } : null,
+        pending_msgs: [],
+        created_at: Date.now(),
+        card_message_id: null
+    };
+    appendPendingMessage(state, pendingMsg, CONFIG.PENDING_MAX_MESSAGES);
+    // 先写入状态，避免卡片发送期间的并发消息重复提交
+    await env.TOPIC_MAP.put(key, JSON.stringify(state), { expirationTtl: CONFIG.APPROVAL_EXPIRE_SECONDS });
+
+    const card = await sendToSystemTopic(env, 'approval', {
+        text: buildCardText(userId, from, pendingMsg ? (pendingMsg.text || pendingMsg.caption || '[媒体消息]') : null),
+        reply_markup: await buildApprovalKeyboard(env, userId)
+    });
+    if (!card) {
+        await env.TOPIC_MAP.delete(key);
+        Logger.warn('approval_card_send_failed', { userId });
+        await tgCall(env, 'sendMessage', {
+            chat_id: userId,
+            text: '⚠️ 系统繁忙，请稍后再试。'
+        });
+        return;
+    }
+
+    state.card_message_id = card.message_id;
+    await env.TOPIC_MAP.put(key, JSON.stringify(state), { expirationTtl: CONFIG.APPROVAL_EXPIRE_SECONDS });
+    Logger.info('approval_requested', { userId, cardMessageId: card.message_id });
+    await recordVerifyEvent(env, userId, 'approval_requested', null);
+
+    await tgCall(env, 'sendMessage', {
+        chat_id: userId,
+        text: '📝 您的消息已提交管理员审核，审核通过后将自动送达，请耐心等待。'
+    });
+}
+
+/**
+ * 处理审核卡片按钮（callback_data: approve:<userId>:<ok|reject|ban>，签名与管理员身份由回调路由校验）。
+ * 在该用户的用户级锁内执行，与 requestApproval 及其他管理员的点击互斥。
+ */
+export async function handleApprovalCallbackImpl(query, env, ctx, args, deps) {
+    const { tgCall, withUserLock } = deps;
+
+    const [userIdText, action] = args;
+    const userId = Number(userIdText);
+    if (!userId || !['ok', 'reject', 'ban'].includes(action)) return false;
+
+    try {
+        await withUserLock(env, userId, () => applyApprovalAction(query, env, ctx, userId, action, deps));
+    } catch (e) {
+        if (e?.code === 'USER_LOCK_TIMEOUT' || e?.code === 'USER_LOCK_LOST') {
+            await tgCall(env, 'answerCallbackQuery', {
+                callback_query_id: query.id,
+                text: '⏳ 该用户的请求正在处理中，请稍后重试',
+                show_alert: true
+            });
+            return;
+        }
+        throw e;
+    }
+}
+
+async function applyApprovalAction(query, env, ctx, userId, action, deps) {
+    const {
+        tgCall,
+        Logger,
+        CONFIG,
+        hasD1,
+        dbSetVerifyState,
+        safeGetJSON,
+        banUser,
+        recordVerification,
+        recordVerifyEvent,
+        forwardPendingMessages
+    } = deps;
+
+    const answer = (text, showAlert = false) => tgCall(env, 'answerCallbackQuery', {
+        callback_query_id: query.id,
+        text,
+        show_alert: showAlert
+    });
+    const adminId = query.from.id;
+    const key = `approval:${userId}`;
+    const state = await safeGetJSON(env, key, null);
+    const cardText = query.message?.text || '';
+    const closeCard = async (resultText) => {
+        if (!query.message) return;
+        await tgCall(env, 'editMessageText', {
+            chat_id: query.message.chat.id,
+            message_id: query.message.message_id,
+            text: `${cardText}\n\n${resultText}`
+        });
+    };
+
+    if (!state) {
+        await answer('⚠️ 该申请已处理或已过期', true);
+        await closeCard('⌛ 申请已处理或已过期');
+        return;
+    }
+    // 先删除状态，重复点击时只会有一次生效
+    await env.TOPIC_MAP.delete(key);
+
+    const adminName = [query.from.first_name, query.from.last_name].filter(Boolean).join(' ') || String(adminId);
+
+    if (action === 'ok') {
+        if (hasD1(env)) {
+            await dbSetVerifyState(env, userId, 'trusted');
+        } else {
+            await env.TOPIC_MAP.put(`verified:${userId}`, 'trusted');
+        }
+        await env.TOPIC_MAP.delete(`needs_verify:${userId}`);
+        await recordVerification(env, userId, 'approval');
+        await recordVerifyEvent(env, userId, 'approved', { adminId });
+        Logger.info('approval_approved', { userId, adminId });
+
+        await answer('✅ 已通过');
+        await closeCard(`✅ 已通过（${adminName}）`);
+        await tgCall(env, 'sendMessage', {
+            chat_id: userId,
+            text: '✅ 您已通过审核，现在可以自由对话了。'
+        });
+        await forwardPendingMessages(env, ctx, userId, state.from || { id: userId }, state);
+        return;
+    }
+
+    if (action === 'reject') {
+        await env.TOPIC_MAP.put(`approval_rejected:${userId}`, '1', { expirationTtl: CONFIG.APPROVAL_REJECT_COOLDOWN_SECONDS });
+        await recordVerifyEvent(env, userId, 'rejected', { adminId });
+        Logger.info('approval_rejected', { userId, adminId });
+
+        await answer('❌ 已拒绝');
+        await closeCard(`❌ 已拒绝（${adminName}）`);
+        await tgCall(env, 'sendMessage', {
+            chat_id: userId,
+            text: '❌ 您的申请未通过审核。'
+        });
+        return;
+    }
+
+    const { status } = await banUser(env, userId, { reason: 'approval', actorId: adminId });
+    if (status === 'protected') {
+        // 受保护账号无法封禁，恢复申请以便重新处理
+        await env.TOPIC_MAP.put(key, JSON.stringify(state), { expirationTtl: CONFIG.APPROVAL_EXPIRE_SECONDS });
+        await answer('❌ 不能封禁受保护账号', true);
+        return;
+    }
+    await recordVerifyEvent(env, userId, 'approval_banned', { adminId });
+    await answer('🚫 已封禁');
+    await closeCard(`🚫 已封禁（${adminName}）`);
+}
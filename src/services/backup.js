@@ -0,0 +1,442 @@
+export const BACKUP_FORMAT = 'tg-private-chatbot-backup';
+export const BACKUP_VERSION = 1;
+
+const BACKUP_KV_PREFIXES = ['verified:', 'banned:', 'thread:', 'user:', 'user_info:'];
+const BACKUP_PAGE_SIZE = 500;
+// KV 按页列出并批量读取，单次批量 get 最多 100 个键
+const KV_EXPORT_PAGE_SIZE = 100;
+// 单次恢复最多写入的 KV 条数，避免超出 Workers 单次调用的 KV 操作上限；
+// 超出部分留待下次执行同一命令继续（已写入的条目届时为「相同」，不会重复写入）
+const KV_RESTORE_WRITE_LIMIT = 500;
+const MAX_CONFLICT_SAMPLES = 20;
+
+/**
+ * 生成完整备份归档（D1 表 + 相关 KV 前缀）。
+ *
+ * 归档结构：
+ * - format / version：格式标识与版本号，恢复时校验。
+ * - d1：{ 表名: rows[] }，列以 BACKUP_TABLES 白名单为准。
+ * - kv：[{ key, value, expiration, metadata }]，value 为原始字符串，expiration 为秒级时间戳。
+ */
+export async function createBackupImpl(env, deps) {
+    const { hasD1, BACKUP_TABLES, dbTableExportPage, Logger } = deps;
+
+    const archive = {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        createdAt: new Date().toISOString(),
+        storage: { d1: hasD1(env) },
+        d1: {},
+        kv: [],
+        counts: {}
+    };
+
+    if (hasD1(env)) {
+        for (const table of Object.keys(BACKUP_TABLES)) {
+            const rows = [];
+            let offset = 0;
+            while (true) {
+                const page = await dbTableExportPage(env, table, BACKUP_PAGE_SIZE, offset);
+                rows.push(...page);
+                if (page.length < BACKUP_PAGE_SIZE) break;
+                offset += page.length;
+            }
+            archive.d1[table] = rows;
+            archive.counts[table] = rows.length;
+        }
+    }
+
+    for (const prefix of BACKUP_KV_PREFIXES) {
+        let cursor;
+        do {
+            const page = await env.TOPIC_MAP.list({ prefix, cursor, limit: KV_EXPORT_PAGE_SIZE });
+            const values = page.keys.length > 0
+                ? await env.TOPIC_MAP.get(page.keys.map(keyInfo => keyInfo.name), { type: 'text' })
+                : new Map();
+            for (const keyInfo of page.keys) {
+                const value = values.get(keyInfo.name) ?? null;
+                if (value === null) continue;
+                archive.kv.push({
+                    key: keyInfo.name,
+                    value,
+                    expiration: keyInfo.expiration || null,
+                    metadata: keyInfo.metadata || null
+                });
+            }
+            cursor = page.list_complete ? undefined : page.cursor;
+        } while (cursor);
+    }
+    archive.counts.kv = archive.kv.length;
+
+    Logger.info('backup_created', { counts: archive.counts });
+    return archive;
+}
+
+/**
+ * 校验备份归档结构。仅检查格式，不访问存储。
+ */
+export function validateBackupArchive(archive, BACKUP_TABLES) {
+    const errors = [];
+    const warnings = [];
+
+    if (!archive || typeof archive !== 'object') {
+        return { ok: false, errors: ['归档不是有效的 JSON 对象'], warnings };
+    }
+    if (archive.format !== BACKUP_FORMAT) {
+        errors.push(`未知的归档格式: ${archive.format ?? '缺失'}`);
+    }
+    if (!Number.isInteger(archive.version) || archive.version > BACKUP_VERSION) {
+        errors.push(`不支持的归档版本: ${archive.version ?? '缺失'}（当前支持 ≤ ${BACKUP_VERSION}）`);
+    }
+
+    const d1 = archive.d1 || {};
+    if (typeof d1 !== 'object' || Array.isArray(d1)) {
+        errors.push('d1 字段格式错误');
+    } else {
+        for (const [table, rows] of Object.entries(d1)) {
+            const def = BACKUP_TABLES[table];
+            if (!def) {
+                warnings.push(`忽略未知表: ${table}`);
+                continue;
+            }
+            if (!Array.isArray(rows)) {
+                errors.push(`表 ${table} 数据不是数组`);
+                continue;
+            }
+            rows.forEach((row, idx) => {
+                if (!row || typeof row !== 'object') {
+                    errors.push(`表 ${table} 第 ${idx + 1} 行不是对象`);
+                    return;
+                }
+                const missingKey = def.key.filter(col => {
+                    const value = row[col] ?? def.defaults?.[col];
+                    return value === undefined || value === null || value === '';
+                });
+                if (missingKey.length > 0) {
+                    errors.push(`表 ${table} 第 ${idx + 1} 行缺少主键列: ${missingKey.join(', ')}`);
+                }
+                const unknown = Object.keys(row).filter(col => !def.columns.includes(col) && !def.ignoreColumns?.includes(col));
+                if (unknown.length > 0) {
+                    warnings.push(`表 ${table} 第 ${idx + 1} 行包含未知列（已忽略）: ${unknown.join(', ')}`);
+                }
+            });
+        }
+    }
+
+    const kv = archive.kv || [];
+    if (!Array.isArray(kv)) {
+        errors.push('kv 字段不是数组');
+    } else {
+        kv.forEach((entry, idx) => {
+            if (!entry || typeof entry.key !== 'string' || typeof entry.value !== 'string') {
+                errors.push(`kv 第 ${idx + 1} 项缺少 key/value`);
+                return;
+            }
+            if (!BACKUP_KV_PREFIXES.some(prefix => entry.key.startsWith(prefix))) {
+                errors.push(`kv 第 ${idx + 1} 项前缀不在允许范围内: ${entry.key}`);
+            }
+        });
+    }
+
+    // 警告过多时只保留前若干条，避免报告过长
+    const trimmedWarnings = warnings.length > MAX_CONFLICT_SAMPLES
+        ? [...warnings.slice(0, MAX_CONFLICT_SAMPLES), `...（还有 ${warnings.length - MAX_CONFLICT_SAMPLES} 条警告）`]
+        : warnings;
+
+    return { ok: errors.length === 0, errors: errors.slice(0, 50), warnings: trimmedWarnings };
+}
+
+function isExcludedRow(def, row) {
+    const value = String(row[def.key[0]] ?? '');
+    return (def.excludePrefixes || []).some(prefix => value.startsWith(prefix));
+}
+
+function pickColumns(row, columns) {
+    const picked = {};
+    for (const col of columns) {
+        if (row[col] !== undefined) picked[col] = row[col];
+    }
+    return picked;
+}
+
+function isSameRow(incoming, existing, columns) {
+    return columns.every(col => {
+        const a = incoming[col] ?? null;
+        const b = existing[col] ?? null;
+        return a === null || b === null ? a === b : String(a) === String(b);
+    });
+}
+
+/**
+ * 恢复备份归档。
+ *
+ * 选项：
+ * - dryRun（默认 true）：只校验并统计新增/相同/冲突数量，不写入任何数据。
+ * - overwrite（默认 false）：冲突记录是否以归档内容覆盖；否则保留现有数据。
+ *
+ * 校验失败时直接返回错误，不进入写入阶段。
+ * KV 现有值按 100 个一批批量读取；单次最多写入 KV_RESTORE_WRITE_LIMIT 条，
+ * 剩余条数记入 report.kv.remaining，重复执行同一命令即可从中断处继续。
+ */
+export async function restoreBackupImpl(env, archive, options, deps) {
+    const { hasD1, BACKUP_TABLES, dbTableFindExisting, dbTableRestoreRows, Logger } = deps;
+    const dryRun = options?.dryRun !== false;
+    const overwrite = !!options?.overwrite;
+
+    const validation = validateBackupArchive(archive, BACKUP_TABLES);
+    const report = {
+        ok: validation.ok,
+        dryRun,
+        mode: overwrite ? 'overwrite' : 'skip',
+        createdAt: archive?.createdAt || null,
+        errors: validation.errors,
+        warnings: validation.warnings,
+        tables: {},
+        kv: null,
+        conflictSamples: []
+    };
+    if (!validation.ok) return report;
+
+    const addConflictSample = (text) => {
+        if (report.conflictSamples.length < MAX_CONFLICT_SAMPLES) report.conflictSamples.push(text);
+    };
+
+    for (const [table, rawRows] of Object.entries(archive.d1 || {})) {
+        const def = BACKUP_TABLES[table];
+        if (!def) continue;
+        if (!hasD1(env)) {
+            report.warnings.push(`未绑定 D1，跳过表 ${table}`);
+            continue;
+        }
+
+        const picked = rawRows.map(row => pickColumns({ ...def.defaults, ...row }, def.columns));
+        const rows = picked.filter(row => !isExcludedRow(def, row));
+        if (rows.length < picked.length) {
+            report.warnings.push(`表 ${table} 跳过 ${picked.length - rows.length} 条部署相关记录（${def.excludePrefixes.join('、')}）`);
+        }
+        const existing = await dbTableFindExisting(env, table, rows);
+        const stats = { incoming: rows.length, new: 0, unchanged: 0, conflicts: 0, written: 0 };
+        const toWrite = [];
+
+        for (const row of rows) {
+            const keyStr = def.key.map(col => String(row[col])).join('\u0001');
+            const current = existing.get(keyStr);
+            if (!current) {
+                stats.new++;
+                toWrite.push(row);
+            } else if (isSameRow(row, current, def.columns)) {
+                stats.unchanged++;
+            } else {
+                stats.conflicts++;
+                addConflictSample(`${table}: ${def.key.map(col => `${col}=${row[col]}`).join(', ')}`);
+                if (overwrite) toWrite.push(row);
+            }
+        }
+
+        if (!dryRun && toWrite.length > 0) {
+            stats.written = await dbTableRestoreRows(env, table, toWrite, { overwrite });
+        }
+        report.tables[table] = stats;
+    }
+
+    const kvStats = { incoming: 0, new: 0, unchanged: 0, conflicts: 0, expired: 0, written: 0, remaining: 0, error: null };
+    const nowSec = Math.floor(Date.now() / 1000);
+    const liveEntries = [];
+    for (const entry of archive.kv || []) {
+        kvStats.incoming++;
+        if (entry.expiration && entry.expiration <= nowSec + 60) {
+            kvStats.expired++;
+            continue;
+        }
+        liveEntries.push(entry);
+    }
+
+    const toPut = [];
+    for (let i = 0; i < liveEntries.length; i += KV_EXPORT_PAGE_SIZE) {
+        const chunk = liveEntries.slice(i, i + KV_EXPORT_PAGE_SIZE);
+        const currentValues = await env.TOPIC_MAP.get(chunk.map(entry => entry.key), { type: 'text' });
+        for (const entry of chunk) {
+            const current = currentValues.get(entry.key) ?? null;
+            if (current === null) {
+                kvStats.new++;
+                toPut.push(entry);
+            } else if (current === entry.value) {
+                kvStats.unchanged++;
+            } else {
+                kvStats.conflicts++;
+                addConflictSample(`kv: ${entry.key}`);
+                if (overwrite) toPut.push(entry);
+            }
+        }
+    }
+
+    if (!dryRun) {
+        try {
+            for (const entry of toPut.slice(0, KV_RESTORE_WRITE_LIMIT)) {
+                const putOptions = {};
+                if (entry.expiration) putOptions.expiration = entry.expiration;
+                if (entry.metadata) putOptions.metadata = entry.metadata;
+                await env.TOPIC_MAP.put(entry.key, entry.value, putOptions);
+                kvStats.written++;
+            }
+        } catch (e) {
+            kvStats.error = String(e?.message || e);
+            Logger.error('backup_restore_kv_write_failed', e, { written: kvStats.written });
+        }
+        kvStats.remaining = toPut.length - kvStats.written;
+    }
+    report.kv = kvStats;
+
+    Logger.info(dryRun ? 'backup_restore_dry_run' : 'backup_restored', {
+        mode: report.mode,
+        tables: report.tables,
+        kv: report.kv
+    });
+    return report;
+}
+
+export function formatRestoreReport(report) {
+    const lines = [];
+    if (!report.ok) {
+        lines.push('❌ 备份校验失败，未写入任何数据');
+        lines.push('');
+        report.errors.forEach(err => lines.push(`- ${err}`));
+        return lines.join('\n');
+    }
+
+    const incomplete = !!(report.kv?.error || report.kv?.remaining > 0);
+    lines.push(report.dryRun ? '🔍 恢复预检（dry-run，未写入）' : (incomplete ? '⚠️ 部分恢复完成' : '✅ 恢复完成'));
+    lines.push(`冲突处理: ${report.mode === 'overwrite' ? '覆盖现有数据' : '保留现有数据'}`);
+    if (report.createdAt) lines.push(`备份时间: ${report.createdAt}`);
+    lines.push('');
+
+    for (const [table, stats] of Object.entries(report.tables)) {
+        lines.push(`📁 ${table}: 共 ${stats.incoming} | 新增 ${stats.new} | 相同 ${stats.unchanged} | 冲突 ${stats.conflicts}${report.dryRun ? '' : ` | 写入 ${stats.written}`}`);
+    }
+    if (report.kv) {
+        const kv = report.kv;
+        lines.push(`🗝️ KV: 共 ${kv.incoming} | 新增 ${kv.new} | 相同 ${kv.unchanged} | 冲突 ${kv.conflicts} | 已过期 ${kv.expired}${report.dryRun ? '' : ` | 写入 ${kv.written}`}`);
+        if (kv.error) lines.push(`❌ KV 写入中断：${kv.error}`);
+        if (kv.remaining > 0) {
+            lines.push(`⏳ KV 还有 ${kv.remaining} 条未写入（单次最多 ${KV_RESTORE_WRITE_LIMIT} 条），请再次发送同一命令继续恢复。`);
+        }
+    }
+
+    if (report.conflictSamples.length > 0) {
+        lines.push('');
+        lines.push('⚠️ 冲突示例:');
+        report.conflictSamples.forEach(sample => lines.push(`- ${sample}`));
+    }
+    if (report.warnings.length > 0) {
+        lines.push('');
+        lines.push('ℹ️ 警告:');
+        report.warnings.forEach(warning => lines.push(`- ${warning}`));
+    }
+    if (report.dryRun) {
+        lines.push('');
+        lines.push('确认无误后，回复同一文件发送 /restore apply（保留现有数据）或 /restore apply overwrite（覆盖冲突）。');
+    }
+    return lines.join('\n');
+}
+
+/**
+ * 处理 /backup 命令：生成归档并以文档形式发送至 General 话题。
+ */
+export async function handleBackupCommandImpl({
+    threadId,
+    env,
+    senderId,
+    createBackup,
+    tgCall,
+    tgUpload,
+    withMessageThreadId,
+    Logger
+}) {
+    const sendInThread = (text) => tgCall(env, 'sendMessage', withMessageThreadId({
+        chat_id: env.SUPERGROUP_ID,
+        text
+    }, threadId));
+
+    await sendInThread('🗄️ 正在生成备份...');
+
+    try {
+        const archive = await createBackup(env);
+        const stamp = archive.createdAt.replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+        const countsText = Object.entries(archive.counts).map(([name, count]) => `${name}: ${count}`).join(' | ');
+        const res = await tgUpload(env, 'sendDocument', {
+            chat_id: env.SUPERGROUP_ID,
+            caption: `🗄️ 完整备份（v${archive.version}）\n${countsText}\n发起人: ${senderId}\n\n回复此文件发送 /restore 可预检恢复。`
+        }, {
+            document: {
+                name: `backup-${stamp}.json`,
+                content: JSON.stringify(archive),
+                type: 'application/json'
+            }
+        });
+
+        if (!res.ok) {
+            await sendInThread(`❌ 备份文件发送失败：${res.description || '未知错误'}`);
+            return;
+        }
+        if (threadId) {
+            await sendInThread('✅ 备份已发送至 General 话题。');
+        }
+    } catch (e) {
+        Logger.error('backup_command_failed', e);
+        await sendInThread(`❌ 备份失败：${e.message}`);
+    }
+}
+
+/**
+ * 处理 /restore [apply] [overwrite] 命令：需回复一个备份文件。
+ * 默认只做预检（dry-run），带 apply 才会写入。
+ */
+export async function handleRestoreCommandImpl({
+    msg,
+    env,
+    args,
+    restoreBackup,
+    tgCall,
+    tgDownloadFileText,
+    withMessageThreadId,
+    Logger
+}) {
+    const threadId = msg.message_thread_id;
+    const sendInThread = (text) => tgCall(env, 'sendMessage', withMessageThreadId({
+        chat_id: env.SUPERGROUP_ID,
+        text
+    }, threadId));
+
+    const document = msg.reply_to_message?.document;
+    if (!document) {
+        await sendInThread('用法：回复一个备份文件发送 /restore（预检）、/restore apply 或 /restore apply overwrite');
+        return;
+    }
+
+    const flags = args.map(arg => arg.toLowerCase());
+    const dryRun = !flags.includes('apply');
+    const overwrite = flags.includes('overwrite');
+
+    const download = await tgDownloadFileText(env, document.file_id);
+    if (!download.ok) {
+        await sendInThread(`❌ 无法读取备份文件：${download.description}`);
+        return;
+    }
+
+    let archive;
+    try {
+        archive = JSON.parse(download.text);
+    } catch (e) {
+        await sendInThread(`❌ 备份文件不是有效的 JSON：${e.message}`);
+        return;
+    }
+
+    try {
+        const report = await restoreBackup(env, archive, { dryRun, overwrite });
+        Logger.info('restore_command_done', { dryRun, overwrite, ok: report.ok, adminId: msg.from?.id });
+        await sendInThread(formatRestoreReport(report));
+    } catch (e) {
+        Logger.error('restore_command_failed', e, { dryRun, overwrite });
+        await sendInThread(`❌ 恢复过程出错：${e.message}`);
+    }
+}
@@ -0,0 +1,130 @@
+import { encodeGrayscalePng } from '../core/png.js';
+
+// 去除易混淆字符（0/O、1/I、2/Z、5/S、6/G、8/B 等）
+export const CAPTCHA_ALPHABET = 'ACDEFHJKLMNPRTUVWXY3479';
+
+// 5x7 点阵字体，每行 5 位，1 表示着色
+const GLYPHS = {
+    A: ['01110', '10001', '10001', '11111', '10001', '10001', '10001'],
+    C: ['01110', '10001', '10000', '10000', '10000', '10001', '01110'],
+    D: ['11110', '10001', '10001', '10001', '10001', '10001', '11110'],
+    E: ['11111', '10000', '10000', '11110', '10000', '10000', '11111'],
+    F: ['11111', '10000', '10000', '11110', '10000', '10000', '10000'],
+    H: ['10001', '10001', '10001', '11111', '10001', '10001', '10001'],
+    J: ['00111', '00010', '00010', '00010', '00010', '10010', '01100'],
+    K: ['10001', '10010', '10100', '11000', '10100', '10010', '10001'],
+    L: ['10000', '10000', '10000', '10000', '10000', '10000', '11111'],
+    M: ['10001', '11011', '10101', '10101', '10001', '10001', '10001'],
+    N: ['10001', '10001', '11001', '10101', '10011', '10001', '10001'],
+    P: ['11110', '10001', '10001', '11110', '10000', '10000', '10000'],
+    R: ['11110', '10001', '10001', '11110', '10100', '10010', '10001'],
+    T: ['11111', '00100', '00100', '00100', '00100', '00100', '00100'],
+    U: ['10001', '10001', '10001', '10001', '10001', '10001', '01110'],
+    V: ['10001', '10001', '10001', '10001', '10001', '01010', '00100'],
+    W: ['10001', '10001', '10001', '10101', '10101', '10101', '01010'],
+    X: ['10001', '10001', '01010', '00100', '01010', '10001', '10001'],
+    Y: ['10001', '10001', '01010', '00100', '00100', '00100', '00100'],
+    3: ['11111', '00010', '00100', '00010', '00001', '10001', '01110'],
+    4: ['00010', '00110', '01010', '10010', '11111', '00010', '00010'],
+    7: ['11111', '00001', '00010', '00100', '01000', '01000', '01000'],
+    9: ['01110', '10001', '10001', '01111', '00001', '00010', '01100']
+};
+
+const IMAGE_WIDTH = 220;
+const IMAGE_HEIGHT = 80;
+const GLYPH_SCALE = 5;
+
+export function generateCaptchaCode(length, randomInt) {
+    let code = '';
+    for (let i = 0; i < length; i++) {
+        code += CAPTCHA_ALPHABET[randomInt(0, CAPTCHA_ALPHABET.length)];
+    }
+    return code;
+}
+
+function drawLine(pixels, x0, y0, x1, y1, value) {
+    const dx = Math.abs(x1 - x0);
+    const dy = -Math.abs(y1 - y0);
+    const sx = x0 < x1 ? 1 : -1;
+    const sy = y0 < y1 ? 1 : -1;
+    let err = dx + dy;
+    while (true) {
+        if (x0 >= 0 && x0 < IMAGE_WIDTH && y0 >= 0 && y0 < IMAGE_HEIGHT) {
+            pixels[y0 * IMAGE_WIDTH + x0] = value;
+        }
+        if (x0 === x1 && y0 === y1) break;
+        const e2 = 2 * err;
+        if (e2 >= dy) { err += dy; x0 += sx; }
+        if (e2 <= dx) { err += dx; y0 += sy; }
+    }
+}
+
+/**
+ * 渲染扭曲文字验证码图片（PNG）。
+ *
+ * 干扰手段：逐字符随机偏移与倾斜、整体正弦波形扭曲、干扰线与噪点。
+ * 全部在 Worker 内完成，不依赖外部服务。
+ */
+export async function renderCaptchaPng(code, randomInt) {
+    const canvas = new Uint8Array(IMAGE_WIDTH * IMAGE_HEIGHT);
+    for (let i = 0; i < canvas.length; i++) canvas[i] = randomInt(215, 256);
+
+    const glyphWidth = 5 * GLYPH_SCALE;
+    const glyphHeight = 7 * GLYPH_SCALE;
+    const step = Math.floor((IMAGE_WIDTH - 20) / code.length);
+    const baseY = Math.floor((IMAGE_HEIGHT - glyphHeight) / 2);
+
+    for (let c = 0; c < code.length; c++) {
+        const glyph = GLYPHS[code[c]];
+        if (!glyph) continue;
+        const originX = 10 + c * step + Math.floor((step - glyphWidth) / 2) + randomInt(-3, 4);
+        const originY = baseY + randomInt(-8, 9);
+        const shear = randomInt(-30, 31) / 100;
+        const ink = randomInt(20, 90);
+
+        for (let gy = 0; gy < glyphHeight; gy++) {
+            const row = glyph[Math.floor(gy / GLYPH_SCALE)];
+            const shift = Math.round((gy - glyphHeight / 2) * shear);
+            for (let gx = 0; gx < glyphWidth; gx++) {
+                if (row[Math.floor(gx / GLYPH_SCALE)] !== '1') continue;
+                const x = originX + gx + shift;
+                const y = originY + gy;
+                if (x >= 0 && x < IMAGE_WIDTH && y >= 0 && y < IMAGE_HEIGHT) {
+                    canvas[y * IMAGE_WIDTH + x] = ink;
+                }
+            }
+        }
+    }
+
+    // 正弦波形扭曲：按列做垂直位移
+    const amplitude = randomInt(3, 7);
+    const period = randomInt(18, 32);
+    const phase = randomInt(0, 628) / 100;
+    const pixels = new Uint8Array(IMAGE_WIDTH * IMAGE_HEIGHT).fill(240);
+    for (let x = 0; x < IMAGE_WIDTH; x++) {
+        const offset = Math.round(amplitude * Math.sin(x / period + phase));
+        for (let y = 0; y < IMAGE_HEIGHT; y++) {
+            const srcY = y - offset;
+            pixels[y * IMAGE_WIDTH + x] = (srcY >= 0 && srcY < IMAGE_HEIGHT)
+                ? canvas[srcY * IMAGE_WIDTH + x]
+                : randomInt(215, 256);
+        }
+    }
+
+    const lineCount = randomInt(3, 6);
+    for (let i = 0; i < lineCount; i++) {
+        drawLine(
+            pixels,
+            randomInt(0, IMAGE_WIDTH), randomInt(0, IMAGE_HEIGHT),
+            randomInt(0, IMAGE_WIDTH), randomInt(0, IMAGE_HEIGHT),
+            randomInt(40, 140)
+        );
+    }
+
+    const noiseCount = Math.floor(IMAGE_WIDTH * IMAGE_HEIGHT * 0.06);
+    for (let i = 0; i < noiseCount; i++) {
+        pixels[randomInt(0, pixels.length)] = randomInt(0, 256);
+    }
+
+    return encodeGrayscalePng(IMAGE_WIDTH, IMAGE_HEIGHT, pixels);
+}
@@ -0,0 +1,217 @@
+import { generateCaptchaCode, renderCaptchaPng } from './challenge-image.js';
+import { signCallbackData } from '../core/crypto.js';
+
+/**
+ * 人机验证题型注册表。
+ *
+ * 每个 provider 负责自己的状态格式（保存在 `chal:<verifyId>` 中，外层统一附加 type / userId / pending_msgs）：
+ * - answerMode：'callback' 通过按钮作答；'text' 在用户下一条文字消息中作答。
+ * - create(ctx)：生成题目，返回 { state, logData }。
+ * - send(ctx)：向用户发送题目。
+ * - check(state, answer)：判定答案，answer 为 { index } 或 { text }。
+ */
+
+const EMOJI_POOL = [
+    ['🍎', '苹果'], ['🍌', '香蕉'], ['🍇', '葡萄'], ['🍉', '西瓜'],
+    ['🐶', '小狗'], ['🐱', '小猫'], ['🐟', '鱼'], ['🐦', '小鸟'],
+    ['🚗', '汽车'], ['✈️', '飞机'], ['🚲', '自行车'], ['⚽', '足球'],
+    ['🌙', '月亮'], ['☀️', '太阳'], ['🌲', '树'], ['🔑', '钥匙']
+];
+const EMOJI_GRID_SIZE = 8;
+const EMOJI_GRID_COLUMNS = 4;
+const CAPTCHA_LENGTH = 5;
+
+function escapeMarkdown(text) {
+    return String(text).replace(/([_*`\[])/g, '\\$1');
+}
+
+// 统一答案格式：全角转半角、忽略大小写与空白
+function normalizeAnswer(text) {
+    return String(text || '').normalize('NFKC').toLowerCase().replace(/\s+/g, '');
+}
+
+async function buildOptionKeyboard(env, verifyId, options, columns) {
+    const buttons = await Promise.all(options.map(async (opt, idx) => ({
+        text: opt,
+        callback_data: await signCallbackData(env.BOT_TOKEN, `verify:${verifyId}:${idx}`)
+    })));
+    const keyboard = [];
+    for (let i = 0; i < buttons.length; i += columns) {
+        keyboard.push(buttons.slice(i, i + columns));
+    }
+    return keyboard;
+}
+
+async function pickQuestion({ env, LOCAL_QUESTIONS, getVerificationQuestions, secureRandomInt }) {
+    // 优先使用管理员维护的题库，为空时回退到内置题目
+    const bank = await getVerificationQuestions(env);
+    const pool = bank.length > 0 ? bank : LOCAL_QUESTIONS;
+    return pool[secureRandomInt(0, pool.length)];
+}
+
+function checkOptionAnswer(state, answer) {
+    return Number.isInteger(answer.index) && answer.index === state.answerIndex;
+}
+
+const quizProvider = {
+    type: 'quiz',
+    label: '选择题',
+    answerMode: 'callback',
+    async create(ctx) {
+        const q = await pickQuestion(ctx);
+        const options = ctx.shuffleArray([...q.incorrect_answers, q.correct_answer]);
+        return {
+            state: {
+                question: q.question,
+                answerIndex: options.indexOf(q.correct_answer),
+                options,
+                questionId: q.id ?? null
+            },
+            logData: { question: q.question, questionId: q.id ?? null }
+        };
+    },
+    async send({ env, userId, verifyId, state, tgCall, CONFIG }) {
+        return tgCall(env, 'sendMessage', {
+            chat_id: userId,
+            text: `🛡️ **人机验证**
+
+${escapeMarkdown(state.question)}
+
+请点击下方按钮回答 (回答正确后将自动发送您刚才的消息)。`,
+            parse_mode: 'Markdown',
+            reply_markup: { inline_keyboard: await buildOptionKeyboard(env, verifyId, state.options, CONFIG.BUTTON_COLUMNS) }
+        });
+    },
+    check: checkOptionAnswer
+};
+
+const mathProvider = {
+    type: 'math',
+    label: '算术题',
+    answerMode: 'callback',
+    async create({ secureRandomInt, shuffleArray }) {
+        const op = ['+', '-', '×'][secureRandomInt(0, 3)];
+        let a;
+        let b;
+        let result;
+        if (op === '×') {
+            a = secureRandomInt(2, 10);
+            b = secureRandomInt(2, 13);
+            result = a * b;
+        } else {
+            a = secureRandomInt(10, 100);
+            b = secureRandomInt(1, op === '-' ? a : 100);
+            result = op === '+' ? a + b : a - b;
+        }
+
+        const candidates = new Set([result]);
+        while (candidates.size < 4) {
+            const delta = secureRandomInt(1, 11) * (secureRandomInt(0, 2) === 0 ? -1 : 1);
+            if (result + delta >= 0) candidates.add(result + delta);
+        }
+        const options = shuffleArray([...candidates].map(String));
+        const question = `${a} ${op} ${b} = ?`;
+
+        return {
+            state: { question, answerIndex: options.indexOf(String(result)), options },
+            logData: { question }
+        };
+    },
+    async send({ env, userId, verifyId, state, tgCall, CONFIG }) {
+        return tgCall(env, 'sendMessage', {
+            chat_id: userId,
+            text: `🛡️ 人机验证\n\n请计算：${state.question}\n\n请点击下方按钮回答 (回答正确后将自动发送您刚才的消息)。`,
+            reply_markup: { inline_keyboard: await buildOptionKeyboard(env, verifyId, state.options, CONFIG.BUTTON_COLUMNS) }
+        });
+    },
+    check: checkOptionAnswer
+};
+
+const emojiProvider = {
+    type: 'emoji',
+    label: '表情点选',
+    answerMode: 'callback',
+    async create({ secureRandomInt, shuffleArray }) {
+        const picked = shuffleArray(EMOJI_POOL).slice(0, EMOJI_GRID_SIZE);
+        const answerIndex = secureRandomInt(0, picked.length);
+        return {
+            state: {
+                target: picked[answerIndex][1],
+                answerIndex,
+                options: picked.map(([emoji]) => emoji)
+            },
+            logData: { target: picked[answerIndex][1] }
+        };
+    },
+    async send({ env, userId, verifyId, state, tgCall }) {
+        return tgCall(env, 'sendMessage', {
+            chat_id: userId,
+            text: `🛡️ 人机验证\n\n请点击下方代表「${state.target}」的表情 (回答正确后将自动发送您刚才的消息)。`,
+            reply_markup: { inline_keyboard: await buildOptionKeyboard(env, verifyId, state.options, EMOJI_GRID_COLUMNS) }
+        });
+    },
+    check: checkOptionAnswer
+};
+
+const textProvider = {
+    type: 'text',
+    label: '文字作答',
+    answerMode: 'text',
+    async create(ctx) {
+        const q = await pickQuestion(ctx);
+        return {
+            state: { question: q.question, answer: q.correct_answer, questionId: q.id ?? null },
+            logData: { question: q.question, questionId: q.id ?? null }
+        };
+    },
+    async send({ env, userId, state, tgCall }) {
+        return tgCall(env, 'sendMessage', {
+            chat_id: userId,
+            text: `🛡️ 人机验证\n\n${state.question}\n\n请直接发送答案文字 (回答正确后将自动发送您刚才的消息)。`
+        });
+    },
+    check(state, answer) {
+        return normalizeAnswer(answer.text) === normalizeAnswer(state.answer);
+    }
+};
+
+const imageProvider = {
+    type: 'image',
+    label: '图片验证码',
+    answerMode: 'text',
+    async create({ secureRandomInt }) {
+        return {
+            state: { answer: generateCaptchaCode(CAPTCHA_LENGTH, secureRandomInt) },
+            logData: {}
+        };
+    },
+    async send({ env, userId, state, tgUpload, secureRandomInt }) {
+        const png = await renderCaptchaPng(state.answer, secureRandomInt);
+        return tgUpload(env, 'sendPhoto', {
+            chat_id: userId,
+            caption: '🛡️ 人机验证\n\n请发送图片中的字符（不区分大小写），回答正确后将自动发送您刚才的消息。'
+        }, {
+            photo: { name: 'captcha.png', content: png, type: 'image/png' }
+        });
+    },
+    check(state, answer) {
+        return normalizeAnswer(answer.text) === normalizeAnswer(state.answer);
+    }
+};
+
+const CHALLENGE_PROVIDERS = {
+    [quizProvider.type]: quizProvider,
+    [mathProvider.type]: mathProvider,
+    [emojiProvider.type]: emojiProvider,
+    [textProvider.type]: textProvider,
+    [imageProvider.type]: imageProvider
+};
+
+export const CHALLENGE_TYPES = Object.keys(CHALLENGE_PROVIDERS);
+
+/**
+ * 按类型获取题型，未知类型（含旧版本无 type 的状态）回退到选择题。
+ */
+export function getChallengeProvider(type) {
+    return CHALLENGE_PROVIDERS[type] || quizProvider;
+}
@@ -67,7 +67,7 @@ export async function handleCleanupCommandImpl({
                                 userId,
                                 userKey: null,
                                 oldThreadId: topicThreadId,
-                                pendingMsgId: null,
+                                pendingMsg: null,
                                 reason: 'cleanup_check'
                             });
 
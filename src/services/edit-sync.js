@@ -6,7 +6,10 @@ export async function handleEditedMessageImpl({
     safeGetJSON,
     dbUserGet,
     tgCall,
-    Logger
+    Logger,
+    getFilterFields,
+    matchKeyword,
+    recordKeywordHit
 }) {
     if (msg.chat?.id == env.SUPERGROUP_ID) {
         const sourceChatId = msg.chat.id;
@@ -19,6 +22,21 @@ export async function handleEditedMessageImpl({
         if (targetInfo) {
             const { targetChatId, targetMsgId } = targetInfo;
 
+            // 管理员编辑后的内容同样检查外发关键词：命中时不同步，用户保留编辑前的内容
+            const outboundHit = await matchKeyword(env, getFilterFields(msg), 'out');
+            if (outboundHit) {
+                await recordKeywordHit(env, targetChatId, outboundHit);
+                Logger.info('outbound_edit_blocked', { sourceMsgId, targetChatId, keyword: outboundHit.keyword });
+                await tgCall(env, 'sendMessage', {
+                    chat_id: env.SUPERGROUP_ID,
+                    message_thread_id: msg.message_thread_id,
+                    reply_to_message_id: sourceMsgId,
+                    allow_sending_without_reply: true,
+                    text: `🚫 编辑未同步\n命中外发关键词: ${outboundHit.keyword}\n\n用户看到的仍是编辑前的内容。`
+                });
+                return;
+            }
+
             try {
                 if (msg.text) {
                     await tgCall(env, 'editMessageText', {
@@ -98,3 +116,31 @@ export async function handleEditedMessageImpl({
         }
     }
 }
+
+/**
+ * 记录源消息与目标消息的映射关系（D1 优先，KV 兜底），用于后续编辑同步。
+ */
+export async function saveMessageMapImpl({
+    env,
+    sourceChatId,
+    sourceMsgId,
+    targetChatId,
+    targetMsgId,
+    hasD1,
+    dbMessageMapPut,
+    CONFIG
+}) {
+    if (hasD1(env)) {
+        await dbMessageMapPut(env, sourceChatId, sourceMsgId, targetChatId, targetMsgId);
+        return;
+    }
+    const mapKey = `msg_map:${String(sourceChatId)}:${sourceMsgId}`;
+    const mapValue = JSON.stringify({
+        targetChatId: String(targetChatId),
+        targetMsgId,
+        createdAt: Date.now()
+    });
+    await env.TOPIC_MAP.put(mapKey, mapValue, {
+        expirationTtl: CONFIG.MESSAGE_MAP_TTL_SECONDS
+    });
+}
@@ -1,6 +1,45 @@
 import { CONFIG } from '../config/constants.js';
 import { Logger } from '../core/logger.js';
-import { getKeywordListCached } from '../adapters/storage-d1.js';
+import { getKeywordListCached, hasD1, dbKeywordHitAdd } from '../adapters/storage-d1.js';
+import { createKeywordMatcher, compileKeywordPattern } from '../core/keyword-engine.js';
+
+/**
+ * 关键词命中后的处理动作，按严重程度从低到高排列。
+ * 同一条消息命中多个关键词时执行最严重的动作。
+ */
+export const KEYWORD_ACTIONS = {
+    flag: '标记',
+    drop: '静默丢弃',
+    block: '拦截并提示',
+    reverify: '要求重新验证',
+    ban: '封禁'
+};
+
+const KEYWORD_ACTION_ORDER = Object.keys(KEYWORD_ACTIONS);
+
+/**
+ * 关键词规则的适用方向：in 检查用户发来的消息，out 检查管理员回复。
+ * 外发规则命中时一律暂扣消息，由管理员在话题内决定是否放行。
+ */
+export const KEYWORD_DIRECTIONS = {
+    in: '用户消息',
+    out: '管理员回复'
+};
+
+/**
+ * 关键词规则匹配的消息字段（/kw add field=<字段>），默认 text。
+ * any 规则对所有字段逐一匹配。
+ */
+export const KEYWORD_FIELDS = {
+    text: '文本 / 说明文字',
+    filename: '文件名',
+    forward: '转发来源',
+    url: '链接',
+    contact: '联系人',
+    location: '地点',
+    button: '按钮',
+    any: '任意字段'
+};
 
 export function getFilterText(msg) {
     if (msg.text) return String(msg.text);
@@ -8,6 +47,72 @@ export function getFilterText(msg) {
     return '';
 }
 
+function getOriginNames(origin) {
+    if (!origin) return [];
+    const user = origin.sender_user;
+    const chat = origin.sender_chat || origin.chat;
+    return [
+        user ? [user.first_name, user.last_name].filter(Boolean).join(' ') : null,
+        user?.username,
+        origin.sender_user_name,
+        chat?.title,
+        chat?.username,
+        origin.author_signature
+    ];
+}
+
+function getEntityUrls(text, entities) {
+    if (!text || !Array.isArray(entities)) return [];
+    return entities.map(entity => {
+        if (entity.type === 'text_link') return entity.url;
+        if (entity.type === 'url') return String(text).slice(entity.offset, entity.offset + entity.length);
+        return null;
+    });
+}
+
+/**
+ * 把消息整理为按字段划分的匹配输入：{ <字段>: [文本, ...] }，只包含非空字段。
+ *
+ * - text：正文或媒体说明文字
+ * - filename：文件、音频、视频、动图的文件名
+ * - forward：转发来源（用户名字 / 用户名、频道或群组名称、署名）
+ * - url：正文与说明中的链接（含文字链接）及链接预览地址
+ * - contact：联系人名字、电话与 vCard
+ * - location：地点名称与地址
+ * - button：消息附带的内联按钮文字与链接
+ */
+export function getFilterFields(msg) {
+    const media = [msg.document, msg.audio, msg.video, msg.animation];
+    const buttons = (msg.reply_markup?.inline_keyboard || []).flat();
+    const contact = msg.contact;
+    const fields = {
+        text: [getFilterText(msg)],
+        filename: media.map(item => item?.file_name),
+        forward: [
+            ...getOriginNames(msg.forward_origin),
+            msg.forward_from_chat?.title,
+            msg.forward_sender_name
+        ],
+        url: [
+            ...getEntityUrls(msg.text, msg.entities),
+            ...getEntityUrls(msg.caption, msg.caption_entities),
+            msg.link_preview_options?.url
+        ],
+        contact: contact
+            ? [[contact.first_name, contact.last_name].filter(Boolean).join(' '), contact.phone_number, contact.vcard]
+            : [],
+        location: [msg.venue?.title, msg.venue?.address],
+        button: buttons.flatMap(button => [button.text, button.url, button.login_url?.url])
+    };
+
+    const result = {};
+    for (const [field, values] of Object.entries(fields)) {
+        const texts = [...new Set(values.filter(Boolean).map(String))];
+        if (texts.length) result[field] = texts;
+    }
+    return result;
+}
+
 export function validateKeywordPattern(raw) {
     const pattern = String(raw || '').trim();
     if (!pattern) return { ok: false, reason: '关键词不能为空' };
@@ -15,45 +120,112 @@ export function validateKeywordPattern(raw) {
         return { ok: false, reason: `关键词过长（最大 ${CONFIG.KEYWORD_MAX_LENGTH} 字符）` };
     }
 
-    const dotAnyCount = (pattern.match(/(\.\*|\.\+)/g) || []).length;
-    if (dotAnyCount > 2) {
-        return { ok: false, reason: '包含过多任意匹配（.* / .+）' };
-    }
+    const compiled = compileKeywordPattern(pattern);
+    if (!compiled.ok) return { ok: false, reason: compiled.reason };
+    return { ok: true, reason: '', engine: compiled.engine };
+}
 
-    const nestedQuantifier = /(\([^)]*[+*][^)]*\)[+*?]|\([^)]*\{[^}]+\}[^)]*\)[+*?]|\([^)]*[+*][^)]*\)\{\d*,?\d*\})/;
-    if (nestedQuantifier.test(pattern)) {
-        return { ok: false, reason: '疑似嵌套量词' };
-    }
+// 编译结果按关键词列表缓存：列表对象随 getKeywordListCached 刷新而替换，编译也随之失效
+const compiledCache = new WeakMap();
 
-    const repeatWithDotAny = /\([^)]*(\.\*|\.\+)[^)]*\)\{\d*,?\d*\}/;
-    if (repeatWithDotAny.test(pattern)) {
-        return { ok: false, reason: '包含高风险的重复匹配结构' };
+function getCompiledMatcher(list, direction, field) {
+    let byScope = compiledCache.get(list);
+    if (!byScope) {
+        byScope = new Map();
+        compiledCache.set(list, byScope);
     }
+    const scope = `${direction}:${field}`;
+    if (byScope.has(scope)) return byScope.get(scope);
 
-    return { ok: true, reason: '' };
+    const rules = list.filter(row => row.direction === direction
+        && (row.field === field || row.field === 'any')
+        && String(row.keyword).trim());
+    const matcher = createKeywordMatcher(rules.map(row => String(row.keyword).trim()));
+    // any 规则会出现在每个字段的匹配器中，只在 text 中记录一次
+    for (const { index, reason } of matcher.errors) {
+        if (rules[index].field === 'any' && field !== 'text') continue;
+        Logger.warn('keyword_pattern_unsupported', { keyword: rules[index].keyword, field: rules[index].field, reason });
+    }
+    const compiled = { rules, matcher };
+    byScope.set(scope, compiled);
+    return compiled;
 }
 
-export async function matchKeyword(env, text) {
-    if (!text) return null;
-    const targetText = String(text).slice(0, CONFIG.KEYWORD_MATCH_MAX_TEXT_LENGTH);
+/**
+ * 按字段匹配指定方向的关键词，fields 为 getFilterFields 的结果。
+ * 返回 { id, keyword, action, field, text } 或 null，field 为命中的消息字段，text 为该字段中命中的内容。
+ * 命中多个关键词时返回动作最严重的一项（同级取先匹配到的）；各字段共用同一步数上限。
+ */
+export async function matchKeyword(env, fields, direction = 'in') {
+    const entries = Object.entries(fields || {});
+    if (!entries.length) return null;
     const list = await getKeywordListCached(env);
     if (!list.length) return null;
 
-    for (const keyword of list) {
-        const raw = String(keyword).trim();
-        if (!raw) continue;
-        const validation = validateKeywordPattern(raw);
-        if (!validation.ok) {
-            Logger.warn('keyword_pattern_blocked', { keyword: raw, reason: validation.reason });
-            continue;
-        }
-        try {
-            const re = new RegExp(raw, 'i');
-            if (re.test(targetText)) return keyword;
-        } catch {
-            Logger.warn('keyword_regex_invalid', { keyword: raw });
+    let budget = CONFIG.KEYWORD_MATCH_STEP_BUDGET;
+    let hit = null;
+    for (const [field, values] of entries) {
+        const { rules, matcher } = getCompiledMatcher(list, direction, field);
+        if (!rules.length) continue;
+
+        for (const value of values) {
+            const targetText = String(value).slice(0, CONFIG.KEYWORD_MATCH_MAX_TEXT_LENGTH);
+            const { hits, exhausted, steps } = matcher.match(targetText, budget);
+            for (const index of hits) {
+                const { id, keyword, action } = rules[index];
+                const normalizedAction = Object.hasOwn(KEYWORD_ACTIONS, action) ? action : 'block';
+                if (!hit || KEYWORD_ACTION_ORDER.indexOf(normalizedAction) > KEYWORD_ACTION_ORDER.indexOf(hit.action)) {
+                    hit = { id, keyword, action: normalizedAction, field, text: targetText };
+                }
+            }
+            budget -= steps;
+            if (exhausted || budget <= 0) {
+                Logger.warn('keyword_match_budget_exhausted', { direction, field, textLength: targetText.length, hits: hits.length });
+                return hit;
+            }
         }
     }
+    return hit;
+}
+
+/**
+ * 把命中内容整理为单行摘要，超出 KEYWORD_HIT_EXCERPT_LENGTH 个字符时截断（按码点截取，不拆开 emoji）。
+ */
+export function formatKeywordExcerpt(text) {
+    const chars = Array.from(String(text ?? '').replace(/\s+/g, ' ').trim());
+    return chars.length > CONFIG.KEYWORD_HIT_EXCERPT_LENGTH
+        ? `${chars.slice(0, CONFIG.KEYWORD_HIT_EXCERPT_LENGTH).join('')}…`
+        : chars.join('');
+}
+
+/**
+ * 记录一次关键词命中（matchKeyword 的结果），供 /kw list 统计与 /kw hits 查看。
+ * 记录失败只写日志，不影响过滤流程。
+ */
+export async function recordKeywordHit(env, userId, hit) {
+    if (!hit?.id || !hasD1(env)) return;
+    try {
+        await dbKeywordHitAdd(env, hit.id, userId, {
+            field: hit.field,
+            action: hit.action,
+            excerpt: formatKeywordExcerpt(hit.text)
+        });
+    } catch (e) {
+        Logger.warn('keyword_hit_add_failed', { userId, keywordId: hit.id, error: e.message });
+    }
+}
 
-    return null;
+/**
+ * /kw test：用与实际过滤相同的引擎测试表达式。
+ * 返回 { ok, reason } 或 { ok: true, engine, matched, exhausted }。
+ */
+export function testKeywordPattern(pattern, sample) {
+    const validation = validateKeywordPattern(pattern);
+    if (!validation.ok) return validation;
+    const matcher = createKeywordMatcher([String(pattern).trim()]);
+    const { hits, exhausted } = matcher.match(
+        String(sample).slice(0, CONFIG.KEYWORD_MATCH_MAX_TEXT_LENGTH),
+        CONFIG.KEYWORD_MATCH_STEP_BUDGET
+    );
+    return { ok: true, engine: validation.engine, matched: hits.length > 0, exhausted };
 }
@@ -0,0 +1,99 @@
+const RATE_LIMIT_CLEANUP_CURSOR_KEY = 'sys:cron:rate_limit_cleanup:cursor';
+
+/**
+ * 清理各用户 RateLimitDO 实例中的过期限流记录与锁。
+ *
+ * 说明：
+ * - DO 实例按 userId 命名（getByName），无法枚举，因此按用户列表逐批访问。
+ * - 每次仅处理一批用户，进度游标保存在 KV，下次 cron 继续；遍历完成后游标归零。
+ */
+export async function cleanupRateLimitInstancesImpl({
+    env,
+    CONFIG,
+    hasD1,
+    dbListUsers,
+    Logger
+}) {
+    if (!env.RATE_LIMIT_DO) return { skipped: 'rate_limit_do_not_configured' };
+
+    const batchSize = Math.max(1, Number(CONFIG.RATE_LIMIT_CLEANUP_BATCH_SIZE || 50));
+    const checkpoint = await env.TOPIC_MAP.get(RATE_LIMIT_CLEANUP_CURSOR_KEY, { type: 'json' }) || {};
+
+    let userIds = [];
+    let nextCheckpoint = null;
+
+    if (hasD1(env)) {
+        const offset = Number(checkpoint.offset || 0);
+        const rows = await dbListUsers(env, batchSize, offset);
+        userIds = rows.map(row => String(row.user_id));
+        if (rows.length === batchSize) {
+            nextCheckpoint = { offset: offset + rows.length };
+        }
+    } else {
+        const result = await env.TOPIC_MAP.list({ prefix: 'user:', cursor: checkpoint.cursor || undefined, limit: batchSize });
+        userIds = (result.keys || []).map(k => k.name.slice(5));
+        if (!result.list_complete && result.cursor) {
+            nextCheckpoint = { cursor: result.cursor };
+        }
+    }
+
+    let deletedRateLimits = 0;
+    let deletedLocks = 0;
+    let failedCount = 0;
+
+    for (const userId of userIds) {
+        try {
+            const stub = env.RATE_LIMIT_DO.getByName(userId);
+            const result = await stub.cleanupExpired();
+            deletedRateLimits += Number(result?.deletedRateLimits || 0);
+            deletedLocks += Number(result?.deletedLocks || 0);
+        } catch (e) {
+            failedCount++;
+            Logger.warn('rate_limit_cleanup_instance_failed', { userId, error: String(e?.message || e) });
+        }
+    }
+
+    if (nextCheckpoint) {
+        await env.TOPIC_MAP.put(RATE_LIMIT_CLEANUP_CURSOR_KEY, JSON.stringify(nextCheckpoint));
+    } else {
+        await env.TOPIC_MAP.delete(RATE_LIMIT_CLEANUP_CURSOR_KEY);
+    }
+
+    return {
+        scannedInstances: userIds.length,
+        deletedRateLimits,
+        deletedLocks,
+        failedCount,
+        completedPass: !nextCheckpoint
+    };
+}
+
+/**
+ * 清理未设置过期时间（或已过期但仍被列出）的临时 KV 键。
+ *
+ * 说明：
+ * - `retry:` 与 `forwarded:` 仅用于短期去重/计数，不应长期存在。
+ * - KV list 会返回键的 expiration（秒），无 expiration 的键视为遗留数据。
+ */
+export async function sweepStaleKvKeysImpl({
+    env,
+    now,
+    CONFIG,
+    getAllKeys,
+    deleteBulk
+}) {
+    const prefixes = ['retry:', 'forwarded:'];
+    const maxKeys = Math.max(1, Number(CONFIG.KV_SWEEP_MAX_KEYS || 1000));
+    const result = {};
+
+    for (const prefix of prefixes) {
+        const keys = await getAllKeys(env, prefix, maxKeys);
+        const stale = keys
+            .filter(k => !k.expiration || (k.expiration * 1000) < now)
+            .map(k => k.name);
+        const deleted = stale.length > 0 ? await deleteBulk(env, stale) : 0;
+        result[prefix] = { scanned: keys.length, deleted };
+    }
+
+    return result;
+}
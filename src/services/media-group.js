@@ -1,3 +1,9 @@
+/**
+ * 媒体组聚合：同一 media_group_id 的消息先写入 KV `mg:<direction>:<groupId>`，最后一条到达后延迟合并发送。
+ *
+ * 管理员相册（t2p）额外记录每项的关键词过滤字段（filterFields）与所在话题（sourceThreadId），
+ * 发送前由 holdMediaGroup 整体检查外发关键词，命中时整组暂扣。
+ */
 export async function handleMediaGroupImpl({
     msg,
     env,
@@ -5,6 +11,8 @@ export async function handleMediaGroupImpl({
     direction,
     targetChat,
     threadId,
+    filterFields = null,
+    sourceThreadId = null,
     tgCall,
     withMessageThreadId,
     safeGetJSON,
@@ -24,7 +32,8 @@ export async function handleMediaGroupImpl({
     }
     let rec = await safeGetJSON(env, key, null);
     if (!rec) rec = { direction, targetChat, threadId: (threadId === null ? undefined : threadId), items: [], last_ts: Date.now() };
-    rec.items.push({ ...item, msg_id: msg.message_id });
+    if (sourceThreadId) rec.sourceThreadId = sourceThreadId;
+    rec.items.push(filterFields ? { ...item, msg_id: msg.message_id, fields: filterFields } : { ...item, msg_id: msg.message_id });
     rec.last_ts = Date.now();
     await env.TOPIC_MAP.put(key, JSON.stringify(rec), { expirationTtl: CONFIG.MEDIA_GROUP_EXPIRE_SECONDS });
     ctx.waitUntil(delaySend(env, key, rec.last_ts));
@@ -75,6 +84,24 @@ function extractMedia(msg) {
     return null;
 }
 
+/**
+ * 把聚合记录中的条目转为 sendMediaGroup 的 media 参数（说明文字只保留在第一项）。
+ */
+export function buildInputMedia(items, onInvalid = () => {}) {
+    return items.map((it, i) => {
+        if (!it.type || !it.id) {
+            onInvalid(it);
+            return null;
+        }
+        const caption = i === 0 ? (it.cap || '').substring(0, 1024) : '';
+        return {
+            type: it.type,
+            media: it.id,
+            caption
+        };
+    }).filter(Boolean);
+}
+
 export async function flushExpiredMediaGroupsImpl({ env, now, getAllKeys, safeGetJSON, Logger }) {
     try {
         const prefix = 'mg:';
@@ -92,8 +119,10 @@ export async function flushExpiredMediaGroupsImpl({ env, now, getAllKeys, safeGe
         if (deletedCount > 0) {
             Logger.info('media_groups_cleaned', { deletedCount });
         }
+        return deletedCount;
     } catch (e) {
         Logger.error('media_group_cleanup_failed', e);
+        return 0;
     }
 }
 
@@ -105,7 +134,9 @@ export async function delaySendImpl({
     safeGetJSON,
     Logger,
     tgCall,
-    withMessageThreadId
+    withMessageThreadId,
+    holdMediaGroup = null,
+    onSent = null
 }) {
     await new Promise(r => setTimeout(r, CONFIG.MEDIA_GROUP_DELAY_MS));
 
@@ -118,18 +149,13 @@ export async function delaySendImpl({
             return;
         }
 
-        const media = rec.items.map((it, i) => {
-            if (!it.type || !it.id) {
-                Logger.warn('media_group_invalid_item', { key, item: it });
-                return null;
-            }
-            const caption = i === 0 ? (it.cap || '').substring(0, 1024) : '';
-            return {
-                type: it.type,
-                media: it.id,
-                caption
-            };
-        }).filter(Boolean);
+        // 整组命中外发关键词时由 holdMediaGroup 暂扣，不再发送
+        if (holdMediaGroup && await holdMediaGroup(env, rec)) {
+            await env.TOPIC_MAP.delete(key);
+            return;
+        }
+
+        const media = buildInputMedia(rec.items, (it) => Logger.warn('media_group_invalid_item', { key, item: it }));
 
         if (media.length > 0) {
             try {
@@ -149,6 +175,7 @@ export async function delaySendImpl({
                         mediaCount: media.length,
                         targetChat: rec.targetChat
                     });
+                    if (onSent) await onSent(env, rec);
                 }
             } catch (e) {
                 Logger.error('media_group_send_exception', e, { key });
@@ -23,6 +23,12 @@ export async function handlePrivateMessageImpl(msg, env, ctx, deps) {
     }
 }
 
+/**
+ * 把用户私聊消息转发到对应话题。
+ *
+ * 返回 "delivered"（已转发，媒体组为已加入合并发送）或 "enqueued"（临时失败，已加入重试队列）；
+ * 被限流、拦截、丢弃或要求（重新）验证等未送达的情况返回 undefined。
+ */
 export async function forwardToTopicImpl(msg, env, ctx, deps) {
     const {
         checkRateLimit,
@@ -31,14 +37,24 @@ export async function forwardToTopicImpl(msg, env, ctx, deps) {
         hasD1,
         dbIsBanned,
         dbGetVerifyState,
+        dbSetVerifyState,
         sendVerificationChallenge,
+        requestApproval,
+        handleVerificationTextAnswer,
+        evaluateVerifyPolicy,
+        recordVerifyEvent,
+        banUser,
+        sendModLog,
         getFilterText,
+        getFilterFields,
         matchKeyword,
+        recordKeywordHit,
         Logger,
         dbUserGet,
         safeGetJSON,
         getOrCreateUserTopicRec,
         sendWelcomeCard,
+        syncTopicProfile,
         dbThreadGetUserId,
         dbThreadPut,
         threadHealthCache,
@@ -47,7 +63,9 @@ export async function forwardToTopicImpl(msg, env, ctx, deps) {
         handleMediaGroup,
         normalizeTgDescription,
         isTopicMissingOrDeleted,
-        dbMessageMapPut
+        dbMessageMapPut,
+        enqueueFailedMessage,
+        isPermanentDeliveryFailure
     } = deps;
 
     const userId = msg.chat.id;
@@ -74,38 +92,113 @@ export async function forwardToTopicImpl(msg, env, ctx, deps) {
         : await env.TOPIC_MAP.get(`banned:${userId}`);
     if (isBanned) return;
 
+    // 人工审核模式下提交审核申请，否则下发验证题
+    const requireVerification = async (pendingMsg) => {
+        if (CONFIG.VERIFY_MODE === "approval") {
+            await requestApproval(env, { userId, from: msg.from, pendingMsg });
+            return;
+        }
+        await sendVerificationChallenge(userId, env, pendingMsg);
+    };
+
     // 检查验证状态
     const verified = hasD1(env)
         ? await dbGetVerifyState(env, userId)
         : await env.TOPIC_MAP.get(`verified:${userId}`);
     if (!verified) {
+        if (await handleVerificationTextAnswer(msg, env, ctx)) return;
         const isStart = msg.text && msg.text.trim() === "/start";
-        const pendingMsgId = isStart ? null : msg.message_id;
-        await sendVerificationChallenge(userId, env, pendingMsgId);
+        await requireVerification(isStart ? null : msg);
         return;
     }
 
     // 检查是否需要重新验证
     const needsVerify = await env.TOPIC_MAP.get(`needs_verify:${userId}`);
     if (needsVerify) {
-        await sendVerificationChallenge(userId, env, msg.message_id || null);
+        if (await handleVerificationTextAnswer(msg, env, ctx)) return;
+        await requireVerification(msg);
+        return;
+    }
+
+    const clearVerifyState = async () => {
+        if (hasD1(env)) {
+            await dbSetVerifyState(env, userId, null);
+        } else {
+            await env.TOPIC_MAP.delete(`verified:${userId}`);
+        }
+    };
+
+    // 验证策略：长期未活动或资料变更时要求重新验证
+    const policy = await evaluateVerifyPolicy(env, msg, verified);
+    if (policy.reverify) {
+        await recordVerifyEvent(env, userId, "policy_reverify", { reason: policy.reverify, detail: policy.detail });
+        await clearVerifyState();
+        const reasonText = policy.reverify === "inactivity" ? "您已较长时间未发送消息" : "检测到您的名字或用户名已变更";
+        await tgCall(env, "sendMessage", {
+            chat_id: userId,
+            text: `🔄 ${reasonText}，请重新完成验证。`
+        });
+        // 资料快照已在 evaluateVerifyPolicy 中更新，验证通过后不会再检测到本次变更，话题标题与卡片在此同步
+        if (policy.profileChanges.length > 0) {
+            const currentRec = hasD1(env) ? await dbUserGet(env, userId) : await safeGetJSON(env, key, null);
+            await syncTopicProfile(env, userId, msg.from, currentRec, policy.profileChanges);
+        }
+        await requireVerification(msg);
         return;
     }
 
-    // 关键词过滤
-    const filterText = getFilterText(msg);
-    if (filterText) {
-        const hitKeyword = await matchKeyword(env, filterText);
-        if (hitKeyword) {
+    // 关键词过滤：按命中关键词的动作处理，flag 照常转发并在话题内标记
+    let flaggedKeyword = null;
+    const keywordHit = await matchKeyword(env, getFilterFields(msg));
+    if (keywordHit) {
+        Logger.info('keyword_hit', { userId, keyword: keywordHit.keyword, action: keywordHit.action, field: keywordHit.field });
+        await recordKeywordHit(env, userId, keywordHit);
+        if (keywordHit.action === "flag") {
+            flaggedKeyword = keywordHit.keyword;
+        } else if (keywordHit.action === "drop") {
+            return;
+        } else if (keywordHit.action === "reverify") {
+            await recordVerifyEvent(env, userId, "policy_reverify", { reason: "keyword", detail: keywordHit.keyword });
+            await clearVerifyState();
+            await tgCall(env, "sendMessage", {
+                chat_id: userId,
+                text: "🔄 该消息触发过滤条件，请重新完成验证。"
+            });
+            // 不暂存本条消息，避免验证通过后补发时再次触发
+            await requireVerification(null);
+            return;
+        } else {
+            if (keywordHit.action === "ban") {
+                const { status } = await banUser(env, userId, { reason: "keyword" });
+                if (status === "banned") {
+                    await sendModLog(env, `🚫 关键词自动封禁\nUID: ${userId}\n关键词: ${keywordHit.keyword}\nLink: (tg://user?id=${userId})`);
+                    return;
+                }
+                // 受保护账号无法封禁时，按拦截处理
+            }
             await tgCall(env, "sendMessage", {
                 chat_id: userId,
                 text: "⚠️ 该消息触发过滤条件，已被拦截。"
             });
-            Logger.info('keyword_blocked', { userId, keyword: hitKeyword });
             return;
         }
     }
 
+    // 在话题内提示命中的标记关键词
+    const sendKeywordFlag = async (threadId, replyToMessageId = null) => {
+        if (!flaggedKeyword) return;
+        const payload = {
+            chat_id: env.SUPERGROUP_ID,
+            message_thread_id: threadId,
+            text: `⚠️ 用户消息命中标记关键词「${flaggedKeyword}」，请留意。`
+        };
+        if (replyToMessageId) {
+            payload.reply_to_message_id = replyToMessageId;
+            payload.allow_sending_without_reply = true;
+        }
+        await tgCall(env, "sendMessage", payload);
+    };
+
     // 获取用户话题记录
     let rec = hasD1(env)
         ? await dbUserGet(env, userId)
@@ -174,7 +267,7 @@ export async function forwardToTopicImpl(msg, env, ctx, deps) {
                         userId,
                         userKey: key,
                         oldThreadId: rec.thread_id,
-                        pendingMsgId: msg.message_id,
+                        pendingMsg: msg,
                         reason: `health_check:${probe.status}`,
                         userFrom: msg.from
                     });
@@ -202,6 +295,9 @@ export async function forwardToTopicImpl(msg, env, ctx, deps) {
         }
     }
 
+    // 用户资料变更时刷新话题标题与用户卡片
+    await syncTopicProfile(env, userId, msg.from, rec, policy.profileChanges);
+
     // 处理媒体组
     if (msg.media_group_id) {
         await handleMediaGroup(msg, env, ctx, {
@@ -209,7 +305,8 @@ export async function forwardToTopicImpl(msg, env, ctx, deps) {
             targetChat: env.SUPERGROUP_ID,
             threadId: rec.thread_id
         });
-        return;
+        await sendKeywordFlag(rec.thread_id);
+        return "delivered";
     }
 
     // 转发消息
@@ -243,7 +340,7 @@ export async function forwardToTopicImpl(msg, env, ctx, deps) {
             userId,
             userKey: key,
             oldThreadId: rec.thread_id,
-            pendingMsgId: msg.message_id,
+            pendingMsg: msg,
             reason: "forward_redirected_to_general",
             userFrom: msg.from
         });
@@ -275,7 +372,7 @@ export async function forwardToTopicImpl(msg, env, ctx, deps) {
                 userId,
                 userKey: key,
                 oldThreadId: rec.thread_id,
-                pendingMsgId: msg.message_id,
+                pendingMsg: msg,
                 reason: `forward_missing_thread_id:${probe.status}`,
                 userFrom: msg.from
             });
@@ -296,7 +393,7 @@ export async function forwardToTopicImpl(msg, env, ctx, deps) {
                 userId,
                 userKey: key,
                 oldThreadId: rec.thread_id,
-                pendingMsgId: msg.message_id,
+                pendingMsg: msg,
                 reason: "forward_failed_topic_missing",
                 userFrom: msg.from
             });
@@ -306,13 +403,29 @@ export async function forwardToTopicImpl(msg, env, ctx, deps) {
         if (desc.includes("chat not found")) throw new Error(`群组ID错误: ${env.SUPERGROUP_ID}`);
         if (desc.includes("not enough rights")) throw new Error("机器人权限不足 (需 Manage Topics)");
 
+        // 临时性失败：入队等待定时任务重试
+        const queueKey = isPermanentDeliveryFailure(copyResult.description)
+            ? null
+            : await enqueueFailedMessage(env, {
+                direction: "p2t",
+                userId,
+                sourceChatId: userId,
+                messageId: msg.message_id,
+                targetChatId: env.SUPERGROUP_ID,
+                threadId: rec.thread_id,
+                topicThreadId: rec.thread_id,
+                text: getFilterText(msg)
+            }, copyResult.description);
+
         await tgCall(env, "sendMessage", {
             chat_id: userId,
-            text: "❌ 消息发送失败，请稍后重试。"
+            text: queueKey ? "⏳ 消息暂时发送失败，系统将自动重试。" : "❌ 消息发送失败，请稍后重试。"
         });
-        return;
+        return queueKey ? "enqueued" : undefined;
     }
 
+    await sendKeywordFlag(rec.thread_id, copyResult.result.message_id);
+
     // 记录消息映射关系
     if (hasD1(env)) {
         await dbMessageMapPut(env, userId, msg.message_id, env.SUPERGROUP_ID, copyResult.result.message_id);
@@ -327,4 +440,5 @@ export async function forwardToTopicImpl(msg, env, ctx, deps) {
             expirationTtl: CONFIG.MESSAGE_MAP_TTL_SECONDS
         });
     }
+    return "delivered";
 }
@@ -0,0 +1,282 @@
+const MIGRATION_STATE_KEY = 'migrate:kv_to_d1:state';
+const MIGRATION_LOCK_KEY = 'migrate:kv_to_d1:lock';
+
+const MIGRATION_PHASES = [
+    { name: 'users', prefix: 'user:' },
+    { name: 'verified', prefix: 'verified:' },
+    { name: 'banned', prefix: 'banned:' },
+    { name: 'threads', prefix: 'thread:' }
+];
+
+function createInitialState(now) {
+    const counts = {};
+    for (const phase of MIGRATION_PHASES) {
+        counts[phase.name] = { scanned: 0, migrated: 0, skipped: 0, failed: 0 };
+    }
+    return {
+        status: 'running',
+        phaseIndex: 0,
+        cursor: null,
+        counts,
+        startedAt: now,
+        updatedAt: now,
+        finishedAt: null,
+        errors: [],
+        verification: null
+    };
+}
+
+export async function getKvToD1MigrationState(env) {
+    return await env.TOPIC_MAP.get(MIGRATION_STATE_KEY, { type: 'json' });
+}
+
+/**
+ * 迁移单个 KV 键到 D1。
+ * 返回 'migrated' | 'skipped'，写入失败时抛出异常。
+ */
+async function migrateKey(env, phase, keyInfo, deps) {
+    const { dbUserUpdate, dbThreadPut, dbSetVerifyState, dbSetBanned } = deps;
+    const id = keyInfo.name.slice(phase.prefix.length);
+    if (!/^\d+$/.test(id)) return 'skipped';
+
+    const value = await env.TOPIC_MAP.get(keyInfo.name);
+    if (value === null) return 'skipped';
+
+    if (phase.name === 'users') {
+        let rec = null;
+        try {
+            rec = JSON.parse(value);
+        } catch {
+            return 'skipped';
+        }
+        if (!rec || typeof rec !== 'object') return 'skipped';
+        await dbUserUpdate(env, id, {
+            thread_id: rec.thread_id ?? null,
+            title: rec.title ?? null,
+            closed: !!rec.closed
+        });
+        return 'migrated';
+    }
+
+    if (phase.name === 'verified') {
+        if (value === 'trusted') {
+            await dbSetVerifyState(env, id, 'trusted');
+            return 'migrated';
+        }
+        // 保留 KV 中剩余的有效期，避免迁移后验证期被重新拉满
+        if (keyInfo.expiration) {
+            const expiresAt = keyInfo.expiration * 1000;
+            if (expiresAt <= Date.now()) return 'skipped';
+            await dbUserUpdate(env, id, { verify_state: value, verify_expires_at: expiresAt });
+            return 'migrated';
+        }
+        await dbSetVerifyState(env, id, value);
+        return 'migrated';
+    }
+
+    if (phase.name === 'banned') {
+        await dbSetBanned(env, id, true);
+        return 'migrated';
+    }
+
+    if (!/^\d+$/.test(value)) return 'skipped';
+    await dbThreadPut(env, id, value);
+    return 'migrated';
+}
+
+/**
+ * 迁移完成后的数量核对：KV 扫描成功数与 D1 中对应记录数比较。
+ * D1 可能已有迁移前写入的数据，因此仅要求 D1 数量不少于迁移数量。
+ */
+async function verifyMigration(env, state, deps) {
+    const { dbCount, dbThreadCount } = deps;
+    const actual = {
+        users: await dbCount(env),
+        verified: await dbCount(env, 'WHERE verify_state IS NOT NULL'),
+        banned: await dbCount(env, 'WHERE is_blocked = 1'),
+        threads: await dbThreadCount(env)
+    };
+
+    const result = {};
+    let ok = true;
+    for (const phase of MIGRATION_PHASES) {
+        const expected = state.counts[phase.name].migrated;
+        const matched = actual[phase.name] >= expected && state.counts[phase.name].failed === 0;
+        if (!matched) ok = false;
+        result[phase.name] = { expected, actual: actual[phase.name], ok: matched };
+    }
+    return { ok, tables: result, checkedAt: Date.now() };
+}
+
+/**
+ * KV → D1 迁移（可恢复）。
+ *
+ * 说明：
+ * - 依次遍历 user: / verified: / banned: / thread: 四类键，每批处理后把游标写回 KV，
+ *   即使 Worker 因 CPU/时间限制中断，下次调用也会从检查点继续。
+ * - 单次调用最多运行 MIGRATION_TIME_BUDGET_MS，未完成时返回 status=running，
+ *   由下一次命令、管理路由或 cron 任务继续。
+ * - 全部完成后执行数量核对，结果保存在状态中。KV 数据不会被删除。
+ */
+export async function runKvToD1MigrationImpl(env, options, deps) {
+    const { hasD1, CONFIG, Logger } = deps;
+    if (!hasD1(env)) {
+        return { ok: false, error: 'd1_not_configured' };
+    }
+
+    const locked = await env.TOPIC_MAP.get(MIGRATION_LOCK_KEY);
+    if (locked) {
+        return { ok: false, error: 'migration_in_progress', state: await getKvToD1MigrationState(env) };
+    }
+    await env.TOPIC_MAP.put(MIGRATION_LOCK_KEY, '1', { expirationTtl: CONFIG.MIGRATION_LOCK_TTL_SECONDS });
+
+    const startedAt = Date.now();
+    try {
+        let state = options?.restart ? null : await getKvToD1MigrationState(env);
+        if (!state) {
+            state = createInitialState(startedAt);
+            Logger.info('kv_to_d1_migration_started', {});
+        }
+        if (state.status === 'done') {
+            return { ok: true, state };
+        }
+
+        const batchSize = Math.max(1, Number(CONFIG.MIGRATION_BATCH_SIZE || 100));
+        const budgetMs = Math.max(1000, Number(CONFIG.MIGRATION_TIME_BUDGET_MS || 20000));
+
+        while (state.phaseIndex < MIGRATION_PHASES.length && (Date.now() - startedAt) < budgetMs) {
+            const phase = MIGRATION_PHASES[state.phaseIndex];
+            const counts = state.counts[phase.name];
+            const result = await env.TOPIC_MAP.list({ prefix: phase.prefix, cursor: state.cursor || undefined, limit: batchSize });
+
+            for (const keyInfo of result.keys || []) {
+                counts.scanned++;
+                try {
+                    const outcome = await migrateKey(env, phase, keyInfo, deps);
+                    counts[outcome]++;
+                } catch (e) {
+                    counts.failed++;
+                    if (state.errors.length < 20) {
+                        state.errors.push(`${keyInfo.name}: ${String(e?.message || e)}`);
+                    }
+                    Logger.warn('kv_to_d1_migration_key_failed', { key: keyInfo.name, error: String(e?.message || e) });
+                }
+            }
+
+            if (!result.list_complete && result.cursor) {
+                state.cursor = result.cursor;
+            } else {
+                state.phaseIndex++;
+                state.cursor = null;
+            }
+            state.updatedAt = Date.now();
+            await env.TOPIC_MAP.put(MIGRATION_STATE_KEY, JSON.stringify(state));
+        }
+
+        if (state.phaseIndex >= MIGRATION_PHASES.length) {
+            state.verification = await verifyMigration(env, state, deps);
+            state.status = 'done';
+            state.finishedAt = Date.now();
+            await env.TOPIC_MAP.put(MIGRATION_STATE_KEY, JSON.stringify(state));
+            Logger.info('kv_to_d1_migration_done', { counts: state.counts, verification: state.verification });
+        }
+
+        return { ok: true, state };
+    } catch (e) {
+        Logger.error('kv_to_d1_migration_failed', e);
+        return { ok: false, error: String(e?.message || e), state: await getKvToD1MigrationState(env) };
+    } finally {
+        await env.TOPIC_MAP.delete(MIGRATION_LOCK_KEY);
+    }
+}
+
+/**
+ * cron 续跑：仅在迁移已由管理员启动且尚未完成时执行。
+ */
+export async function continueKvToD1MigrationImpl(env, deps) {
+    if (!deps.hasD1(env)) return { skipped: 'd1_not_configured' };
+    const state = await getKvToD1MigrationState(env);
+    if (!state || state.status !== 'running') return { skipped: 'idle' };
+    const result = await runKvToD1MigrationImpl(env, {}, deps);
+    return { ok: result.ok, status: result.state?.status ?? null, error: result.error };
+}
+
+export function formatMigrationReport(result) {
+    if (!result.ok && result.error === 'd1_not_configured') {
+        return '⚠️ 未绑定 D1 数据库，无法迁移。请先按 README 绑定 `TG_BOT_DB`。';
+    }
+    if (!result.ok && result.error === 'migration_in_progress') {
+        return '⏳ 迁移任务正在运行，请稍后使用 /migrate status 查看进度。';
+    }
+
+    const state = result.state;
+    if (!state) {
+        return result.ok ? 'ℹ️ 尚未执行过 KV → D1 迁移，发送 /migrate 开始。' : `❌ 迁移失败：${result.error}`;
+    }
+
+    const lines = [];
+    if (!result.ok) lines.push(`❌ 迁移出错：${result.error}`);
+    if (state.status === 'done') {
+        lines.push(state.verification?.ok ? '✅ KV → D1 迁移完成，数量核对通过' : '⚠️ KV → D1 迁移完成，但数量核对未通过');
+    } else {
+        const phase = MIGRATION_PHASES[state.phaseIndex];
+        lines.push(`🔄 KV → D1 迁移进行中（当前阶段: ${phase?.name || '-'}）`);
+    }
+    lines.push('');
+
+    for (const phase of MIGRATION_PHASES) {
+        const c = state.counts[phase.name];
+        lines.push(`📁 ${phase.prefix} 扫描 ${c.scanned} | 迁移 ${c.migrated} | 跳过 ${c.skipped} | 失败 ${c.failed}`);
+    }
+
+    if (state.verification) {
+        lines.push('');
+        lines.push('📊 核对结果（迁移数 / D1 记录数）:');
+        for (const [name, v] of Object.entries(state.verification.tables)) {
+            lines.push(`${v.ok ? '✅' : '❌'} ${name}: ${v.expected} / ${v.actual}`);
+        }
+    }
+
+    if (state.errors?.length > 0) {
+        lines.push('');
+        lines.push('⚠️ 失败示例:');
+        state.errors.slice(0, 10).forEach(err => lines.push(`- ${err}`));
+    }
+
+    if (state.status !== 'done') {
+        lines.push('');
+        lines.push('剩余部分将由定时任务自动继续，也可再次发送 /migrate 手动推进。');
+    }
+    return lines.join('\n');
+}
+
+/**
+ * 处理 /migrate [status|restart] 命令
+ */
+export async function handleMigrateCommandImpl({
+    threadId,
+    env,
+    args,
+    runKvToD1Migration,
+    tgCall,
+    withMessageThreadId
+}) {
+    const sendInThread = (text) => tgCall(env, 'sendMessage', withMessageThreadId({
+        chat_id: env.SUPERGROUP_ID,
+        text
+    }, threadId));
+
+    const action = (args[0] || '').toLowerCase();
+    if (action === 'status') {
+        const state = await getKvToD1MigrationState(env);
+        await sendInThread(formatMigrationReport({ ok: true, state }));
+        return;
+    }
+    if (action && action !== 'restart') {
+        await sendInThread('用法：/migrate（开始或继续）、/migrate status（查看进度）、/migrate restart（从头重新迁移）');
+        return;
+    }
+
+    const result = await runKvToD1Migration(env, { restart: action === 'restart' });
+    await sendInThread(formatMigrationReport(result));
+}
@@ -0,0 +1,150 @@
+/**
+ * 外发关键词拦截：管理员在话题内的回复命中外发关键词（direction = out）时暂不发送给用户，
+ * 而是在话题内回复提示，附「仍然发送 / 不发送」按钮（callback_data: kwout:<messageId>:<action>）。
+ *
+ * 暂扣记录保存在 KV `outbound_hold:<messageId>`（messageId 为群组内管理员消息的 ID），
+ * 有效期 OUTBOUND_HOLD_EXPIRE_SECONDS；放行时按原消息复制给用户，与正常回复走同一发送逻辑。
+ *
+ * 相册（media_group_id）在合并发送前整体检查：任一项命中即整组暂扣，记录键取第一项的消息 ID，
+ * 记录中保存全部媒体（media），放行时整组 sendMediaGroup 发送。
+ */
+
+import { signCallbackData } from '../core/crypto.js';
+import { buildInputMedia } from './media-group.js';
+
+async function buildHoldKeyboard(env, messageId) {
+    const button = async (text, action) => ({
+        text,
+        callback_data: await signCallbackData(env.BOT_TOKEN, `kwout:${messageId}:${action}`)
+    });
+    return {
+        inline_keyboard: [[
+            await button('📤 仍然发送', 'send'),
+            await button('🗑 不发送', 'drop')
+        ]]
+    };
+}
+
+/**
+ * 暂扣命中外发关键词的管理员消息，并在话题内发出提示。
+ */
+export async function holdOutboundMessageImpl(env, { userId, threadId, messageId, keyword, media = null }, deps) {
+    const { tgCall, Logger, CONFIG } = deps;
+
+    await env.TOPIC_MAP.put(`outbound_hold:${messageId}`, JSON.stringify({
+        userId,
+        threadId,
+        keyword,
+        ...(media ? { media } : {}),
+        created_at: Date.now()
+    }), { expirationTtl: CONFIG.OUTBOUND_HOLD_EXPIRE_SECONDS });
+
+    const subject = media ? `该相册（共 ${media.length} 项）` : '该消息';
+
+    await tgCall(env, 'sendMessage', {
+        chat_id: env.SUPERGROUP_ID,
+        message_thread_id: threadId,
+        reply_to_message_id: messageId,
+        allow_sending_without_reply: true,
+        text: `🚫 外发消息已拦截\n命中外发关键词: ${keyword}\n\n${subject}尚未发送给用户，确认无误后可点击「仍然发送」。`,
+        reply_markup: await buildHoldKeyboard(env, messageId)
+    });
+    Logger.info('outbound_message_held', { userId, messageId, keyword, mediaCount: media ? media.length : undefined });
+}
+
+/**
+ * 媒体组发送前的外发关键词检查（delaySend 调用）：合并相册各项的过滤字段整体匹配，
+ * 命中时整组暂扣并返回 true，调用方不再发送。仅处理管理员回复（t2p）。
+ */
+export async function holdOutboundMediaGroupImpl(env, rec, deps) {
+    const { matchKeyword, recordKeywordHit } = deps;
+    if (rec.direction !== 't2p' || !rec.items?.length) return false;
+
+    const fields = {};
+    for (const item of rec.items) {
+        for (const [field, texts] of Object.entries(item.fields || {})) {
+            fields[field] = (fields[field] || []).concat(texts);
+        }
+    }
+    const hit = await matchKeyword(env, fields, 'out');
+    if (!hit) return false;
+
+    await recordKeywordHit(env, rec.targetChat, hit);
+    await holdOutboundMessageImpl(env, {
+        userId: rec.targetChat,
+        threadId: rec.sourceThreadId,
+        messageId: rec.items[0].msg_id,
+        keyword: hit.keyword,
+        media: rec.items.map(({ fields: _fields, ...item }) => item)
+    }, deps);
+    return true;
+}
+
+/**
+ * 处理外发拦截提示上的按钮（签名与管理员身份由回调路由校验）。
+ */
+export async function handleOutboundHoldCallbackImpl(query, env, ctx, args, deps) {
+    const { tgCall, Logger, safeGetJSON, deliverAdminReply, noteAdminReply } = deps;
+
+    const [messageIdText, action] = args;
+    const messageId = Number(messageIdText);
+    if (!messageId || !['send', 'drop'].includes(action)) return false;
+
+    const answer = (text, showAlert = false) => tgCall(env, 'answerCallbackQuery', {
+        callback_query_id: query.id,
+        text,
+        show_alert: showAlert
+    });
+    const noticeText = query.message?.text || '';
+    const closeNotice = async (resultText) => {
+        if (!query.message) return;
+        await tgCall(env, 'editMessageText', {
+            chat_id: query.message.chat.id,
+            message_id: query.message.message_id,
+            text: `${noticeText}\n\n${resultText}`
+        });
+    };
+
+    const key = `outbound_hold:${messageId}`;
+    const hold = await safeGetJSON(env, key, null);
+    if (!hold) {
+        await answer('⚠️ 该消息已处理或已过期', true);
+        await closeNotice('⌛ 已处理或已过期');
+        return;
+    }
+    // 先删除记录，重复点击时只会发送一次
+    await env.TOPIC_MAP.delete(key);
+
+    const adminId = query.from.id;
+    const adminName = [query.from.first_name, query.from.last_name].filter(Boolean).join(' ') || String(adminId);
+
+    if (action === 'drop') {
+        Logger.info('outbound_message_discarded', { userId: hold.userId, messageId, adminId });
+        await answer('🗑 已放弃发送');
+        await closeNotice(`🗑 未发送（${adminName}）`);
+        return;
+    }
+
+    Logger.info('outbound_message_released', { userId: hold.userId, messageId, adminId, keyword: hold.keyword });
+    await answer('📤 已放行');
+    if (hold.media) {
+        const result = await tgCall(env, 'sendMediaGroup', {
+            chat_id: hold.userId,
+            media: buildInputMedia(hold.media)
+        });
+        if (!result.ok) {
+            Logger.warn('outbound_media_group_release_failed', { userId: hold.userId, messageId, description: result.description });
+            await closeNotice(`❌ 放行发送失败：${result.description || '未知错误'}（${adminName}）`);
+            return;
+        }
+        await closeNotice(`📤 已放行发送（${adminName}）`);
+        await noteAdminReply(env, hold.userId, hold.threadId);
+        return;
+    }
+    await closeNotice(`📤 已放行发送（${adminName}）`);
+    await deliverAdminReply(env, {
+        userId: hold.userId,
+        messageId,
+        threadId: hold.threadId
+    });
+}
@@ -0,0 +1,85 @@
+/**
+ * 验证 / 审核期间暂存的消息。
+ *
+ * 状态中的 `pending_msgs` 保存消息快照（文本、说明文字、媒体组、媒体 file_id 与关键词过滤读取的字段），
+ * 通过后按原消息重新走 forwardToTopic，关键词过滤与媒体组合并与正常消息一致。
+ * 超出 PENDING_MAX_MESSAGES 时丢弃最早的消息，并在 `pending_dropped` 中计数。
+ */
+
+const MEDIA_FIELDS = ['video', 'document', 'audio', 'animation'];
+
+// getFilterFields 读取的字段：补发时按字段匹配的关键词（链接、转发来源、联系人等）需要
+const FILTER_FIELDS = [
+    'entities',
+    'caption_entities',
+    'link_preview_options',
+    'forward_origin',
+    'forward_from_chat',
+    'forward_sender_name',
+    'contact',
+    'venue',
+    'reply_markup'
+];
+
+/**
+ * 生成消息快照，仅保留补发所需字段。
+ */
+export function buildPendingSnapshot(msg) {
+    const snapshot = { message_id: msg.message_id };
+    if (msg.text) snapshot.text = msg.text;
+    if (msg.caption) snapshot.caption = msg.caption;
+    if (msg.media_group_id) snapshot.media_group_id = msg.media_group_id;
+    if (msg.photo && msg.photo.length > 0) {
+        snapshot.photo = [{ file_id: msg.photo[msg.photo.length - 1].file_id }];
+    }
+    for (const field of MEDIA_FIELDS) {
+        if (!msg[field]?.file_id) continue;
+        snapshot[field] = { file_id: msg[field].file_id };
+        if (msg[field].file_name) snapshot[field].file_name = msg[field].file_name;
+    }
+    for (const field of FILTER_FIELDS) {
+        if (msg[field]) snapshot[field] = msg[field];
+    }
+    return snapshot;
+}
+
+/**
+ * 读取暂存消息（兼容旧版仅保存 message_id 的 pending_ids / pending）。
+ */
+export function getPendingMessages(state) {
+    if (Array.isArray(state.pending_msgs)) return state.pending_msgs.slice();
+    if (Array.isArray(state.pending_ids)) return state.pending_ids.filter(Boolean).map(id => ({ message_id: id }));
+    if (state.pending) return [{ message_id: state.pending }];
+    return [];
+}
+
+/**
+ * 追加一条暂存消息。返回 true 表示状态已改变，需要写回存储。
+ */
+export function appendPendingMessage(state, msg, maxMessages) {
+    if (!msg?.message_id) return false;
+    const pending = getPendingMessages(state);
+    if (pending.some(item => item.message_id === msg.message_id)) return false;
+
+    pending.push(buildPendingSnapshot(msg));
+    const overflow = pending.length - Math.max(0, maxMessages);
+    if (overflow > 0) {
+        pending.splice(0, overflow);
+        state.pending_dropped = (state.pending_dropped || 0) + overflow;
+    }
+    state.pending_msgs = pending;
+    delete state.pending_ids;
+    delete state.pending;
+    return true;
+}
+
+/**
+ * 由快照还原可交给 forwardToTopic 的消息对象。
+ */
+export function restorePendingMessage(snapshot, userId, from) {
+    return {
+        ...snapshot,
+        chat: { id: userId, type: 'private' },
+        from
+    };
+}
@@ -0,0 +1,174 @@
+const QUESTION_MAX_LENGTH = 200;
+const ANSWER_MAX_LENGTH = 40;
+const MAX_INCORRECT_ANSWERS = 5;
+// 至少答题次数达到该值后才给出“过易/易混淆”提示，避免样本过少误判
+const QUESTION_STATS_MIN_ATTEMPTS = 20;
+
+/**
+ * 读取启用中的题库，出错时返回空数组（调用方回退到内置题目）。
+ */
+export async function getVerificationQuestionsImpl(env, { hasD1, dbQuestionListEnabledCached, Logger }) {
+    if (!hasD1(env)) return [];
+    try {
+        return await dbQuestionListEnabledCached(env);
+    } catch (e) {
+        Logger.warn('question_bank_load_failed', { error: String(e?.message || e) });
+        return [];
+    }
+}
+
+/**
+ * 记录题目答题结果。统计失败不影响验证流程。
+ */
+export async function recordQuestionResultImpl(env, questionId, passed, { dbQuestionRecordResult, Logger }) {
+    try {
+        await dbQuestionRecordResult(env, questionId, passed);
+    } catch (e) {
+        Logger.warn('question_stats_update_failed', { questionId, passed, error: String(e?.message || e) });
+    }
+}
+
+/**
+ * 解析 `问题 | 正确答案 | 错误1,错误2,...`，返回 { ok, question, correct, incorrect } 或 { ok: false, reason }。
+ */
+export function parseQuestionInput(text) {
+    const segments = String(text || '').split('|').map(part => part.trim());
+    if (segments.length !== 3 || segments.some(part => !part)) {
+        return { ok: false, reason: '格式应为：问题 | 正确答案 | 错误1,错误2,...' };
+    }
+
+    const [question, correct, incorrectText] = segments;
+    const incorrect = [...new Set(incorrectText.split(/[,，]/).map(part => part.trim()).filter(Boolean))];
+
+    if (question.length > QUESTION_MAX_LENGTH) {
+        return { ok: false, reason: `问题长度不能超过 ${QUESTION_MAX_LENGTH} 字符` };
+    }
+    if ([correct, ...incorrect].some(answer => answer.length > ANSWER_MAX_LENGTH)) {
+        return { ok: false, reason: `答案长度不能超过 ${ANSWER_MAX_LENGTH} 字符` };
+    }
+    if (incorrect.length === 0 || incorrect.length > MAX_INCORRECT_ANSWERS) {
+        return { ok: false, reason: `错误答案数量需为 1 ~ ${MAX_INCORRECT_ANSWERS} 个` };
+    }
+    if (incorrect.includes(correct)) {
+        return { ok: false, reason: '错误答案中不能包含正确答案' };
+    }
+
+    return { ok: true, question, correct, incorrect };
+}
+
+function formatQuestionStats(q) {
+    const total = q.pass_count + q.fail_count;
+    if (total === 0) return '暂无答题';
+    const rate = Math.round((q.pass_count / total) * 100);
+    let hint = '';
+    if (total >= QUESTION_STATS_MIN_ATTEMPTS) {
+        if (rate >= 98) hint = ' ⚠️过易';
+        else if (rate < 50) hint = ' ⚠️易混淆';
+    }
+    return `通过 ${q.pass_count} / 失败 ${q.fail_count}（${rate}%）${hint}`;
+}
+
+/**
+ * 处理 /q 题库管理命令
+ */
+export async function handleQuestionCommandImpl({
+    threadId,
+    env,
+    args,
+    hasD1,
+    dbQuestionList,
+    dbQuestionAdd,
+    dbQuestionDelete,
+    dbQuestionSetEnabled,
+    LOCAL_QUESTIONS,
+    tgCall,
+    withMessageThreadId,
+    Logger
+}) {
+    const sendInThread = (text) => tgCall(env, 'sendMessage', withMessageThreadId({
+        chat_id: env.SUPERGROUP_ID,
+        text
+    }, threadId));
+
+    if (!hasD1(env)) {
+        await sendInThread('⚠️ 题库功能需要绑定 D1 数据库。');
+        return;
+    }
+
+    const action = (args[0] || 'help').toLowerCase();
+
+    if (action === 'add') {
+        const parsed = parseQuestionInput(args.slice(1).join(' '));
+        if (!parsed.ok) {
+            await sendInThread(`❌ ${parsed.reason}\n示例：/q add 一周有几天？ | 7 | 5,6,8`);
+            return;
+        }
+        const id = await dbQuestionAdd(env, parsed.question, parsed.correct, parsed.incorrect);
+        Logger.info('question_added', { id, question: parsed.question });
+        await sendInThread(`✅ 已添加题目${id ? `（ID: ${id}）` : ''}\n${parsed.question}\n正确答案: ${parsed.correct}\n错误答案: ${parsed.incorrect.join(', ')}`);
+        return;
+    }
+
+    if (action === 'list') {
+        const list = await dbQuestionList(env);
+        if (!list.length) {
+            await sendInThread(`当前题库为空，验证将使用内置的 ${LOCAL_QUESTIONS.length} 道题目。\n使用 /q add 添加题目。`);
+            return;
+        }
+
+        const enabledCount = list.filter(q => q.enabled).length;
+        const header = `📚 题库（共 ${list.length} 道，启用 ${enabledCount} 道）${enabledCount === 0 ? '\n⚠️ 无启用题目，验证将使用内置题目' : ''}`;
+        const items = list.map(q => [
+            `[id=${q.id}]${q.enabled ? '' : ' ⏸️已停用'} ${q.question}`,
+            `  ✔ ${q.correct_answer} ✘ ${q.incorrect_answers.join(', ')}`,
+            `  ${formatQuestionStats(q)}`
+        ].join('\n'));
+
+        const maxLen = 3800;
+        let buffer = header;
+        for (const item of items) {
+            if ((buffer.length + item.length + 2) > maxLen) {
+                await sendInThread(buffer.trimEnd());
+                buffer = '';
+            }
+            buffer += `${buffer ? '\n\n' : ''}${item}`;
+        }
+        if (buffer.trim()) {
+            await sendInThread(buffer.trimEnd());
+        }
+        return;
+    }
+
+    if (['del', 'disable', 'enable'].includes(action)) {
+        const idText = args[1];
+        if (!idText || !/^\d+$/.test(idText)) {
+            await sendInThread(`用法：/q ${action} <id>`);
+            return;
+        }
+
+        const changes = action === 'del'
+            ? await dbQuestionDelete(env, Number(idText))
+            : await dbQuestionSetEnabled(env, Number(idText), action === 'enable');
+        if (changes === 0) {
+            await sendInThread(`❌ 未找到题目（ID）：${idText}`);
+            return;
+        }
+
+        const actionText = { del: '删除', disable: '停用', enable: '启用' }[action];
+        Logger.info('question_updated', { id: Number(idText), action });
+        await sendInThread(`✅ 已${actionText}题目（ID）：${idText}`);
+        return;
+    }
+
+    await sendInThread([
+        '📚 验证题库管理',
+        '',
+        '/q add 问题 | 正确答案 | 错误1,错误2,... - 添加题目',
+        '/q list - 查看题目及通过率',
+        '/q disable <id> - 停用题目',
+        '/q enable <id> - 启用题目',
+        '/q del <id> - 删除题目',
+        '',
+        `题库无启用题目时，自动使用内置的 ${LOCAL_QUESTIONS.length} 道题目。`
+    ].join('\n'));
+}
@@ -1,32 +1,73 @@
 const QUEUE_PREFIX = 'queue:';
+const DEAD_LETTER_PREFIX = 'dlq:';
 const QUEUE_TTL = 86400;
 
-export async function enqueueFailedMessageImpl(env, userId, message, reason, deps) {
-    const { secureRandomId, putWithMetadata, Logger } = deps;
+/**
+ * 判断投递失败是否不可重试（重试也不会成功的错误）。
+ */
+export function isPermanentDeliveryFailure(description) {
+    const desc = (description || '').toString().toLowerCase();
+    return desc.includes('bot was blocked by the user') ||
+           desc.includes('user is deactivated') ||
+           desc.includes('chat not found') ||
+           desc.includes('message to copy not found') ||
+           desc.includes('message_id_invalid') ||
+           desc.includes('not enough rights') ||
+           desc.includes('have no rights');
+}
+
+function getRetryDelayMs(retryCount, CONFIG) {
+    const base = Number(CONFIG.QUEUE_RETRY_BASE_DELAY_SECONDS ?? 60) * 1000;
+    const max = Number(CONFIG.QUEUE_RETRY_MAX_DELAY_SECONDS ?? 3600) * 1000;
+    return Math.min(max, base * (2 ** Math.max(0, retryCount - 1)));
+}
+
+/**
+ * 失败消息入队。
+ *
+ * delivery 字段：
+ * - direction：'p2t'（用户 -> 话题）或 't2p'（话题 -> 用户）。
+ * - userId：对应的用户 ID。
+ * - sourceChatId / messageId：copyMessage 的来源。
+ * - targetChatId / threadId：copyMessage 的目标（threadId 仅 p2t 使用）。
+ * - topicThreadId：用户话题 ID，用于最终丢弃时通知管理员。
+ */
+export async function enqueueFailedMessageImpl(env, delivery, reason, deps) {
+    const { secureRandomId, putWithMetadata, Logger, CONFIG } = deps;
+    const { direction, userId, sourceChatId, messageId, targetChatId, threadId, topicThreadId, text } = delivery;
 
     try {
-        const queueKey = `${QUEUE_PREFIX}${userId}:${Date.now()}:${secureRandomId(6)}`;
+        const now = Date.now();
+        const queueKey = `${QUEUE_PREFIX}${userId}:${now}:${secureRandomId(6)}`;
 
         const queueItem = {
+            direction,
             userId: String(userId),
-            messageId: message.message_id,
-            from: message.from?.id || userId,
-            text: message.text || message.caption || '',
-            timestamp: Date.now(),
+            sourceChatId: String(sourceChatId),
+            messageId,
+            targetChatId: String(targetChatId),
+            threadId: threadId ?? null,
+            topicThreadId: topicThreadId ?? null,
+            text: String(text || '').slice(0, 200),
+            timestamp: now,
             reason,
-            retryCount: 0
+            lastError: reason,
+            retryCount: 0,
+            nextAttemptAt: now + getRetryDelayMs(1, CONFIG)
         };
 
         await putWithMetadata(env, queueKey, queueItem, {
             expirationTtl: QUEUE_TTL,
             metadata: {
                 reason,
+                direction,
                 userId: String(userId)
             }
         });
 
         Logger.info('message_enqueued', {
             userId,
+            direction,
             reason,
             queueKey
         });
@@ -38,51 +79,155 @@ export async function enqueueFailedMessageImpl(env, userId, message, reason, dep
     }
 }
 
+async function moveToDeadLetter(env, key, item, finalError, deps) {
+    const { tgCall, CONFIG, Logger } = deps;
+
+    await env.TOPIC_MAP.put(
+        `${DEAD_LETTER_PREFIX}${key.slice(QUEUE_PREFIX.length)}`,
+        JSON.stringify({ ...item, lastError: finalError, droppedAt: Date.now() }),
+        { expirationTtl: CONFIG.QUEUE_DEAD_LETTER_TTL_SECONDS }
+    );
+
+    Logger.warn('queue_item_dead_lettered', {
+        userId: item.userId,
+        direction: item.direction,
+        messageId: item.messageId,
+        retryCount: item.retryCount,
+        error: finalError
+    });
+
+    if (!item.topicThreadId) return;
+
+    const directionLabel = item.direction === 't2p' ? '话题 → 用户' : '用户 → 话题';
+    const lines = [
+        '⚠️ 消息投递失败，已放弃重试',
+        `方向: ${directionLabel}`,
+        `UID: ${item.userId}`,
+        `原消息 ID: ${item.messageId}`,
+        `重试次数: ${item.retryCount}`,
+        `最后错误: ${finalError || '未知'}`
+    ];
+    if (item.text) lines.push(`内容摘要: ${item.text}`);
+
+    try {
+        await tgCall(env, 'sendMessage', {
+            chat_id: env.SUPERGROUP_ID,
+            message_thread_id: item.topicThreadId,
+            text: lines.join('\n')
+        });
+    } catch (e) {
+        Logger.warn('queue_dead_letter_notify_failed', { userId: item.userId, error: String(e?.message || e) });
+    }
+}
+
+/**
+ * 重试队列中的失败消息。
+ *
+ * 行为：
+ * - 未到 nextAttemptAt 的条目跳过，等待下次调度。
+ * - 重试成功：记录消息映射并删除条目。
+ * - 重试失败（含 tgCall 抛出异常）：retryCount +1，按指数退避计算下次重试时间；
+ *   达到 QUEUE_MAX_RETRIES 或遇到不可重试错误时转入死信（dlq:）并通知话题。
+ */
 export async function processMessageQueueImpl(env, ctx, deps) {
-    const { getAllKeys, safeGetJSON, deleteBulk, Logger } = deps;
+    const { getAllKeys, safeGetJSON, deleteBulk, putWithMetadata, tgCall, withMessageThreadId, saveMessageMap, CONFIG, Logger } = deps;
 
     try {
         const queueKeys = await getAllKeys(env, QUEUE_PREFIX);
-        if (queueKeys.length === 0) return;
+        if (queueKeys.length === 0) return { processed: 0, succeeded: 0, failed: 0, deferred: 0, deadLettered: 0 };
 
         Logger.info('queue_processing_start', { itemCount: queueKeys.length });
 
+        const maxRetries = Math.max(1, Number(CONFIG.QUEUE_MAX_RETRIES || 5));
         let processed = 0;
         let succeeded = 0;
         let failed = 0;
+        let deferred = 0;
+        let deadLettered = 0;
         const keysToDelete = [];
 
         for (const keyInfo of queueKeys) {
             const queueItem = await safeGetJSON(env, keyInfo.name, null);
             if (!queueItem) continue;
 
+            const now = Date.now();
+            if (queueItem.nextAttemptAt && queueItem.nextAttemptAt > now) {
+                deferred++;
+                continue;
+            }
+
             processed++;
 
-            if ((queueItem.retryCount || 0) >= 3) {
-                Logger.warn('queue_item_discarded', {
-                    userId: queueItem.userId,
-                    reason: 'max_retries'
-                });
+            if (!queueItem.direction || !queueItem.sourceChatId || !queueItem.targetChatId) {
+                Logger.warn('queue_item_discarded', { userId: queueItem.userId, reason: 'invalid_item' });
                 keysToDelete.push(keyInfo.name);
                 failed++;
                 continue;
             }
 
             try {
-                Logger.info('queue_item_retry', {
-                    userId: queueItem.userId,
-                    retryCount: queueItem.retryCount
+                let result;
+                try {
+                    result = await tgCall(env, 'copyMessage', withMessageThreadId({
+                        chat_id: queueItem.targetChatId,
+                        from_chat_id: queueItem.sourceChatId,
+                        message_id: queueItem.messageId
+                    }, queueItem.direction === 'p2t' ? (queueItem.threadId ?? undefined) : undefined));
+                } catch (e) {
+                    // 网络异常等抛出的错误按一次失败的投递处理，同样计入重试次数
+                    result = { ok: false, description: String(e?.message || e) };
+                }
+
+                if (result.ok) {
+                    // 消息已送达，映射写入失败只影响编辑同步，不能让条目重试导致重复发送
+                    try {
+                        await saveMessageMap(env, queueItem.sourceChatId, queueItem.messageId, queueItem.targetChatId, result.result.message_id);
+                    } catch (e) {
+                        Logger.warn('queue_item_map_save_failed', { userId: queueItem.userId, error: String(e?.message || e) });
+                    }
+                    Logger.info('queue_item_delivered', {
+                        userId: queueItem.userId,
+                        direction: queueItem.direction,
+                        retryCount: queueItem.retryCount
+                    });
+                    keysToDelete.push(keyInfo.name);
+                    succeeded++;
+                    continue;
+                }
+
+                queueItem.retryCount = (queueItem.retryCount || 0) + 1;
+                queueItem.lastError = result.description || 'unknown';
+                failed++;
+
+                if (queueItem.retryCount >= maxRetries || isPermanentDeliveryFailure(result.description)) {
+                    await moveToDeadLetter(env, keyInfo.name, queueItem, queueItem.lastError, deps);
+                    keysToDelete.push(keyInfo.name);
+                    deadLettered++;
+                    continue;
+                }
+
+                queueItem.nextAttemptAt = now + getRetryDelayMs(queueItem.retryCount + 1, CONFIG);
+                await putWithMetadata(env, keyInfo.name, queueItem, {
+                    expirationTtl: QUEUE_TTL,
+                    metadata: {
+                        reason: queueItem.reason,
+                        direction: queueItem.direction,
+                        userId: queueItem.userId
+                    }
                 });
 
-                keysToDelete.push(keyInfo.name);
-                succeeded++;
-            } catch (e) {
                 Logger.warn('queue_item_retry_failed', {
                     userId: queueItem.userId,
-                    error: e.message,
+                    error: queueItem.lastError,
+                    retryCount: queueItem.retryCount,
+                    nextAttemptAt: queueItem.nextAttemptAt
+                });
+            } catch (e) {
+                // 更新队列条目或写入死信失败：条目保持原样，下次调度再处理
+                Logger.error('queue_item_update_failed', e, {
+                    userId: queueItem.userId,
                     retryCount: queueItem.retryCount
                 });
-                failed++;
             }
         }
 
@@ -93,9 +238,14 @@ export async function processMessageQueueImpl(env, ctx, deps) {
         Logger.info('queue_processing_complete', {
             processed,
             succeeded,
-            failed
+            failed,
+            deferred,
+            deadLettered
         });
+
+        return { processed, succeeded, failed, deferred, deadLettered };
     } catch (e) {
         Logger.error('queue_processing_failed', e);
+        return null;
     }
 }
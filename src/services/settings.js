@@ -0,0 +1,271 @@
+const SETTING_PREFIX = 'setting:';
+
+/**
+ * 允许运行时修改的配置项白名单。
+ *
+ * - type：int / bool / enum，写入前按类型与范围校验。
+ * - 未列出的 CONFIG 项（如 cron 间隔、锁参数）在模块加载时即被读取，运行时修改无效，因此不开放。
+ */
+export const SETTINGS_SCHEMA = {
+    RATE_LIMIT_MESSAGE: { type: 'int', min: 1, max: 1000, desc: '每个时间窗口内允许的消息数' },
+    RATE_LIMIT_VERIFY: { type: 'int', min: 1, max: 100, desc: '每个时间窗口内允许的验证请求数' },
+    RATE_LIMIT_WINDOW: { type: 'int', min: 10, max: 3600, desc: '限流时间窗口（秒）' },
+    VERIFY_EXPIRE_SECONDS: { type: 'int', min: 60, max: 3600, desc: '验证题有效期（秒）' },
+    VERIFIED_EXPIRE_SECONDS: { type: 'int', min: 3600, max: 31536000, desc: '验证通过后的有效期（秒）' },
+    NEEDS_REVERIFY_TTL_SECONDS: { type: 'int', min: 60, max: 86400, desc: '重新验证标记保留时间（秒）' },
+    PENDING_MAX_MESSAGES: { type: 'int', min: 0, max: 50, desc: '验证期间暂存的最大消息数' },
+    MEDIA_GROUP_DELAY_MS: { type: 'int', min: 500, max: 10000, desc: '媒体组聚合等待时间（毫秒）' },
+    MESSAGE_MAP_TTL_SECONDS: { type: 'int', min: 3600, max: 2592000, desc: '消息映射保留时间（秒），影响编辑同步' },
+    ADMIN_CACHE_TTL_SECONDS: { type: 'int', min: 60, max: 3600, desc: '管理员权限缓存时间（秒）' },
+    BUTTON_COLUMNS: { type: 'int', min: 1, max: 4, desc: '验证按钮每行数量' },
+    MAX_TITLE_LENGTH: { type: 'int', min: 16, max: 128, desc: '话题标题最大长度' },
+    KEYWORD_MAX_LENGTH: { type: 'int', min: 10, max: 1000, desc: '单个关键词最大长度' },
+    KEYWORD_MATCH_MAX_TEXT_LENGTH: { type: 'int', min: 100, max: 20000, desc: '关键词匹配的最大文本长度' },
+    KEYWORD_MATCH_STEP_BUDGET: { type: 'int', min: 10000, max: 1000000, desc: '单条消息正则匹配的步数上限' },
+    QUEUE_MAX_RETRIES: { type: 'int', min: 1, max: 20, desc: '失败消息最大重试次数' },
+    QUEUE_RETRY_BASE_DELAY_SECONDS: { type: 'int', min: 10, max: 3600, desc: '失败消息首次重试间隔（秒）' },
+    QUEUE_RETRY_MAX_DELAY_SECONDS: { type: 'int', min: 60, max: 86400, desc: '失败消息最大重试间隔（秒）' },
+    VERIFY_MODE: {
+        type: 'enum',
+        options: ['challenge', 'approval'],
+        desc: '新用户验证方式：challenge 人机验证题 / approval 管理员在「待审核」话题人工审核'
+    },
+    APPROVAL_REJECT_COOLDOWN_SECONDS: { type: 'int', min: 60, max: 2592000, desc: '审核被拒绝后再次申请的等待时间（秒）' },
+    VERIFY_CHALLENGE_TYPE: {
+        type: 'enum',
+        options: ['quiz', 'math', 'emoji', 'text', 'image'],
+        desc: '人机验证题型：quiz 选择题 / math 算术 / emoji 表情点选 / text 文字作答 / image 图片验证码'
+    },
+    VERIFY_MAX_ATTEMPTS: { type: 'int', min: 1, max: 10, desc: '每道验证题允许的作答次数，用尽后本题作废并进入冷却' },
+    VERIFY_COOLDOWN_SECONDS: { type: 'int', min: 60, max: 86400, desc: '首次验证冷却时长（秒），之后每次翻倍' },
+    VERIFY_MAX_COOLDOWNS: { type: 'int', min: 0, max: 20, desc: '冷却累计达到该次数后自动封禁（0 为不自动封禁）' },
+    VERIFY_PENALTY_WINDOW_SECONDS: { type: 'int', min: 3600, max: 2592000, desc: '验证失败记录保留时间（秒），同时为单次冷却上限' },
+    VERIFY_INACTIVITY_DAYS: { type: 'int', min: 0, max: 3650, desc: '连续未活动超过该天数后需重新验证（0 为不启用）' },
+    VERIFY_ON_PROFILE_CHANGE: { type: 'bool', desc: '名字或用户名变更后需重新验证' },
+    AUTO_TRUST_EXCHANGES: { type: 'int', min: 0, max: 1000, desc: '与管理员往来达到该轮数后自动设为永久信任（0 为不启用）' }
+};
+
+// 实例级缓存：defaults 为首次覆盖前的 CONFIG 原值，overrides 为当前生效的覆盖值
+const settingsCache = {
+    ts: 0,
+    defaults: null,
+    overrides: {}
+};
+
+export function normalizeSettingKey(key) {
+    return String(key || '').trim().toUpperCase();
+}
+
+/**
+ * 校验并转换配置值，返回 { ok, value } 或 { ok: false, error }。
+ */
+export function parseSettingValue(key, raw) {
+    const schema = SETTINGS_SCHEMA[key];
+    if (!schema) return { ok: false, error: `未知或不可修改的配置项: ${key}` };
+    const text = String(raw ?? '').trim();
+
+    if (schema.type === 'int') {
+        if (!/^-?\d+$/.test(text)) return { ok: false, error: `${key} 需要整数` };
+        const value = Number(text);
+        if (value < schema.min || value > schema.max) {
+            return { ok: false, error: `${key} 取值范围为 ${schema.min} ~ ${schema.max}` };
+        }
+        return { ok: true, value };
+    }
+
+    if (schema.type === 'bool') {
+        const lower = text.toLowerCase();
+        if (['1', 'true', 'on', 'yes'].includes(lower)) return { ok: true, value: true };
+        if (['0', 'false', 'off', 'no'].includes(lower)) return { ok: true, value: false };
+        return { ok: false, error: `${key} 需要布尔值（on/off）` };
+    }
+
+    if (schema.type === 'enum') {
+        const lower = text.toLowerCase();
+        if (!schema.options.includes(lower)) {
+            return { ok: false, error: `${key} 可选值: ${schema.options.join(' / ')}` };
+        }
+        return { ok: true, value: lower };
+    }
+
+    return { ok: false, error: `${key} 类型未定义` };
+}
+
+async function loadStoredSettings(env, deps) {
+    const { hasD1, dbConfigListByPrefix, getAllKeys } = deps;
+    const stored = {};
+
+    if (hasD1(env)) {
+        const rows = await dbConfigListByPrefix(env, SETTING_PREFIX);
+        for (const row of rows) {
+            stored[String(row.key).slice(SETTING_PREFIX.length)] = row.value;
+        }
+    } else {
+        const keys = await getAllKeys(env, SETTING_PREFIX);
+        for (const { name } of keys) {
+            const value = await env.TOPIC_MAP.get(name);
+            if (value !== null) stored[name.slice(SETTING_PREFIX.length)] = value;
+        }
+    }
+    return stored;
+}
+
+/**
+ * 将存储中的配置覆盖到 CONFIG（原地修改，所有模块共享同一对象）。
+ *
+ * - 结果缓存 SETTINGS_CACHE_TTL_MS，其他实例最迟在缓存过期后生效。
+ * - 存储中的非法值会被忽略并记录日志，对应项回退为默认值。
+ */
+export async function applyRuntimeSettingsImpl(env, deps, { force = false } = {}) {
+    const { CONFIG, Logger } = deps;
+    const now = Date.now();
+    if (!force && settingsCache.ts && (now - settingsCache.ts) < CONFIG.SETTINGS_CACHE_TTL_MS) {
+        return settingsCache.overrides;
+    }
+
+    if (!settingsCache.defaults) {
+        settingsCache.defaults = {};
+        for (const key of Object.keys(SETTINGS_SCHEMA)) {
+            settingsCache.defaults[key] = CONFIG[key];
+        }
+    }
+
+    try {
+        const stored = await loadStoredSettings(env, deps);
+        const overrides = {};
+        for (const [key, raw] of Object.entries(stored)) {
+            const parsed = parseSettingValue(key, raw);
+            if (!parsed.ok) {
+                Logger.warn('runtime_setting_invalid', { key, value: raw, error: parsed.error });
+                continue;
+            }
+            overrides[key] = parsed.value;
+        }
+
+        for (const key of Object.keys(SETTINGS_SCHEMA)) {
+            CONFIG[key] = key in overrides ? overrides[key] : settingsCache.defaults[key];
+        }
+        settingsCache.overrides = overrides;
+    } catch (e) {
+        // 读取失败时沿用上一次的覆盖结果，避免单次存储异常导致配置抖动
+        Logger.error('runtime_settings_load_failed', e);
+    }
+
+    settingsCache.ts = now;
+    return settingsCache.overrides;
+}
+
+/**
+ * 写入单个配置项并立即在当前实例生效。value 为 null 时恢复默认值。
+ */
+export async function setRuntimeSettingImpl(env, key, value, deps) {
+    const { hasD1, dbConfigPut, dbConfigDelete, Logger } = deps;
+    const storageKey = `${SETTING_PREFIX}${key}`;
+
+    if (value === null) {
+        if (hasD1(env)) {
+            await dbConfigDelete(env, storageKey);
+        } else {
+            await env.TOPIC_MAP.delete(storageKey);
+        }
+    } else if (hasD1(env)) {
+        await dbConfigPut(env, storageKey, String(value));
+    } else {
+        await env.TOPIC_MAP.put(storageKey, String(value));
+    }
+
+    Logger.info('runtime_setting_updated', { key, value });
+    await applyRuntimeSettingsImpl(env, deps, { force: true });
+}
+
+function formatSettingValue(value) {
+    if (typeof value === 'boolean') return value ? 'on' : 'off';
+    return String(value);
+}
+
+/**
+ * 处理 /set /get /settings 命令
+ */
+export async function handleSettingsCommandImpl({
+    threadId,
+    env,
+    command,
+    args,
+    applyRuntimeSettings,
+    setRuntimeSetting,
+    CONFIG,
+    tgCall,
+    withMessageThreadId
+}) {
+    const sendInThread = (text) => tgCall(env, 'sendMessage', withMessageThreadId({
+        chat_id: env.SUPERGROUP_ID,
+        text
+    }, threadId));
+
+    const overrides = await applyRuntimeSettings(env, { force: true });
+    const defaults = settingsCache.defaults || {};
+
+    if (command === '/settings') {
+        const lines = ['⚙️ 运行时配置（✏️ 表示已修改）', ''];
+        for (const key of Object.keys(SETTINGS_SCHEMA)) {
+            const mark = key in overrides ? '✏️ ' : '';
+            const suffix = key in overrides ? `（默认 ${formatSettingValue(defaults[key])}）` : '';
+            lines.push(`${mark}${key} = ${formatSettingValue(CONFIG[key])}${suffix}`);
+        }
+        lines.push('');
+        lines.push('/get <key> 查看说明，/set <key> <value> 修改，/set <key> default 恢复默认');
+        await sendInThread(lines.join('\n'));
+        return;
+    }
+
+    const key = normalizeSettingKey(args[0]);
+    if (!key) {
+        await sendInThread(command === '/set'
+            ? '用法：/set <key> <value>，/set <key> default 恢复默认'
+            : '用法：/get <key>');
+        return;
+    }
+
+    const schema = SETTINGS_SCHEMA[key];
+    if (!schema) {
+        await sendInThread(`❌ 未知或不可修改的配置项: ${key}\n发送 /settings 查看全部可修改项。`);
+        return;
+    }
+
+    const rangeText = schema.type === 'int'
+        ? `${schema.min} ~ ${schema.max}`
+        : (schema.type === 'enum' ? schema.options.join(' / ') : 'on / off');
+
+    if (command === '/get') {
+        await sendInThread([
+            `⚙️ ${key}`,
+            `说明: ${schema.desc}`,
+            `当前值: ${formatSettingValue(CONFIG[key])}${key in overrides ? '（已修改）' : ''}`,
+            `默认值: ${formatSettingValue(defaults[key])}`,
+            `取值范围: ${rangeText}`
+        ].join('\n'));
+        return;
+    }
+
+    const rawValue = args.slice(1).join(' ');
+    if (!rawValue) {
+        await sendInThread(`用法：/set ${key} <value>（取值范围: ${rangeText}）`);
+        return;
+    }
+
+    if (rawValue.toLowerCase() === 'default') {
+        await setRuntimeSetting(env, key, null);
+        await sendInThread(`✅ ${key} 已恢复默认值: ${formatSettingValue(CONFIG[key])}`);
+        return;
+    }
+
+    const parsed = parseSettingValue(key, rawValue);
+    if (!parsed.ok) {
+        await sendInThread(`❌ ${parsed.error}`);
+        return;
+    }
+
+    const previous = CONFIG[key];
+    await setRuntimeSetting(env, key, parsed.value);
+    await sendInThread(`✅ ${key}: ${formatSettingValue(previous)} → ${formatSettingValue(CONFIG[key])}\n当前实例已生效，其他实例将在缓存过期后同步。`);
+}
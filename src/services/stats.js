@@ -56,52 +56,56 @@ export async function getBotStatsImpl(env, deps) {
     }
 }
 
+function mapExportRow(row) {
+    return {
+        userId: row.user_id,
+        userData: {
+            thread_id: row.thread_id,
+            title: row.title,
+            closed: !!row.closed
+        },
+        verified: !!row.verify_state,
+        banned: !!row.is_blocked,
+        metadata: {},
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
 export async function exportUserDataImpl(env, userIds = null, deps) {
-    const { hasD1, getAllKeys, safeGetBulk, getValueWithFullMetadata, Logger } = deps;
+    const { hasD1, getAllKeys, safeGetBulk, getValueWithFullMetadata, Logger, CONFIG } = deps;
+    const pageSize = Math.max(1, Number(CONFIG?.EXPORT_PAGE_SIZE || 500));
 
     try {
         const exported = [];
 
         if (hasD1(env)) {
             if (userIds && Array.isArray(userIds) && userIds.length > 0) {
-                const placeholders = userIds.map(() => '?').join(',');
-                const result = await env.TG_BOT_DB
-                    .prepare(`SELECT * FROM users WHERE user_id IN (${placeholders})`)
-                    .bind(...userIds.map(String))
-                    .all();
-                for (const row of result?.results || []) {
-                    exported.push({
-                        userId: row.user_id,
-                        userData: {
-                            thread_id: row.thread_id,
-                            title: row.title,
-                            closed: !!row.closed
-                        },
-                        verified: !!row.verify_state,
-                        banned: !!row.is_blocked,
-                        metadata: {},
-                        createdAt: row.created_at,
-                        updatedAt: row.updated_at
-                    });
+                // D1 单条语句绑定参数数量有限，按批查询
+                for (let i = 0; i < userIds.length; i += 100) {
+                    const batch = userIds.slice(i, i + 100);
+                    const placeholders = batch.map(() => '?').join(',');
+                    const result = await env.TG_BOT_DB
+                        .prepare(`SELECT * FROM users WHERE user_id IN (${placeholders})`)
+                        .bind(...batch.map(String))
+                        .all();
+                    for (const row of result?.results || []) {
+                        exported.push(mapExportRow(row));
+                    }
                 }
             } else {
-                const result = await env.TG_BOT_DB
-                    .prepare('SELECT * FROM users')
-                    .all();
-                for (const row of result?.results || []) {
-                    exported.push({
-                        userId: row.user_id,
-                        userData: {
-                            thread_id: row.thread_id,
-                            title: row.title,
-                            closed: !!row.closed
-                        },
-                        verified: !!row.verify_state,
-                        banned: !!row.is_blocked,
-                        metadata: {},
-                        createdAt: row.created_at,
-                        updatedAt: row.updated_at
-                    });
+                let offset = 0;
+                while (true) {
+                    const result = await env.TG_BOT_DB
+                        .prepare('SELECT * FROM users ORDER BY user_id LIMIT ? OFFSET ?')
+                        .bind(pageSize, offset)
+                        .all();
+                    const rows = result?.results || [];
+                    for (const row of rows) {
+                        exported.push(mapExportRow(row));
+                    }
+                    if (rows.length < pageSize) break;
+                    offset += rows.length;
                 }
             }
 
@@ -195,3 +199,234 @@ export async function getUserActivityStatsImpl(env, limit = 50, deps) {
         return [];
     }
 }
+
+/**
+ * 汇总 RateLimitDO 统计。
+ *
+ * 说明：
+ * - DO 实例按 userId 划分，无法全局枚举；限流窗口很短，生效中的记录只会出现在近期活跃用户上，
+ *   因此按最近活跃用户采样，结果对“当前生效的限流与锁”足够准确。
+ * - 未配置 DO 时统计 KV 降级实现的 `ratelimit:` / `lock:` 键。
+ */
+export async function getRateLimitStatsImpl(env, deps) {
+    const { getAllKeys, getUserActivityStats, CONFIG, Logger } = deps;
+
+    try {
+        if (!env.RATE_LIMIT_DO) {
+            const rateKeys = await getAllKeys(env, 'ratelimit:');
+            const lockKeys = await getAllKeys(env, 'lock:');
+            return {
+                mode: 'kv',
+                sampledInstances: 0,
+                activeLimits: rateKeys.length,
+                activeLocks: lockKeys.length,
+                totalRecords: rateKeys.length
+            };
+        }
+
+        const sampleSize = Math.max(1, Number(CONFIG.STATS_RATE_LIMIT_SAMPLE_SIZE || 50));
+        const recentUsers = await getUserActivityStats(env, sampleSize);
+        let activeLimits = 0;
+        let activeLocks = 0;
+        let totalRecords = 0;
+        let sampledInstances = 0;
+
+        for (const user of recentUsers) {
+            try {
+                const stub = env.RATE_LIMIT_DO.getByName(String(user.userId));
+                const doStats = await stub.getStats();
+                activeLimits += Number(doStats?.activeRecords || 0);
+                activeLocks += Number(doStats?.activeLocks || 0);
+                totalRecords += Number(doStats?.totalRecords || 0);
+                sampledInstances++;
+            } catch (e) {
+                Logger.warn('rate_limit_stats_instance_failed', { userId: user.userId, error: String(e?.message || e) });
+            }
+        }
+
+        return { mode: 'do', sampledInstances, activeLimits, activeLocks, totalRecords };
+    } catch (e) {
+        Logger.error('get_rate_limit_stats_failed', e);
+        return null;
+    }
+}
+
+export async function collectStatsSnapshotImpl(env, deps) {
+    const { getBotStats, getRateLimitStats } = deps;
+    const [bot, rateLimit] = await Promise.all([getBotStats(env), getRateLimitStats(env)]);
+    return { bot, rateLimit, generatedAt: new Date().toISOString() };
+}
+
+function formatStatsCard(snapshot) {
+    const { bot, rateLimit } = snapshot;
+    const lines = ['📊 机器人统计', ''];
+
+    if (bot) {
+        lines.push(`👥 用户总数: ${bot.totalUsers}`);
+        lines.push(`✅ 已验证: ${bot.verifiedUsers}`);
+        lines.push(`🚫 已封禁: ${bot.bannedUsers}`);
+        lines.push(`💬 话题: 共 ${bot.totalTopics} | 活跃 ${bot.activeTopics} | 已关闭 ${bot.closedTopics}`);
+        lines.push(`📮 待重试消息: ${bot.queuedMessages}`);
+    } else {
+        lines.push('⚠️ 用户统计读取失败');
+    }
+
+    lines.push('');
+    if (rateLimit) {
+        const source = rateLimit.mode === 'do'
+            ? `Durable Object，采样 ${rateLimit.sampledInstances} 个活跃用户`
+            : 'KV 降级模式';
+        lines.push(`⏱️ 限流（${source}）`);
+        lines.push(`- 生效限流: ${rateLimit.activeLimits}`);
+        lines.push(`- 持有中的锁: ${rateLimit.activeLocks}`);
+    } else {
+        lines.push('⚠️ 限流统计读取失败');
+    }
+
+    lines.push('');
+    lines.push(`🕒 ${snapshot.generatedAt}`);
+    return lines.join('\n');
+}
+
+/**
+ * 处理 /stats 命令
+ */
+export async function handleStatsCommandImpl({
+    threadId,
+    env,
+    collectStatsSnapshot,
+    tgCall,
+    withMessageThreadId
+}) {
+    const snapshot = await collectStatsSnapshot(env);
+    await tgCall(env, 'sendMessage', withMessageThreadId({
+        chat_id: env.SUPERGROUP_ID,
+        text: formatStatsCard(snapshot)
+    }, threadId));
+}
+
+const EXPORT_CSV_COLUMNS = ['user_id', 'thread_id', 'title', 'closed', 'verified', 'banned', 'created_at', 'updated_at'];
+
+function toIsoOrEmpty(ts) {
+    const num = Number(ts || 0);
+    return num ? new Date(num).toISOString() : '';
+}
+
+function csvEscape(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    // 避免表格软件将以 = + - @ 开头的内容当作公式执行
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    if (/[",\r\n]/.test(text)) text = `"${text.replace(/"/g, '""')}"`;
+    return text;
+}
+
+function buildExportCsv(records) {
+    const lines = [EXPORT_CSV_COLUMNS.join(',')];
+    for (const rec of records) {
+        lines.push([
+            rec.userId,
+            rec.userData?.thread_id ?? '',
+            rec.userData?.title ?? '',
+            rec.userData?.closed ? 1 : 0,
+            rec.verified ? 1 : 0,
+            rec.banned ? 1 : 0,
+            toIsoOrEmpty(rec.createdAt),
+            toIsoOrEmpty(rec.updatedAt)
+        ].map(csvEscape).join(','));
+    }
+    // 带 BOM，便于表格软件正确识别 UTF-8 中文
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+function formatFileTimestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+}
+
+/**
+ * 处理 /export [json|csv] [uid...] 命令
+ *
+ * 结果以文档形式发送到 General 话题；用户数超过 EXPORT_MAX_ROWS_PER_FILE 时拆分为多个文件。
+ */
+export async function handleExportCommandImpl({
+    threadId,
+    env,
+    args,
+    senderId,
+    exportUserData,
+    tgCall,
+    tgUpload,
+    withMessageThreadId,
+    CONFIG,
+    Logger
+}) {
+    const sendInThread = (text) => tgCall(env, 'sendMessage', withMessageThreadId({
+        chat_id: env.SUPERGROUP_ID,
+        text
+    }, threadId));
+
+    const rest = [...args];
+    let format = 'json';
+    if (rest[0] && ['json', 'csv'].includes(rest[0].toLowerCase())) {
+        format = rest.shift().toLowerCase();
+    }
+    if (rest.some(arg => !/^\d+$/.test(arg))) {
+        await sendInThread('用法：/export [json|csv] [uid...]\n示例：/export csv 或 /export json 123456 234567');
+        return;
+    }
+    const userIds = rest.length > 0 ? [...new Set(rest)] : null;
+
+    await sendInThread(`📦 正在导出${userIds ? ` ${userIds.length} 位指定用户` : '全部用户'}的数据（${format.toUpperCase()}）...`);
+
+    const result = await exportUserData(env, userIds);
+    if (result.error) {
+        await sendInThread(`❌ 导出失败：${result.error}`);
+        return;
+    }
+    if (result.userCount === 0) {
+        await sendInThread('ℹ️ 没有可导出的用户数据。');
+        return;
+    }
+
+    const perFile = Math.max(1, Number(CONFIG.EXPORT_MAX_ROWS_PER_FILE || 5000));
+    const totalParts = Math.ceil(result.data.length / perFile);
+    const now = new Date();
+    const baseName = `users-export-${formatFileTimestamp(now)}`;
+    let sentParts = 0;
+
+    for (let part = 1; part <= totalParts; part++) {
+        const chunk = result.data.slice((part - 1) * perFile, part * perFile);
+        const suffix = totalParts > 1 ? `-part${part}of${totalParts}` : '';
+        const content = format === 'csv'
+            ? buildExportCsv(chunk)
+            : JSON.stringify({
+                exportedAt: now.toISOString(),
+                part,
+                totalParts,
+                userCount: result.userCount,
+                data: chunk
+            }, null, 2);
+
+        const res = await tgUpload(env, 'sendDocument', {
+            chat_id: env.SUPERGROUP_ID,
+            caption: `📦 用户数据导出（${format.toUpperCase()}）\n用户数: ${chunk.length}${totalParts > 1 ? `\n分片: ${part}/${totalParts}` : ''}\n发起人: ${senderId}`
+        }, {
+            document: {
+                name: `${baseName}${suffix}.${format}`,
+                content,
+                type: format === 'csv' ? 'text/csv' : 'application/json'
+            }
+        });
+
+        if (!res.ok) {
+            Logger.error('export_document_send_failed', res.description, { part, totalParts });
+            await sendInThread(`❌ 发送导出文件失败（${part}/${totalParts}）：${res.description || '未知错误'}`);
+            return;
+        }
+        sentParts++;
+    }
+
+    Logger.info('export_command_done', { format, userCount: result.userCount, parts: sentParts, senderId });
+    if (threadId) {
+        await sendInThread(`✅ 已导出 ${result.userCount} 位用户，共 ${sentParts} 个文件，已发送至 General 话题。`);
+    }
+}
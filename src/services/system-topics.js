@@ -0,0 +1,123 @@
+/**
+ * 系统话题：由机器人在超级群组中自动创建、不对应任何用户的话题（如审核日志、待审核）。
+ *
+ * 话题 ID 保存在 `system_topic:<key>`（D1 config 表或 KV），话题被删除后自动重建。
+ */
+export const SYSTEM_TOPICS = {
+    modlog: { name: '🛡️ 审核日志' },
+    approval: { name: '📋 待审核' }
+};
+
+const SYSTEM_TOPIC_PREFIX = 'system_topic:';
+
+// 实例级缓存与并发保护，避免同一实例内重复读取或重复创建
+const systemTopicCache = new Map();
+const systemTopicInFlight = new Map();
+
+async function loadStoredTopicId(env, key, { hasD1, dbConfigGet }) {
+    const storageKey = `${SYSTEM_TOPIC_PREFIX}${key}`;
+    const value = hasD1(env)
+        ? await dbConfigGet(env, storageKey)
+        : await env.TOPIC_MAP.get(storageKey);
+    return value ? Number(value) : null;
+}
+
+async function storeTopicId(env, key, threadId, { hasD1, dbConfigPut, dbConfigDelete }) {
+    const storageKey = `${SYSTEM_TOPIC_PREFIX}${key}`;
+    if (threadId === null) {
+        if (hasD1(env)) {
+            await dbConfigDelete(env, storageKey);
+        } else {
+            await env.TOPIC_MAP.delete(storageKey);
+        }
+        return;
+    }
+    if (hasD1(env)) {
+        await dbConfigPut(env, storageKey, String(threadId));
+    } else {
+        await env.TOPIC_MAP.put(storageKey, String(threadId));
+    }
+}
+
+/**
+ * 获取系统话题 ID，不存在时创建。创建失败返回 null。
+ */
+export async function getSystemTopicIdImpl(env, key, deps) {
+    const { tgCall, Logger } = deps;
+    const topic = SYSTEM_TOPICS[key];
+    if (!topic) throw new Error(`未知系统话题: ${key}`);
+
+    if (systemTopicCache.has(key)) return systemTopicCache.get(key);
+
+    const inflight = systemTopicInFlight.get(key);
+    if (inflight) return await inflight;
+
+    const p = (async () => {
+        const stored = await loadStoredTopicId(env, key, deps);
+        if (stored) return stored;
+
+        const res = await tgCall(env, 'createForumTopic', { chat_id: env.SUPERGROUP_ID, name: topic.name });
+        const threadId = res.ok ? res.result?.message_thread_id : null;
+        if (!threadId) {
+            Logger.warn('system_topic_create_failed', { key, description: res.description });
+            return null;
+        }
+        await storeTopicId(env, key, threadId, deps);
+        Logger.info('system_topic_created', { key, threadId });
+        return threadId;
+    })();
+
+    systemTopicInFlight.set(key, p);
+    try {
+        const threadId = await p;
+        if (threadId) systemTopicCache.set(key, threadId);
+        return threadId;
+    } finally {
+        systemTopicInFlight.delete(key);
+    }
+}
+
+/**
+ * 判断话题是否为系统话题（仅检查当前已知的话题 ID，不会触发创建）。
+ */
+export async function isSystemTopicImpl(env, threadId, deps) {
+    if (!threadId) return false;
+    for (const key of Object.keys(SYSTEM_TOPICS)) {
+        const known = systemTopicCache.has(key)
+            ? systemTopicCache.get(key)
+            : await loadStoredTopicId(env, key, deps);
+        if (known && Number(known) === Number(threadId)) return true;
+    }
+    return false;
+}
+
+/**
+ * 向系统话题发送消息。话题已被删除时清除记录并重建一次。
+ * 发送失败只记录日志，不向调用方抛出，避免影响主流程。
+ */
+export async function sendToSystemTopicImpl(env, key, payload, deps) {
+    const { tgCall, Logger, isTopicMissingOrDeleted } = deps;
+    try {
+        for (let attempt = 0; attempt < 2; attempt++) {
+            const threadId = await getSystemTopicIdImpl(env, key, deps);
+            if (!threadId) return null;
+
+            const res = await tgCall(env, 'sendMessage', {
+                ...payload,
+                chat_id: env.SUPERGROUP_ID,
+                message_thread_id: threadId
+            });
+            if (res.ok) return res.result;
+
+            if (!isTopicMissingOrDeleted(res.description)) {
+                Logger.warn('system_topic_send_failed', { key, threadId, description: res.description });
+                return null;
+            }
+            systemTopicCache.delete(key);
+            await storeTopicId(env, key, null, deps);
+        }
+    } catch (e) {
+        Logger.error('system_topic_send_error', e, { key });
+    }
+    return null;
+}
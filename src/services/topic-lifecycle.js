@@ -1,3 +1,4 @@
+
 export async function getOrCreateUserTopicRecImpl({
     from,
     key,
@@ -46,7 +47,7 @@ export async function resetUserVerificationAndRequireReverifyImpl({
     userId,
     userKey,
     oldThreadId,
-    pendingMsgId,
+    pendingMsg,
     reason,
     hasD1,
     dbUserUpdate,
@@ -54,7 +55,9 @@ export async function resetUserVerificationAndRequireReverifyImpl({
     CONFIG,
     threadHealthCache,
     Logger,
-    sendVerificationChallenge
+    sendVerificationChallenge,
+    userFrom = null,
+    requestApproval
 }) {
     if (hasD1(env)) {
         await dbUserUpdate(env, userId, { verify_state: null, verify_expires_at: null });
@@ -83,11 +86,15 @@ export async function resetUserVerificationAndRequireReverifyImpl({
     Logger.info('verification_reset_due_to_topic_loss', {
         userId,
         oldThreadId,
-        pendingMsgId,
+        pendingMsgId: pendingMsg?.message_id,
         reason
     });
 
-    await sendVerificationChallenge(userId, env, pendingMsgId || null);
+    if (CONFIG.VERIFY_MODE === 'approval') {
+        await requestApproval(env, { userId, from: userFrom, pendingMsg: pendingMsg || null });
+        return;
+    }
+    await sendVerificationChallenge(userId, env, pendingMsg || null);
 }
 
 export function buildTopicTitleImpl(from, CONFIG) {
@@ -113,6 +120,69 @@ export function buildTopicTitleImpl(from, CONFIG) {
     return title;
 }
 
+/**
+ * 用户资料（名字 / 用户名）变更时刷新话题标题与用户卡片，并在话题内发送「资料变更」说明。
+ *
+ * changes 由 evaluateVerifyPolicy 与资料快照（info.profile）对比得出，为空时不做任何操作。
+ * 失败只记录日志，不影响消息转发。
+ */
+export async function syncTopicProfileImpl(env, userId, from, rec, changes, deps) {
+    const {
+        getUserActivity,
+        buildTopicTitle,
+        tgCall,
+        hasD1,
+        dbUserUpdate,
+        putWithMetadata,
+        refreshUserCard,
+        Logger
+    } = deps;
+    if (!from || !rec?.thread_id || !changes?.length) return;
+
+    try {
+        const lines = ['📝 资料变更', ...changes];
+        const title = buildTopicTitle(from);
+        if (title !== rec.title) {
+            const res = await tgCall(env, 'editForumTopic', {
+                chat_id: env.SUPERGROUP_ID,
+                message_thread_id: rec.thread_id,
+                name: title
+            });
+            if (res.ok) {
+                rec.title = title;
+                if (hasD1(env)) {
+                    await dbUserUpdate(env, userId, { title });
+                } else {
+                    await putWithMetadata(env, `user:${userId}`, rec, {
+                        expirationTtl: null,
+                        metadata: { userId: String(userId), threadId: rec.thread_id }
+                    });
+                }
+                lines.push(`话题标题已更新为：${title}`);
+            } else {
+                Logger.warn('topic_title_update_failed', { userId, threadId: rec.thread_id, description: res.description });
+            }
+        }
+
+        await tgCall(env, 'sendMessage', {
+            chat_id: env.SUPERGROUP_ID,
+            message_thread_id: rec.thread_id,
+            text: lines.join('\n')
+        });
+        const info = await getUserActivity(env, userId);
+        if (info.card_message_id) {
+            await refreshUserCard(env, userId, {
+                chatId: env.SUPERGROUP_ID,
+                messageId: info.card_message_id,
+                userFrom: from
+            });
+        }
+        Logger.info('topic_profile_synced', { userId, threadId: rec.thread_id, changes });
+    } catch (e) {
+        Logger.warn('topic_profile_sync_failed', { userId, error: e.message });
+    }
+}
+
 export async function createTopicImpl({
     from,
     key,
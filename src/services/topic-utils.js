@@ -149,36 +149,6 @@ export async function resolveUserProfileStatus(env, userId, fallback = {}) {
     return result;
 }
 
-export async function sendWelcomeCard(env, threadId, userId, userFrom) {
-    if (!userFrom) return;
-
-    const firstName = (userFrom.first_name || '').trim();
-    const lastName = (userFrom.last_name || '').trim();
-    const userNameStr = userFrom.username ? `@${userFrom.username}` : '未设置用户名';
-    const fullName = (firstName + (lastName ? ' ' + lastName : '')).trim() || '匿名用户';
-
-    const cardText = `👤 <b>新用户接入</b>
-` +
-                    `ID: <a href="tg://user?id=${userId}">${userId}</a>
-` +
-                    `名字: <a href="tg://user?id=${userId}">${fullName}</a>
-` +
-                    `用户名: ${userNameStr}`;
-
-    try {
-        await tgCall(env, 'sendMessage', {
-            chat_id: env.SUPERGROUP_ID,
-            message_thread_id: threadId,
-            text: cardText,
-            parse_mode: 'HTML'
-        });
-
-        Logger.info('welcome_card_sent', { userId, threadId });
-    } catch (e) {
-        Logger.warn('welcome_card_send_failed', { userId, threadId, error: e.message });
-    }
-}
-
 export async function probeForumThread(env, expectedThreadId, { userId, reason, doubleCheckOnMissingThreadId = true } = {}) {
     const attemptOnce = async () => {
         const res = await tgCall(env, 'sendMessage', {
@@ -0,0 +1,170 @@
+/**
+ * 用户处置操作（封禁 / 解封、信任 / 重置验证、关闭 / 恢复对话、用户信息）。
+ *
+ * 管理员命令、用户卡片按钮与自动处置（如验证失败过多）共用同一入口，保证受保护账号校验、
+ * 存储写入与相关状态清理的行为一致。
+ */
+
+async function isUserBanned(env, userId, { hasD1, dbIsBanned }) {
+    return hasD1(env)
+        ? await dbIsBanned(env, userId)
+        : !!(await env.TOPIC_MAP.get(`banned:${userId}`));
+}
+
+async function resolveProfile(env, userId, resolveUserProfileStatus) {
+    return resolveUserProfileStatus
+        ? await resolveUserProfileStatus(env, userId)
+        : { displayName: `用户${userId}`, statusLabel: '未知' };
+}
+
+/**
+ * 封禁用户。
+ *
+ * 返回 { status, profile }，status 取值：
+ * - 'banned'：已封禁
+ * - 'already_banned'：此前已在黑名单中
+ * - 'protected'：BOT_OWNER_ID 或管理员，拒绝封禁
+ */
+export async function banUserImpl(env, userId, { reason = 'manual', actorId = null } = {}, deps) {
+    const { hasD1, dbSetBanned, isAdminUser, resolveUserProfileStatus, Logger } = deps;
+    const profile = await resolveProfile(env, userId, resolveUserProfileStatus);
+
+    const ownerId = Number(env.BOT_OWNER_ID || 0);
+    const isProtectedUser = (ownerId && Number(userId) === ownerId) || await isAdminUser(env, userId);
+    if (isProtectedUser) {
+        Logger.warn('user_ban_rejected_protected', { userId, reason, actorId });
+        return { status: 'protected', profile };
+    }
+
+    if (await isUserBanned(env, userId, deps)) {
+        return { status: 'already_banned', profile };
+    }
+
+    if (hasD1(env)) {
+        await dbSetBanned(env, userId, true);
+    } else {
+        await env.TOPIC_MAP.put(`banned:${userId}`, '1');
+    }
+
+    // 封禁后未完成的验证不再有意义
+    const verifyId = await env.TOPIC_MAP.get(`user_challenge:${userId}`);
+    if (verifyId) {
+        await env.TOPIC_MAP.delete(`chal:${verifyId}`);
+        await env.TOPIC_MAP.delete(`user_challenge:${userId}`);
+    }
+
+    Logger.info('user_banned', { userId, reason, actorId });
+    return { status: 'banned', profile };
+}
+
+/**
+ * 解封用户，同时清除验证失败计数与冷却，避免解封后立即再次触发自动封禁。
+ *
+ * 返回 { status, profile }，status 为 'unbanned' 或 'not_banned'。
+ */
+export async function unbanUserImpl(env, userId, { actorId = null } = {}, deps) {
+    const { hasD1, dbSetBanned, resolveUserProfileStatus, Logger } = deps;
+    const profile = await resolveProfile(env, userId, resolveUserProfileStatus);
+
+    if (!(await isUserBanned(env, userId, deps))) {
+        return { status: 'not_banned', profile };
+    }
+
+    if (hasD1(env)) {
+        await dbSetBanned(env, userId, false);
+    } else {
+        await env.TOPIC_MAP.delete(`banned:${userId}`);
+    }
+    await env.TOPIC_MAP.delete(`verify_penalty:${userId}`);
+    await env.TOPIC_MAP.delete(`verify_cooldown:${userId}`);
+
+    Logger.info('user_unbanned', { userId, actorId });
+    return { status: 'unbanned', profile };
+}
+
+/**
+ * 设为永久信任。
+ */
+export async function trustUserImpl(env, userId, { actorId = null } = {}, deps) {
+    const { hasD1, dbSetVerifyState, recordVerification, recordVerifyEvent, Logger } = deps;
+    if (hasD1(env)) {
+        await dbSetVerifyState(env, userId, 'trusted');
+    } else {
+        await env.TOPIC_MAP.put(`verified:${userId}`, 'trusted');
+    }
+    await env.TOPIC_MAP.delete(`needs_verify:${userId}`);
+    await recordVerification(env, userId, 'manual_trust');
+    await recordVerifyEvent(env, userId, 'admin_trust', { adminId: actorId });
+    Logger.info('user_trusted', { userId, actorId });
+}
+
+/**
+ * 重置验证状态，用户下次发消息时重新验证。
+ */
+export async function resetVerificationImpl(env, userId, { actorId = null } = {}, deps) {
+    const { hasD1, dbSetVerifyState, recordVerifyEvent, Logger } = deps;
+    if (hasD1(env)) {
+        await dbSetVerifyState(env, userId, null);
+    } else {
+        await env.TOPIC_MAP.delete(`verified:${userId}`);
+    }
+    await recordVerifyEvent(env, userId, 'admin_reset', { adminId: actorId });
+    Logger.info('user_verification_reset', { userId, actorId });
+}
+
+/**
+ * 关闭或恢复对话，threadId 存在时同步关闭 / 重新开启对应话题。
+ */
+export async function setConversationClosedImpl(env, userId, closed, { threadId = null, actorId = null } = {}, deps) {
+    const { hasD1, dbUserUpdate, safeGetJSON, tgCall, Logger } = deps;
+    if (hasD1(env)) {
+        await dbUserUpdate(env, userId, { closed });
+    } else {
+        const key = `user:${userId}`;
+        const rec = await safeGetJSON(env, key, null);
+        if (rec) {
+            rec.closed = closed;
+            await env.TOPIC_MAP.put(key, JSON.stringify(rec));
+        }
+    }
+    if (threadId) {
+        await tgCall(env, closed ? 'closeForumTopic' : 'reopenForumTopic', {
+            chat_id: env.SUPERGROUP_ID,
+            message_thread_id: threadId
+        });
+    }
+    Logger.info(closed ? 'conversation_closed' : 'conversation_reopened', { userId, threadId, actorId });
+}
+
+/**
+ * 读取用户当前状态（验证 / 封禁 / 对话关闭），供 /info 与用户卡片使用。
+ */
+export async function getUserStateImpl(env, userId, deps) {
+    const { hasD1, dbUserGet, dbGetVerifyState, safeGetJSON } = deps;
+    const userRec = hasD1(env)
+        ? await dbUserGet(env, userId)
+        : await safeGetJSON(env, `user:${userId}`, null);
+    const verifyState = hasD1(env)
+        ? await dbGetVerifyState(env, userId)
+        : await env.TOPIC_MAP.get(`verified:${userId}`);
+    const banned = await isUserBanned(env, userId, deps);
+    return { userRec, verifyState, banned: !!banned, closed: !!userRec?.closed };
+}
+
+/**
+ * 生成 /info 用户信息文本。
+ */
+export async function buildUserInfoTextImpl(env, userId, { threadId = null } = {}, deps) {
+    const { resolveUserProfileStatus, describeVerifyPolicy } = deps;
+    const { userRec, verifyState, banned } = await getUserStateImpl(env, userId, deps);
+
+    const topicId = userRec?.thread_id || threadId || '未知';
+    const title = userRec?.title || '未知';
+    const profile = resolveUserProfileStatus
+        ? await resolveUserProfileStatus(env, userId, { name: title })
+        : { displayName: title, statusLabel: '未知' };
+    const verifyLabel = verifyState ? (verifyState === 'trusted' ? '🌟 永久信任' : '✅ 已验证') : '❌ 未验证';
+    const banLabel = banned ? '🚫 已封禁' : '✅ 正常';
+    const policyLines = await describeVerifyPolicy(env, userId, verifyState);
+    return `👤 用户信息\nUID: ${userId}\n名字: ${profile.displayName}\n账号状态: ${profile.statusLabel}\nLink: (tg://user?id=${userId})\nTopic ID: ${topicId}\n话题标题: ${title}\n验证状态: ${verifyLabel}\n${policyLines.join('\n')}\n封禁状态: ${banLabel}`;
+}
@@ -0,0 +1,164 @@
+/**
+ * 用户卡片：话题创建时发送的用户信息卡片，附带管理按钮。
+ *
+ * 按钮（callback_data: card:<userId>:<action>）与 /ban /unban /trust /reset /close /open /info
+ * 共用 user-actions.js 中的处置逻辑；操作后卡片原地刷新，显示当前状态与对应按钮（如已封禁时显示「解封」）。
+ *
+ * 卡片消息 ID 记录在用户活动信息（card_message_id）中，用户资料变更时据此刷新卡片。
+ */
+import { signCallbackData } from '../core/crypto.js';
+
+const CARD_ACTIONS = ['ban', 'unban', 'trust', 'reset', 'close', 'open', 'info'];
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function buildCardText(userId, { fullName, username }, state) {
+    const statusParts = [
+        state.banned ? '🚫 已封禁' : null,
+        state.verifyState ? (state.verifyState === 'trusted' ? '🌟 永久信任' : '✅ 已验证') : '❌ 未验证',
+        state.closed ? '🔒 对话已关闭' : null
+    ].filter(Boolean);
+    return [
+        '👤 <b>新用户接入</b>',
+        `ID: <a href="tg://user?id=${userId}">${userId}</a>`,
+        `名字: <a href="tg://user?id=${userId}">${escapeHtml(fullName)}</a>`,
+        `用户名: ${username ? `@${escapeHtml(username)}` : '未设置用户名'}`,
+        `状态: ${statusParts.join(' · ')}`
+    ].join('\n');
+}
+
+async function buildCardKeyboard(env, userId, state) {
+    const button = async (text, action) => ({
+        text,
+        callback_data: await signCallbackData(env.BOT_TOKEN, `card:${userId}:${action}`)
+    });
+    const firstRow = [state.banned ? await button('🔓 解封', 'unban') : await button('🚫 封禁', 'ban')];
+    if (state.verifyState !== 'trusted') firstRow.push(await button('🌟 信任', 'trust'));
+    firstRow.push(await button('🔄 重置验证', 'reset'));
+    return {
+        inline_keyboard: [
+            firstRow,
+            [
+                state.closed ? await button('🔓 恢复对话', 'open') : await button('🔒 关闭对话', 'close'),
+                await button('ℹ️ 用户信息', 'info')
+            ]
+        ]
+    };
+}
+
+function getFullName(from) {
+    const firstName = (from.first_name || '').trim();
+    const lastName = (from.last_name || '').trim();
+    return (firstName + (lastName ? ' ' + lastName : '')).trim() || '匿名用户';
+}
+
+/**
+ * 新用户接入时在话题内发送用户卡片。
+ */
+export async function sendWelcomeCardImpl(env, threadId, userId, userFrom, deps) {
+    const { tgCall, getUserState, getUserActivity, saveUserActivity, Logger } = deps;
+    if (!userFrom) return;
+
+    try {
+        const state = await getUserState(env, userId);
+        const res = await tgCall(env, 'sendMessage', {
+            chat_id: env.SUPERGROUP_ID,
+            message_thread_id: threadId,
+            text: buildCardText(userId, { fullName: getFullName(userFrom), username: userFrom.username }, state),
+            parse_mode: 'HTML',
+            reply_markup: await buildCardKeyboard(env, userId, state)
+        });
+
+        if (res.ok && res.result?.message_id) {
+            const info = await getUserActivity(env, userId);
+            info.card_message_id = res.result.message_id;
+            await saveUserActivity(env, userId, info);
+        }
+        Logger.info('welcome_card_sent', { userId, threadId });
+    } catch (e) {
+        Logger.warn('welcome_card_send_failed', { userId, threadId, error: e.message });
+    }
+}
+
+/**
+ * 按当前状态重新渲染卡片。传入 userFrom 时使用其中的名字，否则实时查询用户资料。
+ */
+export async function refreshUserCardImpl(env, userId, { chatId, messageId, userFrom = null }, deps) {
+    const { tgCall, getUserState, resolveUserProfileStatus } = deps;
+    const state = await getUserState(env, userId);
+    const profile = userFrom
+        ? { fullName: getFullName(userFrom), username: userFrom.username }
+        : await resolveUserProfileStatus(env, userId).then(p => ({ fullName: p.displayName, username: p.username }));
+    return tgCall(env, 'editMessageText', {
+        chat_id: chatId,
+        message_id: messageId,
+        text: buildCardText(userId, profile, state),
+        parse_mode: 'HTML',
+        reply_markup: await buildCardKeyboard(env, userId, state)
+    });
+}
+
+/**
+ * 处理用户卡片按钮（签名与管理员身份由回调路由校验）。
+ */
+export async function handleUserCardCallbackImpl(query, env, ctx, args, deps) {
+    const {
+        tgCall,
+        banUser,
+        unbanUser,
+        trustUser,
+        resetVerification,
+        setConversationClosed,
+        buildUserInfoText
+    } = deps;
+
+    const [userIdText, action] = args;
+    const userId = Number(userIdText);
+    if (!userId || !CARD_ACTIONS.includes(action)) return false;
+
+    const actorId = query.from.id;
+    const threadId = query.message?.message_thread_id || null;
+    const answer = (text, showAlert = false) => tgCall(env, 'answerCallbackQuery', {
+        callback_query_id: query.id,
+        text,
+        show_alert: showAlert
+    });
+
+    let resultText = '';
+    if (action === 'ban') {
+        const { status } = await banUser(env, userId, { reason: 'manual', actorId });
+        if (status === 'protected') {
+            await answer('❌ 不能封禁受保护账号', true);
+            return;
+        }
+        resultText = status === 'already_banned' ? '⚠️ 用户已在黑名单中' : '🚫 用户已封禁';
+    } else if (action === 'unban') {
+        const { status } = await unbanUser(env, userId, { actorId });
+        resultText = status === 'not_banned' ? '⚠️ 用户当前不在黑名单中' : '✅ 用户已解封';
+    } else if (action === 'trust') {
+        await trustUser(env, userId, { actorId });
+        resultText = '🌟 已设置永久信任';
+    } else if (action === 'reset') {
+        await resetVerification(env, userId, { actorId });
+        resultText = '🔄 验证已重置';
+    } else if (action === 'close' || action === 'open') {
+        await setConversationClosed(env, userId, action === 'close', { threadId, actorId });
+        resultText = action === 'close' ? '🚫 对话已强制关闭' : '✅ 对话已恢复';
+    } else {
+        await tgCall(env, 'sendMessage', {
+            chat_id: env.SUPERGROUP_ID,
+            message_thread_id: threadId || undefined,
+            text: await buildUserInfoText(env, userId, { threadId })
+        });
+    }
+    await answer(resultText);
+
+    // 原地刷新卡片，反映最新状态
+    if (!query.message) return;
+    await refreshUserCardImpl(env, userId, {
+        chatId: query.message.chat.id,
+        messageId: query.message.message_id
+    }, deps);
+}
@@ -1,17 +1,32 @@
+import { appendPendingMessage, getPendingMessages, restorePendingMessage } from './pending-messages.js';
+
 export async function sendVerificationChallengeImpl({
     userId,
     env,
-    pendingMsgId,
+    pendingMsg,
     safeGetJSON,
     checkRateLimit,
     tgCall,
+    tgUpload,
     Logger,
     CONFIG,
     LOCAL_QUESTIONS,
+    getVerificationQuestions,
+    getChallengeProvider,
     secureRandomInt,
     shuffleArray,
-    secureRandomId
+    secureRandomId,
+    recordVerifyEvent
 }) {
+    const cooldownRemaining = await getCooldownRemainingSeconds(env, userId);
+    if (cooldownRemaining > 0) {
+        await tgCall(env, 'sendMessage', {
+            chat_id: userId,
+            text: `⏳ 验证失败次数过多，请 ${formatDuration(cooldownRemaining)}后再试。`
+        });
+        return;
+    }
+
     const existingChallenge = await env.TOPIC_MAP.get(`user_challenge:${userId}`);
     if (existingChallenge) {
         const chalKey = `chal:${existingChallenge}`;
@@ -19,26 +34,14 @@ export async function sendVerificationChallengeImpl({
 
         if (!state || state.userId !== userId) {
             await env.TOPIC_MAP.delete(`user_challenge:${userId}`);
+            if (!state) {
+                await recordVerifyEvent(env, userId, 'challenge_expired', { verifyId: existingChallenge });
+            }
         } else {
-            if (pendingMsgId) {
-                let pendingIds = [];
-                if (Array.isArray(state.pending_ids)) {
-                    pendingIds = state.pending_ids.slice();
-                } else if (state.pending) {
-                    pendingIds = [state.pending];
-                }
-
-                if (!pendingIds.includes(pendingMsgId)) {
-                    pendingIds.push(pendingMsgId);
-                    if (pendingIds.length > CONFIG.PENDING_MAX_MESSAGES) {
-                        pendingIds = pendingIds.slice(pendingIds.length - CONFIG.PENDING_MAX_MESSAGES);
-                    }
-                    state.pending_ids = pendingIds;
-                    delete state.pending;
-                    await env.TOPIC_MAP.put(chalKey, JSON.stringify(state), { expirationTtl: CONFIG.VERIFY_EXPIRE_SECONDS });
-                }
+            if (appendPendingMessage(state, pendingMsg, CONFIG.PENDING_MAX_MESSAGES)) {
+                await env.TOPIC_MAP.put(chalKey, JSON.stringify(state), { expirationTtl: CONFIG.VERIFY_EXPIRE_SECONDS });
             }
-            Logger.debug('verification_duplicate_skipped', { userId, verifyId: existingChallenge, hasPending: !!pendingMsgId });
+            Logger.debug('verification_duplicate_skipped', { userId, verifyId: existingChallenge, hasPending: !!pendingMsg });
             return;
         }
     }
@@ -52,218 +55,437 @@ export async function sendVerificationChallengeImpl({
         return;
     }
 
-    const q = LOCAL_QUESTIONS[secureRandomInt(0, LOCAL_QUESTIONS.length)];
-    const challenge = {
-        question: q.question,
-        correct: q.correct_answer,
-        options: shuffleArray([...q.incorrect_answers, q.correct_answer])
-    };
+    const provider = getChallengeProvider(CONFIG.VERIFY_CHALLENGE_TYPE);
+    const challenge = await provider.create({
+        env,
+        userId,
+        CONFIG,
+        LOCAL_QUESTIONS,
+        getVerificationQuestions,
+        secureRandomInt,
+        shuffleArray
+    });
 
     const verifyId = secureRandomId(CONFIG.VERIFY_ID_LENGTH);
-    const answerIndex = challenge.options.indexOf(challenge.correct);
-
     const state = {
-        answerIndex,
-        options: challenge.options,
-        pending_ids: pendingMsgId ? [pendingMsgId] : [],
+        type: provider.type,
+        ...challenge.state,
+        pending_msgs: [],
         userId
     };
+    // 上一题因次数用尽作废时保留的暂存消息，并入新题，通过后一起补发
+    const carried = await safeGetJSON(env, `verify_pending:${userId}`, null);
+    if (carried) {
+        state.pending_msgs = getPendingMessages(carried);
+        if (carried.pending_dropped) state.pending_dropped = carried.pending_dropped;
+    }
+    appendPendingMessage(state, pendingMsg, CONFIG.PENDING_MAX_MESSAGES);
 
     await env.TOPIC_MAP.put(`chal:${verifyId}`, JSON.stringify(state), { expirationTtl: CONFIG.VERIFY_EXPIRE_SECONDS });
     await env.TOPIC_MAP.put(`user_challenge:${userId}`, verifyId, { expirationTtl: CONFIG.VERIFY_EXPIRE_SECONDS });
+    if (carried) await env.TOPIC_MAP.delete(`verify_pending:${userId}`);
 
     Logger.info('verification_sent', {
         userId,
         verifyId,
-        question: q.question,
-        pendingCount: state.pending_ids.length
+        type: provider.type,
+        ...challenge.logData,
+        pendingCount: state.pending_msgs.length
+    });
+    await recordVerifyEvent(env, userId, 'challenge_sent', { verifyId, type: provider.type, ...challenge.logData });
+
+    const sent = await provider.send({ env, userId, verifyId, state, tgCall, tgUpload, CONFIG, secureRandomInt });
+    if (!sent?.ok) {
+        Logger.warn('verification_send_failed', { userId, verifyId, type: provider.type, description: sent?.description });
+    }
+}
+
+function formatDuration(seconds) {
+    if (seconds >= 3600) return `${Math.ceil(seconds / 3600)} 小时`;
+    if (seconds >= 60) return `${Math.ceil(seconds / 60)} 分钟`;
+    return `${seconds} 秒`;
+}
+
+async function getCooldownRemainingSeconds(env, userId) {
+    const until = Number(await env.TOPIC_MAP.get(`verify_cooldown:${userId}`) || 0);
+    return Math.max(0, Math.ceil((until - Date.now()) / 1000));
+}
+
+/**
+ * 为本题登记一次作答。
+ *
+ * 计数放在用户所属的限流 DO 中（键含 verifyId），并发点击也能严格限制在
+ * VERIFY_MAX_ATTEMPTS 次以内；超出次数的请求直接视为本题已作废。
+ */
+async function consumeAnswerAttempt(env, userId, verifyId, { checkRateLimit, CONFIG }) {
+    return checkRateLimit(userId, env, `verify_answer:${verifyId}`, CONFIG.VERIFY_MAX_ATTEMPTS, CONFIG.VERIFY_EXPIRE_SECONDS);
+}
+
+/**
+ * 记录一次答错，次数用尽时作废本题并升级处罚。
+ *
+ * - 每次答错累加用户维度的失败次数（verify_penalty，保留 VERIFY_PENALTY_WINDOW_SECONDS）。
+ * - 本题次数用尽：进入冷却，冷却时长随冷却次数翻倍；本题暂存的消息转存到 `verify_pending:<userId>`，
+ *   冷却结束后下发新题时并入新题状态，通过验证后一起补发。
+ * - 冷却次数达到 VERIFY_MAX_COOLDOWNS：按 /ban 相同路径自动封禁（0 表示不自动封禁）。
+ *
+ * 返回 { outcome: 'retry' | 'cooldown' | 'banned', remaining?, cooldownSeconds?, pendingCount? }。
+ */
+async function registerFailedAttempt(env, userId, verifyId, state, attempt, deps) {
+    const { CONFIG, Logger, safeGetJSON, banUser, sendModLog, resolveUserProfileStatus, recordVerifyEvent } = deps;
+    const penaltyKey = `verify_penalty:${userId}`;
+    const penalty = await safeGetJSON(env, penaltyKey, null) || { failures: 0, cooldowns: 0 };
+    penalty.failures = (penalty.failures || 0) + 1;
+    penalty.last_failed_at = Date.now();
+
+    if (attempt.remaining > 0) {
+        await env.TOPIC_MAP.put(penaltyKey, JSON.stringify(penalty), { expirationTtl: CONFIG.VERIFY_PENALTY_WINDOW_SECONDS });
+        return { outcome: 'retry', remaining: attempt.remaining };
+    }
+
+    // 本题次数用尽，作废后需等待冷却结束才会下发新题
+    await env.TOPIC_MAP.delete(`chal:${verifyId}`);
+    await env.TOPIC_MAP.delete(`user_challenge:${userId}`);
+    penalty.cooldowns = (penalty.cooldowns || 0) + 1;
+    await env.TOPIC_MAP.put(penaltyKey, JSON.stringify(penalty), { expirationTtl: CONFIG.VERIFY_PENALTY_WINDOW_SECONDS });
+
+    const profile = resolveUserProfileStatus
+        ? await resolveUserProfileStatus(env, userId)
+        : { displayName: `用户${userId}` };
+    const summary = `UID: ${userId}\n名字: ${profile.displayName}\n题型: ${state.type || 'quiz'}\n累计答错: ${penalty.failures} 次`;
+
+    if (CONFIG.VERIFY_MAX_COOLDOWNS > 0 && penalty.cooldowns >= CONFIG.VERIFY_MAX_COOLDOWNS) {
+        const result = await banUser(env, userId, { reason: 'verify_failed' });
+        if (result.status === 'banned') {
+            Logger.warn('verification_auto_banned', { userId, verifyId, failures: penalty.failures, cooldowns: penalty.cooldowns });
+            await recordVerifyEvent(env, userId, 'auto_banned', { verifyId, cooldowns: penalty.cooldowns });
+            await sendModLog(env, `🚫 验证失败自动封禁\n${summary}\n冷却次数: ${penalty.cooldowns}/${CONFIG.VERIFY_MAX_COOLDOWNS}\nLink: (tg://user?id=${userId})`);
+            return { outcome: 'banned' };
+        }
+        // 受保护账号等情况无法封禁时，退回到冷却处理
+    }
+
+    const cooldownSeconds = Math.min(
+        CONFIG.VERIFY_COOLDOWN_SECONDS * (2 ** (penalty.cooldowns - 1)),
+        CONFIG.VERIFY_PENALTY_WINDOW_SECONDS
+    );
+    await env.TOPIC_MAP.put(`verify_cooldown:${userId}`, String(Date.now() + cooldownSeconds * 1000), {
+        expirationTtl: Math.max(60, cooldownSeconds)
     });
 
-    const buttons = challenge.options.map((opt, idx) => ({
-        text: opt,
-        callback_data: `verify:${verifyId}:${idx}`
-    }));
+    const pendingMsgs = getPendingMessages(state);
+    if (pendingMsgs.length > 0 || state.pending_dropped) {
+        await env.TOPIC_MAP.put(`verify_pending:${userId}`, JSON.stringify({
+            pending_msgs: pendingMsgs,
+            pending_dropped: state.pending_dropped || 0
+        }), { expirationTtl: cooldownSeconds + CONFIG.VERIFY_PENALTY_WINDOW_SECONDS });
+    }
+
+    Logger.warn('verification_cooldown', { userId, verifyId, cooldownSeconds, failures: penalty.failures, cooldowns: penalty.cooldowns });
+    await recordVerifyEvent(env, userId, 'cooldown', { verifyId, seconds: cooldownSeconds, cooldowns: penalty.cooldowns });
+    const limitText = CONFIG.VERIFY_MAX_COOLDOWNS > 0 ? `${penalty.cooldowns}/${CONFIG.VERIFY_MAX_COOLDOWNS}` : String(penalty.cooldowns);
+    await sendModLog(env, `⏳ 验证失败冷却\n${summary}\n冷却: ${formatDuration(cooldownSeconds)}（第 ${limitText} 次）\nLink: (tg://user?id=${userId})`);
+    return { outcome: 'cooldown', cooldownSeconds, pendingCount: pendingMsgs.length };
+}
 
-    const keyboard = [];
-    for (let i = 0; i < buttons.length; i += CONFIG.BUTTON_COLUMNS) {
-        keyboard.push(buttons.slice(i, i + CONFIG.BUTTON_COLUMNS));
+function buildPenaltyText(result) {
+    if (result.outcome === 'banned') return '⛔ 验证失败次数过多，您已被禁止使用本机器人。';
+    if (result.outcome === 'cooldown') {
+        const text = `⛔ 验证失败次数过多，本题已作废，请 ${formatDuration(result.cooldownSeconds)}后再试。`;
+        return result.pendingCount > 0
+            ? `${text}\n之前的 ${result.pendingCount} 条消息已保留，重新验证通过后会自动送达。`
+            : text;
     }
+    return `❌ 答案错误，还可尝试 ${result.remaining} 次。`;
+}
 
-    await tgCall(env, 'sendMessage', {
-        chat_id: userId,
-        text: `🛡️ **人机验证**
+/**
+ * 标记验证通过并清理验证相关状态。
+ */
+async function markVerified(env, userId, verifyId, { hasD1, dbSetVerifyState, CONFIG, recordVerification }) {
+    if (hasD1(env)) {
+        await dbSetVerifyState(env, userId, '1');
+    } else {
+        await env.TOPIC_MAP.put(`verified:${userId}`, '1', { expirationTtl: CONFIG.VERIFIED_EXPIRE_SECONDS });
+    }
+    await env.TOPIC_MAP.delete(`needs_verify:${userId}`);
+    await recordVerification(env, userId, 'challenge');
+
+    await env.TOPIC_MAP.delete(`chal:${verifyId}`);
+    await env.TOPIC_MAP.delete(`user_challenge:${userId}`);
+}
+
+/**
+ * 验证通过后补发验证期间暂存的消息。
+ * 按原消息内容重新走 forwardToTopic，媒体组在同一 media_group_id 下重新合并为相册。
+ */
+export async function forwardPendingMessagesImpl(env, ctx, userId, from, state, { tgCall, Logger, CONFIG, forwardToTopic }) {
+    let pending = getPendingMessages(state);
+    const dropped = state.pending_dropped || 0;
+    if (pending.length === 0 && dropped === 0) return;
+
+    try {
+        if (pending.length > CONFIG.PENDING_MAX_MESSAGES) {
+            pending = pending.slice(pending.length - CONFIG.PENDING_MAX_MESSAGES);
+        }
+
+        let forwardedCount = 0;
+        for (const snapshot of pending) {
+            const forwardedKey = `forwarded:${userId}:${snapshot.message_id}`;
+            const alreadyForwarded = await env.TOPIC_MAP.get(forwardedKey);
+            if (alreadyForwarded) {
+                Logger.info('message_forward_duplicate_skipped', { userId, messageId: snapshot.message_id });
+                continue;
+            }
+
+            // 只统计实际送达或已进入重试队列的消息；被拦截、限流或要求重新验证的不写去重标记，也不计入提示
+            const outcome = await forwardToTopic(restorePendingMessage(snapshot, userId, from), env, ctx);
+            if (outcome !== 'delivered' && outcome !== 'enqueued') {
+                Logger.info('pending_message_not_delivered', { userId, messageId: snapshot.message_id });
+                continue;
+            }
+            await env.TOPIC_MAP.put(forwardedKey, '1', { expirationTtl: 3600 });
+            forwardedCount++;
+        }
+
+        const lines = [];
+        if (forwardedCount > 0) lines.push(`📩 刚才的 ${forwardedCount} 条消息已帮您送达。`);
+        if (dropped > 0) {
+            lines.push(`⚠️ 验证期间最多暂存 ${CONFIG.PENDING_MAX_MESSAGES} 条消息，另有 ${dropped} 条较早的消息未能送达，请重新发送。`);
+            Logger.warn('pending_messages_dropped', { userId, dropped, limit: CONFIG.PENDING_MAX_MESSAGES });
+        }
+        if (lines.length > 0) {
+            await tgCall(env, 'sendMessage', {
+                chat_id: userId,
+                text: lines.join('\n')
+            });
+        }
+    } catch (e) {
+        Logger.error('pending_message_forward_failed', e, { userId });
+        await tgCall(env, 'sendMessage', {
+            chat_id: userId,
+            text: '⚠️ 自动发送失败，请重新发送您的消息。'
+        });
+    }
+}
+
+/**
+ * 处理文字作答类验证（text / image）：用户在验证期间发送的文字消息视为答案。
+ * 返回 true 表示消息已作为答案处理，调用方不再继续转发。
+ */
+export async function handleVerificationTextAnswerImpl(msg, env, ctx, deps) {
+    const { safeGetJSON, tgCall, Logger, getChallengeProvider, recordQuestionResult, recordVerifyEvent } = deps;
+    const text = (msg.text || '').trim();
+    if (!text || text.startsWith('/')) return false;
+
+    const userId = msg.chat.id;
+    const verifyId = await env.TOPIC_MAP.get(`user_challenge:${userId}`);
+    if (!verifyId) return false;
 
-${challenge.question}
+    const state = await safeGetJSON(env, `chal:${verifyId}`, null);
+    if (!state || state.userId !== userId) return false;
 
-请点击下方按钮回答 (回答正确后将自动发送您刚才的消息)。`,
-        parse_mode: 'Markdown',
-        reply_markup: { inline_keyboard: keyboard }
+    const provider = getChallengeProvider(state.type);
+    if (provider.answerMode !== 'text') return false;
+
+    const attempt = await consumeAnswerAttempt(env, userId, verifyId, deps);
+    if (!attempt.allowed) {
+        await tgCall(env, 'sendMessage', {
+            chat_id: userId,
+            text: '⛔ 本题作答次数已用尽，请稍后重新发送消息获取新题。'
+        });
+        return true;
+    }
+
+    const passed = provider.check(state, { text });
+    if (state.questionId) {
+        await recordQuestionResult(env, state.questionId, passed);
+    }
+
+    if (!passed) {
+        Logger.info('verification_failed', { userId, verifyId, type: provider.type, remaining: attempt.remaining });
+        await recordVerifyEvent(env, userId, 'failed', { verifyId, type: provider.type, answer: text, remaining: attempt.remaining });
+        const result = await registerFailedAttempt(env, userId, verifyId, state, attempt, deps);
+        await tgCall(env, 'sendMessage', {
+            chat_id: userId,
+            text: result.outcome === 'retry' ? `${buildPenaltyText(result)}请重新输入。` : buildPenaltyText(result)
+        });
+        return true;
+    }
+
+    Logger.info('verification_passed', { userId, verifyId, type: provider.type });
+    await recordVerifyEvent(env, userId, 'passed', { verifyId, type: provider.type, answer: text });
+    await markVerified(env, userId, verifyId, deps);
+    await tgCall(env, 'sendMessage', {
+        chat_id: userId,
+        text: '✅ 验证成功，您现在可以自由对话了。'
     });
+    await forwardPendingMessagesImpl(env, ctx, userId, msg.from, state, deps);
+    return true;
 }
 
-export async function handleCallbackQueryImpl({
+/**
+ * 处理验证按钮点击（callback_data: verify:<verifyId>:<index>，签名由回调路由校验）。
+ */
+export async function handleVerifyCallbackImpl({
     query,
     env,
     ctx,
+    args,
     tgCall,
     Logger,
     hasD1,
     dbSetVerifyState,
     CONFIG,
-    forwardToTopic
+    forwardToTopic,
+    recordQuestionResult,
+    getChallengeProvider,
+    checkRateLimit,
+    safeGetJSON,
+    banUser,
+    sendModLog,
+    resolveUserProfileStatus,
+    recordVerification,
+    recordVerifyEvent
 }) {
+    if (args.length !== 2) return false;
+
+    const verifyId = args[0];
+    const selectedIndex = parseInt(args[1]);
+    const userId = query.from.id;
+
+    const stateStr = await env.TOPIC_MAP.get(`chal:${verifyId}`);
+    if (!stateStr) {
+        await recordVerifyEvent(env, userId, 'challenge_expired', { verifyId });
+        await tgCall(env, 'answerCallbackQuery', {
+            callback_query_id: query.id,
+            text: '❌ 验证已过期，请重发消息',
+            show_alert: true
+        });
+        return;
+    }
+
+    let state;
     try {
-        const data = query.data;
-        if (!data.startsWith('verify:')) return;
-
-        const parts = data.split(':');
-        if (parts.length !== 3) return;
-
-        const verifyId = parts[1];
-        const selectedIndex = parseInt(parts[2]);
-        const userId = query.from.id;
-
-        const stateStr = await env.TOPIC_MAP.get(`chal:${verifyId}`);
-        if (!stateStr) {
-            await tgCall(env, 'answerCallbackQuery', {
-                callback_query_id: query.id,
-                text: '❌ 验证已过期，请重发消息',
-                show_alert: true
-            });
-            return;
-        }
+        state = JSON.parse(stateStr);
+    } catch {
+        await tgCall(env, 'answerCallbackQuery', {
+            callback_query_id: query.id,
+            text: '❌ 数据错误',
+            show_alert: true
+        });
+        return;
+    }
 
-        let state;
-        try {
-            state = JSON.parse(stateStr);
-        } catch {
-            await tgCall(env, 'answerCallbackQuery', {
-                callback_query_id: query.id,
-                text: '❌ 数据错误',
-                show_alert: true
-            });
-            return;
-        }
+    if (state.userId && state.userId !== userId) {
+        await tgCall(env, 'answerCallbackQuery', {
+            callback_query_id: query.id,
+            text: '❌ 无效的验证',
+            show_alert: true
+        });
+        return;
+    }
 
-        if (state.userId && state.userId !== userId) {
-            await tgCall(env, 'answerCallbackQuery', {
-                callback_query_id: query.id,
-                text: '❌ 无效的验证',
-                show_alert: true
-            });
-            return;
-        }
+    const provider = getChallengeProvider(state.type);
+    if (provider.answerMode !== 'callback') {
+        await tgCall(env, 'answerCallbackQuery', {
+            callback_query_id: query.id,
+            text: '❌ 无效的验证',
+            show_alert: true
+        });
+        return;
+    }
 
-        if (isNaN(selectedIndex) || selectedIndex < 0 || selectedIndex >= state.options.length) {
-            await tgCall(env, 'answerCallbackQuery', {
-                callback_query_id: query.id,
-                text: '❌ 无效选项',
-                show_alert: true
-            });
-            return;
-        }
+    if (isNaN(selectedIndex) || selectedIndex < 0 || selectedIndex >= state.options.length) {
+        await tgCall(env, 'answerCallbackQuery', {
+            callback_query_id: query.id,
+            text: '❌ 无效选项',
+            show_alert: true
+        });
+        return;
+    }
 
-        if (selectedIndex === state.answerIndex) {
-            await tgCall(env, 'answerCallbackQuery', {
-                callback_query_id: query.id,
-                text: '✅ 验证通过'
-            });
+    const attempt = await consumeAnswerAttempt(env, userId, verifyId, { checkRateLimit, CONFIG });
+    if (!attempt.allowed) {
+        await tgCall(env, 'answerCallbackQuery', {
+            callback_query_id: query.id,
+            text: '⛔ 本题作答次数已用尽，请稍后重发消息获取新题',
+            show_alert: true
+        });
+        return;
+    }
 
-            Logger.info('verification_passed', {
-                userId,
-                verifyId,
-                selectedOption: state.options[selectedIndex]
-            });
+    if (provider.check(state, { index: selectedIndex })) {
+        await tgCall(env, 'answerCallbackQuery', {
+            callback_query_id: query.id,
+            text: '✅ 验证通过'
+        });
 
-            if (hasD1(env)) {
-                await dbSetVerifyState(env, userId, '1');
-            } else {
-                await env.TOPIC_MAP.put(`verified:${userId}`, '1', { expirationTtl: CONFIG.VERIFIED_EXPIRE_SECONDS });
-            }
-            await env.TOPIC_MAP.delete(`needs_verify:${userId}`);
+        Logger.info('verification_passed', {
+            userId,
+            verifyId,
+            type: provider.type,
+            selectedOption: state.options[selectedIndex]
+        });
+        await recordVerifyEvent(env, userId, 'passed', { verifyId, type: provider.type, answer: state.options[selectedIndex] });
 
-            await env.TOPIC_MAP.delete(`chal:${verifyId}`);
-            await env.TOPIC_MAP.delete(`user_challenge:${userId}`);
+        if (state.questionId) {
+            await recordQuestionResult(env, state.questionId, true);
+        }
 
-            await tgCall(env, 'editMessageText', {
-                chat_id: userId,
-                message_id: query.message.message_id,
-                text: `✅ **验证成功**\n\n您现在可以自由对话了。`,
-                parse_mode: 'Markdown'
-            });
+        await markVerified(env, userId, verifyId, { hasD1, dbSetVerifyState, CONFIG, recordVerification });
 
-            const hasPending = (Array.isArray(state.pending_ids) && state.pending_ids.length > 0) || !!state.pending;
-            if (hasPending) {
-                try {
-                    let pendingIds = [];
-                    if (Array.isArray(state.pending_ids)) {
-                        pendingIds = state.pending_ids.slice();
-                    } else if (state.pending) {
-                        pendingIds = [state.pending];
-                    }
-
-                    if (pendingIds.length > CONFIG.PENDING_MAX_MESSAGES) {
-                        pendingIds = pendingIds.slice(pendingIds.length - CONFIG.PENDING_MAX_MESSAGES);
-                    }
-
-                    let forwardedCount = 0;
-                    for (const pendingId of pendingIds) {
-                        if (!pendingId) continue;
-                        const forwardedKey = `forwarded:${userId}:${pendingId}`;
-                        const alreadyForwarded = await env.TOPIC_MAP.get(forwardedKey);
-                        if (alreadyForwarded) {
-                            Logger.info('message_forward_duplicate_skipped', { userId, messageId: pendingId });
-                            continue;
-                        }
-
-                        const fakeMsg = {
-                            message_id: pendingId,
-                            chat: { id: userId, type: 'private' },
-                            from: query.from
-                        };
-
-                        await forwardToTopic(fakeMsg, env, ctx);
-                        await env.TOPIC_MAP.put(forwardedKey, '1', { expirationTtl: 3600 });
-                        forwardedCount++;
-                    }
-
-                    if (forwardedCount > 0) {
-                        await tgCall(env, 'sendMessage', {
-                            chat_id: userId,
-                            text: `📩 刚才的 ${forwardedCount} 条消息已帮您送达。`
-                        });
-                    }
-                } catch (e) {
-                    Logger.error('pending_message_forward_failed', e, { userId });
-                    await tgCall(env, 'sendMessage', {
-                        chat_id: userId,
-                        text: '⚠️ 自动发送失败，请重新发送您的消息。'
-                    });
-                }
-            }
-        } else {
-            Logger.info('verification_failed', {
-                userId,
-                verifyId,
-                selectedIndex,
-                correctIndex: state.answerIndex
-            });
+        await tgCall(env, 'editMessageText', {
+            chat_id: userId,
+            message_id: query.message.message_id,
+            text: `✅ **验证成功**\n\n您现在可以自由对话了。`,
+            parse_mode: 'Markdown'
+        });
 
-            await tgCall(env, 'answerCallbackQuery', {
-                callback_query_id: query.id,
-                text: '❌ 答案错误',
-                show_alert: true
-            });
+        await forwardPendingMessagesImpl(env, ctx, userId, query.from, state, { tgCall, Logger, CONFIG, forwardToTopic });
+    } else {
+        Logger.info('verification_failed', {
+            userId,
+            verifyId,
+            type: provider.type,
+            selectedIndex,
+            correctIndex: state.answerIndex,
+            remaining: attempt.remaining
+        });
+        await recordVerifyEvent(env, userId, 'failed', {
+            verifyId,
+            type: provider.type,
+            answer: state.options[selectedIndex],
+            remaining: attempt.remaining
+        });
+
+        if (state.questionId) {
+            await recordQuestionResult(env, state.questionId, false);
         }
-    } catch (e) {
-        Logger.error('callback_query_error', e, {
-            userId: query.from?.id,
-            callbackData: query.data
+
+        const result = await registerFailedAttempt(env, userId, verifyId, state, attempt, {
+            CONFIG,
+            Logger,
+            safeGetJSON,
+            banUser,
+            sendModLog,
+            resolveUserProfileStatus,
+            recordVerifyEvent
         });
+
         await tgCall(env, 'answerCallbackQuery', {
             callback_query_id: query.id,
-            text: '⚠️ 系统错误，请重试',
+            text: buildPenaltyText(result),
             show_alert: true
         });
+
+        // 本题作废后移除按钮，避免继续点击
+        if (result.outcome !== 'retry') {
+            await tgCall(env, 'editMessageText', {
+                chat_id: userId,
+                message_id: query.message.message_id,
+                text: buildPenaltyText(result)
+            });
+        }
     }
 }
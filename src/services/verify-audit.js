@@ -0,0 +1,120 @@
+/**
+ * 验证审计记录：题目下发、作答结果、过期、处罚与管理员操作写入 D1 verify_events 表，
+ * 通过 /vhistory 查看。未绑定 D1 时不记录。
+ */
+
+const EVENT_LABELS = {
+    challenge_sent: '📨 下发题目',
+    challenge_expired: '⌛ 题目过期',
+    passed: '✅ 验证通过',
+    failed: '❌ 答案错误',
+    cooldown: '⏳ 进入冷却',
+    auto_banned: '🚫 自动封禁',
+    verify_expired: '⌛ 验证到期',
+    policy_reverify: '🔄 要求重新验证',
+    auto_trust: '🌟 自动信任',
+    approval_requested: '📋 提交审核',
+    approved: '✅ 审核通过',
+    rejected: '❌ 审核拒绝',
+    approval_banned: '🚫 审核封禁',
+    admin_reset: '🔄 管理员重置',
+    admin_trust: '🌟 管理员信任'
+};
+
+const POLICY_REASON_LABELS = {
+    inactivity: '长期未活动',
+    profile_change: '资料变更',
+    keyword: '触发关键词'
+};
+
+function truncate(text, max = 40) {
+    const value = String(text ?? '');
+    return value.length > max ? `${value.slice(0, max)}…` : value;
+}
+
+/**
+ * 写入一条验证事件。审计失败只记录日志，不影响验证流程。
+ */
+export async function recordVerifyEventImpl(env, userId, event, detail, { hasD1, dbVerifyEventAdd, Logger }) {
+    if (!hasD1(env)) return;
+    try {
+        await dbVerifyEventAdd(env, userId, event, detail);
+    } catch (e) {
+        Logger.warn('verify_event_add_failed', { userId, event, error: e.message });
+    }
+}
+
+function formatEventDetail(event, detail) {
+    if (!detail) return '';
+    switch (event) {
+        case 'challenge_sent': {
+            const subject = detail.question || (detail.target ? `点选「${detail.target}」` : '');
+            return `${detail.type || 'quiz'}${subject ? ` · ${truncate(subject)}` : ''}`;
+        }
+        case 'passed':
+            return detail.answer !== undefined ? `作答「${truncate(detail.answer, 20)}」` : '';
+        case 'failed': {
+            const answer = detail.answer !== undefined ? `作答「${truncate(detail.answer, 20)}」` : '';
+            const remaining = detail.remaining !== undefined ? `剩余 ${detail.remaining} 次` : '';
+            return [answer, remaining].filter(Boolean).join('，');
+        }
+        case 'cooldown':
+            return `${Math.ceil(Number(detail.seconds || 0) / 60)} 分钟，第 ${detail.cooldowns} 次`;
+        case 'auto_banned':
+            return `累计冷却 ${detail.cooldowns} 次`;
+        case 'policy_reverify':
+            return `${POLICY_REASON_LABELS[detail.reason] || detail.reason}${detail.detail ? `（${truncate(detail.detail)}）` : ''}`;
+        case 'auto_trust':
+            return `${detail.exchanges} 轮往来`;
+        case 'admin_reset':
+        case 'admin_trust':
+        case 'approved':
+        case 'rejected':
+        case 'approval_banned':
+            return detail.adminId ? `管理员 ${detail.adminId}` : '';
+        default:
+            return '';
+    }
+}
+
+function formatEventTime(ts) {
+    return new Date(ts).toISOString().replace('T', ' ').slice(5, 19);
+}
+
+/**
+ * 处理 /vhistory [uid] 命令：在当前话题输出该用户最近的验证事件（新的在前）。
+ */
+export async function handleVerifyHistoryCommandImpl({
+    threadId,
+    env,
+    userId,
+    hasD1,
+    dbVerifyEventList,
+    CONFIG,
+    tgCall,
+    withMessageThreadId
+}) {
+    const sendInThread = (text) => tgCall(env, 'sendMessage', withMessageThreadId({
+        chat_id: env.SUPERGROUP_ID,
+        text
+    }, threadId));
+
+    if (!hasD1(env)) {
+        await sendInThread('⚠️ 验证记录需要绑定 D1 数据库。');
+        return;
+    }
+
+    const events = await dbVerifyEventList(env, userId, CONFIG.VERIFY_HISTORY_LIMIT);
+    if (events.length === 0) {
+        await sendInThread(`🧾 验证记录\nUID: ${userId}\n\n暂无记录。`);
+        return;
+    }
+
+    const lines = [`🧾 验证记录（最近 ${events.length} 条，UTC）`, `UID: ${userId}`, ''];
+    for (const item of events) {
+        const label = EVENT_LABELS[item.event] || item.event;
+        const detail = formatEventDetail(item.event, item.detail);
+        lines.push(`${formatEventTime(item.createdAt)} ${label}${detail ? ` · ${detail}` : ''}`);
+    }
+    await sendInThread(lines.join('\n'));
+}
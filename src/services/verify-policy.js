@@ -0,0 +1,214 @@
+/**
+ * 验证策略：在固定有效期（VERIFIED_EXPIRE_SECONDS）之外，按用户活动情况调整验证要求。
+ *
+ * - 长期未活动：距上次发消息超过 VERIFY_INACTIVITY_DAYS 天，要求重新验证。
+ * - 资料变更：名字或用户名与上次记录不一致（VERIFY_ON_PROFILE_CHANGE），要求重新验证。
+ * - 自动信任：与管理员往来达到 AUTO_TRUST_EXCHANGES 轮后设为永久信任。
+ *
+ * 活动记录保存在 D1 users.user_info_json（无 D1 时为 KV `user_info:<userId>`）。
+ * 管理员手动 /trust 或人工审核通过的用户不受重新验证规则约束；自动信任的用户仍受约束。
+ */
+
+// 最近活动时间的写入精度，避免每条消息都写一次存储
+const LAST_SEEN_WRITE_INTERVAL_MS = 3600 * 1000;
+const DAY_MS = 86400 * 1000;
+
+export const VERIFY_REASON_LABELS = {
+    challenge: '通过人机验证',
+    manual_trust: '管理员设为信任',
+    auto_trust: '往来消息达到阈值自动信任',
+    approval: '管理员审核通过',
+    inactivity: '长期未活动',
+    profile_change: '资料变更'
+};
+
+export function getProfileSnapshot(from) {
+    return {
+        first_name: String(from?.first_name || ''),
+        last_name: String(from?.last_name || ''),
+        username: String(from?.username || '')
+    };
+}
+
+/**
+ * 列出资料快照之间的差异（用户名、名字），无变化时返回空数组。
+ */
+export function listProfileChanges(before, after) {
+    const changes = [];
+    if (before.username !== after.username) {
+        changes.push(`用户名 @${before.username || '无'} → @${after.username || '无'}`);
+    }
+    if (before.first_name !== after.first_name || before.last_name !== after.last_name) {
+        const oldName = `${before.first_name} ${before.last_name}`.trim() || '无';
+        const newName = `${after.first_name} ${after.last_name}`.trim() || '无';
+        changes.push(`名字 ${oldName} → ${newName}`);
+    }
+    return changes;
+}
+
+export async function getUserActivityImpl(env, userId, { hasD1, dbUserInfoGet, safeGetJSON }) {
+    const info = hasD1(env)
+        ? await dbUserInfoGet(env, userId)
+        : await safeGetJSON(env, `user_info:${userId}`, null);
+    return info && typeof info === 'object' ? info : {};
+}
+
+export async function saveUserActivityImpl(env, userId, info, { hasD1, dbUserInfoPut }) {
+    if (hasD1(env)) {
+        await dbUserInfoPut(env, userId, info);
+    } else {
+        await env.TOPIC_MAP.put(`user_info:${userId}`, JSON.stringify(info));
+    }
+}
+
+function isPolicyExempt(verifyState, info) {
+    // 手动信任（含旧数据中无来源记录的信任）不参与重新验证
+    return verifyState === 'trusted' && info.verify_reason !== 'auto_trust';
+}
+
+/**
+ * 对已验证用户的消息评估验证策略，并更新活动记录。
+ *
+ * 返回 { reverify, detail, profileChanges }：reverify 为 null 或 'inactivity' | 'profile_change'；
+ * profileChanges 为与上次资料快照（info.profile）的差异（listProfileChanges 格式，无快照或无变化时为空数组），
+ * 供 syncTopicProfile 刷新话题标题与用户卡片。
+ * 触发重新验证时同步刷新资料快照与活动时间，用户通过验证后不会被同一原因再次拦截。
+ */
+export async function evaluateVerifyPolicyImpl(env, msg, verifyState, deps) {
+    const { CONFIG, Logger } = deps;
+    const userId = msg.chat.id;
+    const now = Date.now();
+    const info = await getUserActivityImpl(env, userId, deps);
+    const profile = getProfileSnapshot(msg.from);
+    const profileChanges = info.profile ? listProfileChanges(info.profile, profile) : [];
+
+    let reverify = null;
+    let detail = '';
+    if (!isPolicyExempt(verifyState, info)) {
+        const inactiveDays = info.last_seen_at ? (now - info.last_seen_at) / DAY_MS : 0;
+        if (CONFIG.VERIFY_INACTIVITY_DAYS > 0 && inactiveDays >= CONFIG.VERIFY_INACTIVITY_DAYS) {
+            reverify = 'inactivity';
+            detail = `${Math.floor(inactiveDays)} 天未活动`;
+        } else if (CONFIG.VERIFY_ON_PROFILE_CHANGE && profileChanges.length > 0) {
+            reverify = 'profile_change';
+            detail = profileChanges.join('，');
+        }
+    }
+
+    const profileChanged = !info.profile || profileChanges.length > 0;
+    const seenStale = !info.last_seen_at || (now - info.last_seen_at) >= LAST_SEEN_WRITE_INTERVAL_MS;
+    if (reverify || profileChanged || seenStale || !info.awaiting_reply) {
+        info.profile = profile;
+        info.last_seen_at = now;
+        // 标记“等待管理员回复”，管理员回复后计为一轮往来
+        info.awaiting_reply = true;
+        if (reverify) {
+            info.reverify_reason = reverify;
+            info.reverify_detail = detail;
+            info.reverify_at = now;
+        }
+        await saveUserActivityImpl(env, userId, info, deps);
+    }
+
+    if (reverify) {
+        Logger.info('verify_policy_reverify', { userId, reason: reverify, detail });
+    }
+    return { reverify, detail, profileChanges };
+}
+
+/**
+ * 记录验证来源（challenge / manual_trust / auto_trust），供 /info 展示。
+ */
+export async function recordVerificationImpl(env, userId, reason, deps) {
+    const info = await getUserActivityImpl(env, userId, deps);
+    info.verified_at = Date.now();
+    info.verify_reason = reason;
+    await saveUserActivityImpl(env, userId, info, deps);
+}
+
+/**
+ * 管理员回复成功送达后调用：累计往来轮数，达到阈值时自动信任。
+ * 返回 { autoTrusted, exchanges }。
+ */
+export async function recordAdminReplyImpl(env, userId, deps) {
+    const { hasD1, dbGetVerifyState, dbSetVerifyState, CONFIG, Logger } = deps;
+    const info = await getUserActivityImpl(env, userId, deps);
+    if (!info.awaiting_reply) return { autoTrusted: false, exchanges: info.exchanges || 0 };
+
+    info.awaiting_reply = false;
+    info.exchanges = (info.exchanges || 0) + 1;
+
+    let autoTrusted = false;
+    if (CONFIG.AUTO_TRUST_EXCHANGES > 0 && info.exchanges >= CONFIG.AUTO_TRUST_EXCHANGES) {
+        const verifyState = hasD1(env)
+            ? await dbGetVerifyState(env, userId)
+            : await env.TOPIC_MAP.get(`verified:${userId}`);
+        // 仅对当前有效的普通验证升级，未验证或已信任的用户保持不变
+        if (verifyState && verifyState !== 'trusted') {
+            if (hasD1(env)) {
+                await dbSetVerifyState(env, userId, 'trusted');
+            } else {
+                await env.TOPIC_MAP.put(`verified:${userId}`, 'trusted');
+            }
+            info.verified_at = Date.now();
+            info.verify_reason = 'auto_trust';
+            autoTrusted = true;
+            Logger.info('verify_policy_auto_trusted', { userId, exchanges: info.exchanges });
+        }
+    }
+
+    await saveUserActivityImpl(env, userId, info, deps);
+    return { autoTrusted, exchanges: info.exchanges };
+}
+
+function formatTime(ts) {
+    return new Date(ts).toISOString().replace('T', ' ').slice(0, 16) + ' UTC';
+}
+
+/**
+ * 生成 /info 中的验证有效期与策略说明。
+ */
+export async function describeVerifyPolicyImpl(env, userId, verifyState, deps) {
+    const { hasD1, dbGetVerifyExpiresAt, CONFIG } = deps;
+    const info = await getUserActivityImpl(env, userId, deps);
+    const lines = [];
+
+    if (!verifyState) {
+        lines.push('验证有效期: -');
+    } else if (verifyState === 'trusted') {
+        lines.push('验证有效期: 永久');
+    } else {
+        const expiresAt = hasD1(env)
+            ? await dbGetVerifyExpiresAt(env, userId)
+            : (info.verified_at ? info.verified_at + CONFIG.VERIFIED_EXPIRE_SECONDS * 1000 : null);
+        lines.push(`验证有效期: ${expiresAt ? `至 ${formatTime(expiresAt)}` : '未知'}`);
+    }
+    if (info.verify_reason) {
+        lines.push(`验证来源: ${VERIFY_REASON_LABELS[info.verify_reason] || info.verify_reason}`);
+    }
+    if (info.reverify_reason) {
+        const label = VERIFY_REASON_LABELS[info.reverify_reason] || info.reverify_reason;
+        lines.push(`上次重新验证: ${label}${info.reverify_detail ? `（${info.reverify_detail}）` : ''}，${formatTime(info.reverify_at)}`);
+    }
+    if (info.last_seen_at) {
+        lines.push(`最近活动: ${formatTime(info.last_seen_at)}`);
+    }
+
+    if (verifyState && isPolicyExempt(verifyState, info)) {
+        const exemptLabel = info.verify_reason === 'approval' ? '人工审核通过' : '手动信任';
+        lines.push(`重新验证规则: 不适用（${exemptLabel}）`);
+    } else {
+        const rules = [];
+        if (CONFIG.VERIFY_INACTIVITY_DAYS > 0) {
+            const due = info.last_seen_at ? `，即 ${formatTime(info.last_seen_at + CONFIG.VERIFY_INACTIVITY_DAYS * DAY_MS)} 后` : '';
+            rules.push(`${CONFIG.VERIFY_INACTIVITY_DAYS} 天未活动${due}`);
+        }
+        if (CONFIG.VERIFY_ON_PROFILE_CHANGE) rules.push('名字或用户名变更');
+        lines.push(`重新验证规则: ${rules.length ? rules.join('；') : '未启用'}`);
+    }
+
+    if (CONFIG.AUTO_TRUST_EXCHANGES > 0 && verifyState !== 'trusted') {
+        lines.push(`自动信任进度: ${info.exchanges || 0}/${CONFIG.AUTO_TRUST_EXCHANGES} 轮往来`);
+    }
+    return lines;
+}